@@ -204,7 +204,7 @@ async function initDatabase() {
             email VARCHAR(255),
             phone VARCHAR(50),
             data JSONB,
-            status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'distributed', 'converted', 'failed')),
+            status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'auctioning', 'distributed', 'converted', 'failed', 'held', 'quarantined')),
             assigned_partner_id INTEGER REFERENCES partners(id),
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             distributed_at TIMESTAMP,
@@ -488,7 +488,650 @@ async function initDatabase() {
             CREATE INDEX IF NOT EXISTS idx_partner_crm_active ON partner_crm_integrations(is_active);
             CREATE UNIQUE INDEX IF NOT EXISTS idx_partner_crm_unique ON partner_crm_integrations(partner_id);
         `);
-        
+
+        // **NEW: Partner routing rules and per-lead routing decisions**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS partner_routing_rules (
+                id SERIAL PRIMARY KEY,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                field VARCHAR(50) NOT NULL,
+                operator VARCHAR(20) NOT NULL CHECK (operator IN ('equals', 'in', 'contains', 'starts_with', 'between', 'gte', 'lte')),
+                value JSONB NOT NULL,
+                rule_type VARCHAR(10) NOT NULL DEFAULT 'include' CHECK (rule_type IN ('include', 'exclude')),
+                description TEXT,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS lead_routing_evaluations (
+                id SERIAL PRIMARY KEY,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                eligible BOOLEAN NOT NULL,
+                selected BOOLEAN DEFAULT false,
+                matched_rules JSONB DEFAULT '[]',
+                rejected_rules JSONB DEFAULT '[]',
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_partner_routing_rules_partner ON partner_routing_rules(partner_id, is_active);
+            CREATE INDEX IF NOT EXISTS idx_lead_routing_evaluations_lead ON lead_routing_evaluations(lead_id);
+        `);
+
+        // **NEW: Distribution strategy per country/niche pool**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS distribution_pools (
+                id SERIAL PRIMARY KEY,
+                country VARCHAR(50) NOT NULL,
+                niche VARCHAR(50) NOT NULL,
+                strategy VARCHAR(30) NOT NULL DEFAULT 'load_balanced' CHECK (strategy IN ('load_balanced', 'weighted', 'round_robin', 'priority', 'best_performer')),
+                round_robin_cursor INTEGER,
+                performance_window_days INTEGER DEFAULT 14,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(country, niche)
+            );
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS distribution_weight INTEGER DEFAULT 1;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS priority_order INTEGER DEFAULT 100;
+        `);
+
+        // **NEW: Ping-post auctions - partner ping endpoints, pool auction settings and per-lead bids**
+        await pool.query(`
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS ping_url TEXT;
+
+            ALTER TABLE distribution_pools
+            ADD COLUMN IF NOT EXISTS auction_enabled BOOLEAN DEFAULT false;
+
+            ALTER TABLE distribution_pools
+            ADD COLUMN IF NOT EXISTS auction_premium_only BOOLEAN DEFAULT true;
+
+            ALTER TABLE distribution_pools
+            ADD COLUMN IF NOT EXISTS auction_min_bid DECIMAL(10,2) DEFAULT 0.00;
+
+            ALTER TABLE distribution_pools
+            ADD COLUMN IF NOT EXISTS ping_timeout_ms INTEGER DEFAULT 2000;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS sale_price DECIMAL(10,2);
+
+            CREATE TABLE IF NOT EXISTS lead_bids (
+                id SERIAL PRIMARY KEY,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                ping_id VARCHAR(64) NOT NULL,
+                status VARCHAR(20) NOT NULL CHECK (status IN ('bid', 'no_bid', 'below_floor', 'timeout', 'error', 'won', 'lost', 'post_rejected')),
+                bid_amount DECIMAL(10,2),
+                response_time_ms INTEGER,
+                error_message TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_bids_lead ON lead_bids(lead_id);
+        `);
+
+        // **NEW: Waterfall fallback - every partner tried per lead, capped per pool**
+        await pool.query(`
+            ALTER TABLE distribution_pools
+            ADD COLUMN IF NOT EXISTS max_hops INTEGER DEFAULT 3;
+
+            CREATE TABLE IF NOT EXISTS lead_distribution_attempts (
+                id SERIAL PRIMARY KEY,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                hop INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL CHECK (status IN ('assigned', 'delivered', 'rejected', 'failed')),
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_distribution_attempts_lead ON lead_distribution_attempts(lead_id, partner_id);
+        `);
+
+        // **NEW: Per-type daily caps and explicit failure reasons**
+        await pool.query(`
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS premium_daily_limit INTEGER;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS raw_daily_limit INTEGER;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS failure_reason VARCHAR(50);
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS failure_detail TEXT;
+
+            CREATE INDEX IF NOT EXISTS idx_leads_failure_reason ON leads(failure_reason) WHERE failure_reason IS NOT NULL;
+        `);
+
+        // **NEW: Hourly, weekly and monthly partner caps with pacing across business hours**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS distribution_stats_hourly (
+                id SERIAL PRIMARY KEY,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                hour_start TIMESTAMP NOT NULL,
+                leads_received INTEGER DEFAULT 0,
+                premium_leads INTEGER DEFAULT 0,
+                raw_leads INTEGER DEFAULT 0,
+                UNIQUE(partner_id, hour_start)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_distribution_stats_hourly_hour ON distribution_stats_hourly(hour_start);
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS hourly_limit INTEGER;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS weekly_limit INTEGER;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS monthly_limit INTEGER;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS pacing_enabled BOOLEAN DEFAULT false;
+        `);
+
+        // **NEW: Duplicate lead detection - dedupe settings, normalized match keys and duplicate log**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS dedupe_settings (
+                id SERIAL PRIMARY KEY,
+                scope VARCHAR(20) NOT NULL CHECK (scope IN ('global', 'source', 'niche')),
+                source_id INTEGER REFERENCES webhook_sources(id) ON DELETE CASCADE,
+                niche VARCHAR(50),
+                match_keys TEXT[] NOT NULL DEFAULT '{email,phone}',
+                window_hours INTEGER NOT NULL DEFAULT 24,
+                policy VARCHAR(20) NOT NULL DEFAULT 'flag' CHECK (policy IN ('reject', 'flag', 'merge')),
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_dedupe_settings_scope
+                ON dedupe_settings(scope, COALESCE(source_id, 0), COALESCE(niche, ''));
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS email_normalized VARCHAR(255);
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS phone_e164 VARCHAR(20);
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS name_normalized VARCHAR(200);
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS is_duplicate BOOLEAN DEFAULT false;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS duplicate_of INTEGER REFERENCES leads(id) ON DELETE SET NULL;
+
+            CREATE INDEX IF NOT EXISTS idx_leads_email_normalized ON leads(email_normalized, created_at) WHERE email_normalized IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_leads_phone_e164 ON leads(phone_e164, created_at) WHERE phone_e164 IS NOT NULL;
+
+            CREATE TABLE IF NOT EXISTS lead_duplicates (
+                id SERIAL PRIMARY KEY,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                duplicate_of INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                source VARCHAR(100),
+                match_key VARCHAR(30) NOT NULL,
+                policy VARCHAR(20) NOT NULL CHECK (policy IN ('reject', 'flag', 'merge')),
+                payload JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_duplicates_created ON lead_duplicates(created_at);
+            CREATE INDEX IF NOT EXISTS idx_lead_duplicates_original ON lead_duplicates(duplicate_of);
+        `);
+
+        // **NEW: Lead recycling - aged inventory opt-in, recycling rules and resale log**
+        await pool.query(`
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS accepts_aged_leads BOOLEAN DEFAULT false;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS aged_daily_limit INTEGER;
+
+            ALTER TABLE distribution_stats
+            ADD COLUMN IF NOT EXISTS aged_leads INTEGER DEFAULT 0;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS resale_count INTEGER DEFAULT 0;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS last_recycled_at TIMESTAMP;
+
+            CREATE TABLE IF NOT EXISTS recycling_rules (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                statuses TEXT[] NOT NULL DEFAULT '{failed}',
+                country VARCHAR(50),
+                niche VARCHAR(50),
+                min_age_days INTEGER NOT NULL DEFAULT 7,
+                max_age_days INTEGER,
+                max_resales INTEGER NOT NULL DEFAULT 1,
+                is_active BOOLEAN DEFAULT true,
+                last_run_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS lead_resales (
+                id SERIAL PRIMARY KEY,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                rule_id INTEGER REFERENCES recycling_rules(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'assigned' CHECK (status IN ('assigned', 'delivered', 'rejected', 'failed')),
+                reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(lead_id, partner_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_resales_created ON lead_resales(created_at);
+        `);
+
+        // **NEW: Exclusive vs shared sales - lead-to-partner assignments and sale mode settings**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS lead_assignments (
+                id SERIAL PRIMARY KEY,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE CASCADE,
+                partner_id INTEGER REFERENCES partners(id) ON DELETE CASCADE,
+                sale_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive' CHECK (sale_mode IN ('exclusive', 'shared', 'aged')),
+                status VARCHAR(20) NOT NULL DEFAULT 'assigned' CHECK (status IN ('assigned', 'delivered', 'rejected', 'failed', 'converted')),
+                price DECIMAL(10,2),
+                reason TEXT,
+                assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                delivered_at TIMESTAMP,
+                converted_at TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(lead_id, partner_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_assignments_partner ON lead_assignments(partner_id, status);
+            CREATE INDEX IF NOT EXISTS idx_lead_assignments_assigned_at ON lead_assignments(assigned_at);
+
+            CREATE TABLE IF NOT EXISTS sale_mode_settings (
+                id SERIAL PRIMARY KEY,
+                scope VARCHAR(20) NOT NULL CHECK (scope IN ('source', 'quality_tier')),
+                source_id INTEGER REFERENCES webhook_sources(id) ON DELETE CASCADE,
+                quality_tier VARCHAR(20),
+                sale_mode VARCHAR(20) NOT NULL DEFAULT 'exclusive' CHECK (sale_mode IN ('exclusive', 'shared')),
+                max_shares INTEGER NOT NULL DEFAULT 1,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_sale_mode_settings_scope
+                ON sale_mode_settings(scope, COALESCE(source_id, 0), COALESCE(quality_tier, ''));
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS accepts_shared_leads BOOLEAN DEFAULT false;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS shared_lead_price DECIMAL(10,2);
+
+            ALTER TABLE distribution_stats
+            ADD COLUMN IF NOT EXISTS shared_leads INTEGER DEFAULT 0;
+
+            ALTER TABLE webhook_deliveries
+            ADD COLUMN IF NOT EXISTS assignment_id INTEGER REFERENCES lead_assignments(id) ON DELETE SET NULL;
+        `);
+
+        // Backfill assignments from the single assigned_partner_id column and past aged resales
+        await pool.query(`
+            INSERT INTO lead_assignments (lead_id, partner_id, sale_mode, status, price, assigned_at, delivered_at, converted_at)
+            SELECT l.id, l.assigned_partner_id, 'exclusive',
+                   CASE WHEN l.status = 'converted' THEN 'converted' ELSE 'delivered' END,
+                   l.sale_price, COALESCE(l.distributed_at, l.created_at), l.distributed_at, l.converted_at
+            FROM leads l
+            WHERE l.assigned_partner_id IS NOT NULL
+            ON CONFLICT (lead_id, partner_id) DO NOTHING;
+
+            INSERT INTO lead_assignments (lead_id, partner_id, sale_mode, status, assigned_at)
+            SELECT lr.lead_id, lr.partner_id, 'aged', lr.status, lr.created_at
+            FROM lead_resales lr
+            ON CONFLICT (lead_id, partner_id) DO NOTHING;
+        `);
+
+        // **NEW: Quality tier routing - tier-to-partner-group mapping, review floor and held leads**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS quality_tier_routing (
+                id SERIAL PRIMARY KEY,
+                quality_tier VARCHAR(20) NOT NULL UNIQUE,
+                partner_group VARCHAR(30) NOT NULL DEFAULT 'all' CHECK (partner_group IN ('all', 'top_converters', 'low_quality_opt_in')),
+                top_partners INTEGER NOT NULL DEFAULT 3,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS quality_review_settings (
+                id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+                min_quality_score INTEGER,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            INSERT INTO quality_tier_routing (quality_tier, partner_group)
+            VALUES ('premium', 'top_converters'), ('high', 'all'), ('standard', 'all'),
+                   ('low', 'low_quality_opt_in'), ('reject', 'low_quality_opt_in')
+            ON CONFLICT (quality_tier) DO NOTHING;
+
+            INSERT INTO quality_review_settings (id, min_quality_score)
+            VALUES (1, 40)
+            ON CONFLICT (id) DO NOTHING;
+
+            ALTER TABLE partners
+            ADD COLUMN IF NOT EXISTS accepts_low_quality_leads BOOLEAN DEFAULT false;
+
+            ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_status_check;
+            ALTER TABLE leads ADD CONSTRAINT leads_status_check
+                CHECK (status IN ('pending', 'auctioning', 'distributed', 'converted', 'failed', 'held', 'quarantined'));
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS hold_reason TEXT;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS held_at TIMESTAMP;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+            CREATE INDEX IF NOT EXISTS idx_leads_held ON leads(held_at) WHERE status = 'held';
+        `);
+
+        // **NEW: Failed lead retries - retry count, backoff schedule and stranded leads**
+        await pool.query(`
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS retry_count INTEGER DEFAULT 0;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMP;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS last_retry_at TIMESTAMP;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS stranded_at TIMESTAMP;
+
+            CREATE INDEX IF NOT EXISTS idx_leads_next_retry ON leads(next_retry_at) WHERE status = 'failed';
+            CREATE INDEX IF NOT EXISTS idx_leads_failure_reason ON leads(failure_reason) WHERE status = 'failed';
+        `);
+
+        // **NEW: Inbound field mapping per webhook source (NULL uses the source type's default mapping)**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS field_mapping JSONB;
+        `);
+
+        // **NEW: Inbound source security - HMAC signatures, IP allow-lists and rejected request audit**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS hmac_secret VARCHAR(255);
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS signature_header VARCHAR(100) DEFAULT 'x-signature';
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS timestamp_header VARCHAR(100) DEFAULT 'x-timestamp';
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS timestamp_tolerance_seconds INTEGER DEFAULT 300;
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS ip_allowlist JSONB DEFAULT '[]';
+
+            CREATE TABLE IF NOT EXISTS webhook_source_audit (
+                id SERIAL PRIMARY KEY,
+                source_id INTEGER REFERENCES webhook_sources(id) ON DELETE CASCADE,
+                reason VARCHAR(50) NOT NULL,
+                detail TEXT,
+                ip_address VARCHAR(64),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_webhook_source_audit_created ON webhook_source_audit(created_at DESC);
+        `);
+
+        // **NEW: Bulk lead import - import jobs with progress, options and error rows**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS lead_import_jobs (
+                id SERIAL PRIMARY KEY,
+                file_name VARCHAR(255) NOT NULL,
+                file_type VARCHAR(10) NOT NULL CHECK (file_type IN ('csv', 'xlsx')),
+                status VARCHAR(20) DEFAULT 'uploaded' CHECK (status IN ('uploaded', 'previewed', 'running', 'completed', 'failed')),
+                headers JSONB DEFAULT '[]',
+                row_data JSONB,
+                options JSONB,
+                distribution_mode VARCHAR(20) CHECK (distribution_mode IN ('immediate', 'scheduled', 'hold')),
+                distribute_at TIMESTAMP,
+                distributed_at TIMESTAMP,
+                total_rows INTEGER DEFAULT 0,
+                accepted_rows INTEGER DEFAULT 0,
+                processed_rows INTEGER DEFAULT 0,
+                inserted_rows INTEGER DEFAULT 0,
+                rejected_rows INTEGER DEFAULT 0,
+                errors JSONB DEFAULT '[]',
+                error_message TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_import_jobs_scheduled ON lead_import_jobs(distribute_at)
+                WHERE distribution_mode = 'scheduled' AND distributed_at IS NULL;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS import_job_id INTEGER REFERENCES lead_import_jobs(id) ON DELETE SET NULL;
+
+            CREATE INDEX IF NOT EXISTS idx_leads_import_job ON leads(import_job_id) WHERE import_job_id IS NOT NULL;
+        `);
+
+        // **NEW: Idempotent lead intake - per-source key settings and stored responses for replays**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS idempotency_field VARCHAR(200);
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS idempotency_retention_hours INTEGER DEFAULT 24;
+
+            CREATE TABLE IF NOT EXISTS webhook_idempotency_keys (
+                id SERIAL PRIMARY KEY,
+                source_id INTEGER NOT NULL REFERENCES webhook_sources(id) ON DELETE CASCADE,
+                idempotency_key VARCHAR(255) NOT NULL,
+                status_code INTEGER,
+                response_body JSONB,
+                lead_id INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                UNIQUE (source_id, idempotency_key)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_webhook_idempotency_expires ON webhook_idempotency_keys(expires_at);
+        `);
+
+        // **NEW: Inbound lead validation - per-source rules and rejected lead log (NULL rules accept any payload)**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS validation_rules JSONB;
+
+            CREATE TABLE IF NOT EXISTS lead_rejections (
+                id SERIAL PRIMARY KEY,
+                source_id INTEGER REFERENCES webhook_sources(id) ON DELETE SET NULL,
+                source_name VARCHAR(100),
+                reason VARCHAR(50) NOT NULL,
+                errors JSONB DEFAULT '[]',
+                payload JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_rejections_source_created ON lead_rejections(source_name, created_at DESC);
+        `);
+
+        // **NEW: Inbound payload formats - JSON, form-encoded, XML or query-string pixels per webhook source**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS payload_format VARCHAR(20) DEFAULT 'json' CHECK (payload_format IN ('json', 'form', 'xml', 'query'));
+        `);
+
+        // **NEW: Facebook Lead Ads connector - per-source app credentials and leadgen notifications**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS facebook_verify_token VARCHAR(255);
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS facebook_app_secret VARCHAR(255);
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS facebook_page_access_token TEXT;
+
+            CREATE TABLE IF NOT EXISTS facebook_leadgen_events (
+                id SERIAL PRIMARY KEY,
+                source_id INTEGER NOT NULL REFERENCES webhook_sources(id) ON DELETE CASCADE,
+                leadgen_id VARCHAR(64) NOT NULL,
+                page_id VARCHAR(64),
+                form_id VARCHAR(64),
+                ad_id VARCHAR(64),
+                status VARCHAR(20) DEFAULT 'received' CHECK (status IN ('received', 'imported', 'duplicate', 'rejected', 'failed')),
+                attempts INTEGER DEFAULT 0,
+                lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                processed_at TIMESTAMP,
+                UNIQUE (source_id, leadgen_id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_facebook_leadgen_events_pending ON facebook_leadgen_events(status, attempts)
+                WHERE status IN ('received', 'failed');
+        `);
+
+        // **NEW: Lead consent - GDPR/TCPA consent record captured from the supplier with each lead**
+        await pool.query(`
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_text TEXT;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_timestamp TIMESTAMP;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_ip VARCHAR(64);
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_user_agent TEXT;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_page_url TEXT;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_opt_ins JSONB;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS consent_certificate_id VARCHAR(500);
+        `);
+
+        // **NEW: Phone line type - mobile, landline, voip, ... from the number's country metadata (NULL when unknown)**
+        await pool.query(`
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS phone_line_type VARCHAR(30);
+        `);
+
+        // **NEW: Lead fraud checks - scored on intake; quarantined leads wait for review, blocked ones are only logged**
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS fraud_settings (
+                id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+                quarantine_score INTEGER,
+                block_score INTEGER,
+                velocity_window_minutes INTEGER NOT NULL DEFAULT 60,
+                ip_limit INTEGER NOT NULL DEFAULT 5,
+                email_limit INTEGER NOT NULL DEFAULT 3,
+                phone_limit INTEGER NOT NULL DEFAULT 3,
+                sequential_email_limit INTEGER NOT NULL DEFAULT 3,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            INSERT INTO fraud_settings (id, quarantine_score, block_score)
+            VALUES (1, 40, 80)
+            ON CONFLICT (id) DO NOTHING;
+
+            CREATE TABLE IF NOT EXISTS lead_fraud_checks (
+                id SERIAL PRIMARY KEY,
+                source_id INTEGER REFERENCES webhook_sources(id) ON DELETE SET NULL,
+                source_name VARCHAR(255),
+                lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL,
+                ip_address VARCHAR(64),
+                email_normalized VARCHAR(255),
+                email_pattern VARCHAR(255),
+                phone_e164 VARCHAR(20),
+                fraud_score INTEGER NOT NULL,
+                reasons JSONB NOT NULL DEFAULT '[]',
+                action VARCHAR(20) NOT NULL CHECK (action IN ('pass', 'quarantine', 'block')),
+                review_decision VARCHAR(20),
+                reviewed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_lead_fraud_checks_created ON lead_fraud_checks(created_at);
+            CREATE INDEX IF NOT EXISTS idx_lead_fraud_checks_ip ON lead_fraud_checks(ip_address, created_at);
+            CREATE INDEX IF NOT EXISTS idx_lead_fraud_checks_email ON lead_fraud_checks(email_normalized, created_at);
+            CREATE INDEX IF NOT EXISTS idx_lead_fraud_checks_phone ON lead_fraud_checks(phone_e164, created_at);
+            CREATE INDEX IF NOT EXISTS idx_lead_fraud_checks_pattern ON lead_fraud_checks(email_pattern, created_at);
+            CREATE INDEX IF NOT EXISTS idx_lead_fraud_checks_lead ON lead_fraud_checks(lead_id);
+
+            CREATE TABLE IF NOT EXISTS disposable_email_domains (
+                domain VARCHAR(253) PRIMARY KEY,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS fraud_score INTEGER;
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS fraud_reasons JSONB;
+        `);
+
+        // **NEW: Source commercials - cost per lead with country/type overrides, daily and monthly intake caps**
+        await pool.query(`
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS cost_per_lead DECIMAL(10,2);
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS cost_overrides JSONB;
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS daily_cap INTEGER;
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS monthly_cap INTEGER;
+
+            ALTER TABLE webhook_sources
+            ADD COLUMN IF NOT EXISTS cap_action VARCHAR(20) DEFAULT 'reject' CHECK (cap_action IN ('reject', 'park'));
+
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS lead_cost DECIMAL(10,2);
+
+            CREATE INDEX IF NOT EXISTS idx_leads_source_created ON leads(source, created_at);
+        `);
+
+        // **NEW: Auction lease - leads in a ping-post auction, recovered by the retry job when the lease goes stale**
+        await pool.query(`
+            ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS auction_started_at TIMESTAMP;
+
+            CREATE INDEX IF NOT EXISTS idx_leads_auctioning ON leads(auction_started_at) WHERE status = 'auctioning';
+        `);
+
+        // **NEW: Idempotency claim lease - an unanswered claim without a lead can be taken over after the lease**
+        await pool.query(`
+            ALTER TABLE webhook_idempotency_keys
+            ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+        `);
+
         // Insert default promotional email template using parameterized query
         try {
             await pool.query(`
@@ -46,6 +46,12 @@ function initializeEventHandlers() {
             case 'view-status':
                 viewStatus(id);
                 break;
+            case 'manage-routing-rules':
+                manageRoutingRules(id);
+                break;
+            case 'manage-caps':
+                managePartnerCaps(id);
+                break;
             case 'view-delivery-details':
                 viewDeliveryDetails(id);
                 break;
@@ -61,6 +67,24 @@ function initializeEventHandlers() {
             case 'delete-webhook-source':
                 deleteWebhookSource(id);
                 break;
+            case 'edit-field-mapping':
+                editFieldMapping(id);
+                break;
+            case 'edit-source-security':
+                editSourceSecurity(id);
+                break;
+            case 'edit-source-idempotency':
+                editSourceIdempotency(id);
+                break;
+            case 'edit-source-validation':
+                editSourceValidation(id);
+                break;
+            case 'edit-source-commercials':
+                editSourceCommercials(id);
+                break;
+            case 'edit-facebook-settings':
+                editFacebookSettings(id);
+                break;
             case 'retry-delivery':
                 retryDelivery(id);
                 // Handle modal dismissal if specified
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
+const { getPoolShareReport } = require('../services/distributionStrategies');
+const { getResaleReport } = require('../services/leadRecycling');
+const { getSaleModeReport, SALE_MODES } = require('../services/leadAssignments');
+const { getMarginReport } = require('../services/sourceCommercials');
 
 // Analytics dashboard
 router.get('/', async (req, res) => {
@@ -17,6 +21,8 @@ router.get('/', async (req, res) => {
                 COALESCE(SUM(ds.leads_received), 0) as total_leads,
                 COALESCE(SUM(ds.premium_leads), 0) as premium_leads,
                 COALESCE(SUM(ds.raw_leads), 0) as raw_leads,
+                COALESCE(SUM(ds.aged_leads), 0) as aged_leads,
+                COALESCE(SUM(ds.shared_leads), 0) as shared_leads,
                 COALESCE(SUM(ds.conversions), 0) as conversions,
                 COALESCE(SUM(ds.revenue), 0) as revenue,
                 CASE 
@@ -38,6 +44,8 @@ router.get('/', async (req, res) => {
                 SUM(ds.leads_received) as total_leads,
                 SUM(ds.premium_leads) as premium_leads,
                 SUM(ds.raw_leads) as raw_leads,
+                SUM(ds.aged_leads) as aged_leads,
+                SUM(ds.shared_leads) as shared_leads,
                 SUM(ds.conversions) as conversions,
                 SUM(ds.revenue) as revenue
             FROM distribution_stats ds
@@ -150,6 +158,12 @@ router.get('/', async (req, res) => {
             ORDER BY conversion_rate DESC, total_leads DESC
         `, [startDate, endDate + ' 23:59:59']);
 
+        // Configured vs. actual share per distribution pool
+        const poolShareStats = await getPoolShareReport(startDate, endDate);
+        const resaleStats = await getResaleReport(startDate, endDate);
+        const saleModeStats = await getSaleModeReport(startDate, endDate);
+        const marginStats = await getMarginReport(startDate, endDate);
+
         res.render('analytics/index', {
             title: 'Enhanced Analytics Dashboard',
             partnerStats: partnerStatsQuery.rows,
@@ -160,6 +174,11 @@ router.get('/', async (req, res) => {
             sourceStats: sourceStatsQuery.rows,
             hourlyStats: hourlyStatsQuery.rows,
             qualityStats: qualityStatsQuery.rows,
+            poolShareStats,
+            resaleStats,
+            saleModeStats,
+            saleModes: { ...SALE_MODES, aged: 'Aged' },
+            marginStats,
             startDate,
             endDate
         });
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
-const { distributeLead } = require('../services/distribution');
+const leadAssignments = require('../services/leadAssignments');
+const leadIntake = require('../services/leadIntake');
+const inboundSecurity = require('../services/inboundSecurity');
+const idempotency = require('../services/idempotency');
+const inboundFormats = require('../services/inboundFormats');
+const facebookLeadAds = require('../services/facebookLeadAds');
 
 // Authentication middleware for partner API endpoints
 const authenticatePartner = async (req, res, next) => {
@@ -84,15 +89,12 @@ const webhookRateLimit = (maxRequests = 200, windowMs = 60000) => {
     };
 };
 
-// Inbound webhook endpoint for receiving leads
-router.post('/webhook/:token', webhookRateLimit(200), async (req, res) => {
+// Resolve the webhook source from the URL token and apply its optional security checks
+const authenticateWebhookSource = async (req, res, next) => {
     try {
-        const { token } = req.params;
-        
-        // Verify webhook token
         const sourceResult = await pool.query(
             'SELECT * FROM webhook_sources WHERE webhook_token = $1 AND is_active = true',
-            [token]
+            [req.params.token]
         );
         
         if (sourceResult.rows.length === 0) {
@@ -100,175 +102,243 @@ router.post('/webhook/:token', webhookRateLimit(200), async (req, res) => {
         }
         
         const source = sourceResult.rows[0];
-        const leadData = req.body;
-        
-        // Extract and normalize lead data based on source type
-        let normalizedData = {};
-        
-        // **ENHANCED: Use webhook source lead_type for automatic premium/raw identification**
-        if (source.source_type === 'facebook') {
-            normalizedData = {
-                first_name: leadData.first_name || leadData.firstName,
-                last_name: leadData.last_name || leadData.lastName,
-                email: leadData.email,
-                phone: leadData.phone || leadData.phone_number,
-                country: leadData.country,
-                niche: leadData.niche || 'forex',
-                type: leadData.type || source.lead_type || 'raw', // Use source's configured lead type
-                utm_source: leadData.utm_source,
-                utm_campaign: leadData.utm_campaign,
-                utm_medium: leadData.utm_medium,
-                landing_page_url: leadData.landing_page_url,
-                // **NEW: Recovery-specific fields**
-                amount_lost: leadData.amount_lost || leadData.amountLost,
-                fraud_type: leadData.fraud_type || leadData.fraudType || leadData.type_of_fraud
-            };
-        } else if (source.source_type === 'landing_page') {
-            normalizedData = {
-                first_name: leadData.first_name,
-                last_name: leadData.last_name,
-                email: leadData.email,
-                phone: leadData.phone,
-                country: leadData.country, // May be empty from landing page
-                niche: leadData.niche,
-                type: leadData.type || source.lead_type || 'premium', // Use source's configured lead type
-                utm_source: leadData.utm_source,
-                utm_campaign: leadData.utm_campaign,
-                utm_medium: leadData.utm_medium,
-                landing_page_url: leadData.landing_page_url || leadData.page_url,
-                // **NEW: Recovery-specific fields**
-                amount_lost: leadData.amount_lost || leadData.amountLost,
-                fraud_type: leadData.fraud_type || leadData.fraudType || leadData.type_of_fraud
-            };
-        } else {
-            // Generic format - use source's lead_type
-            normalizedData = {
-                ...leadData,
-                type: leadData.type || source.lead_type || 'raw',
-                // **NEW: Recovery-specific fields**
-                amount_lost: leadData.amount_lost || leadData.amountLost,
-                fraud_type: leadData.fraud_type || leadData.fraudType || leadData.type_of_fraud
-            };
-        }
-        
-        // **NEW: Data Enrichment** - Automatically fill missing fields
-        const { enrichLeadData } = require('../services/dataEnrichment');
-        const enrichedData = await enrichLeadData(normalizedData, source);
-        
-        // **CRITICAL FIX**: Use webhook source country/niche/lead_type as defaults (correct precedence)
-        const finalCountry = normalizedData.country || source.country || enrichedData.country || 'unknown';
-        const finalNiche = normalizedData.niche || source.niche || enrichedData.niche || 'forex';
-        
-        // **ENHANCED: Robust lead type validation and normalization**
-        let finalLeadType = normalizedData.type || source.lead_type || 'raw';
-        
-        // Normalize and validate lead type to prevent INSERT failures
-        if (finalLeadType && typeof finalLeadType === 'string') {
-            finalLeadType = finalLeadType.toLowerCase().trim();
-            // Only allow valid lead types, fallback to source config if invalid
-            if (!['premium', 'raw'].includes(finalLeadType)) {
-                console.warn(`Invalid lead type '${normalizedData.type}' from webhook, using source default: ${source.lead_type}`);
-                finalLeadType = source.lead_type || 'raw';
+        
+        // **NEW: Optional IP allow-list and HMAC signature checks, refusals are audited per source**
+        const rejection = inboundSecurity.verifyInboundRequest(source, req);
+        if (rejection) {
+            await inboundSecurity.recordRejection(source.id, req.ip, rejection);
+            return res.status(rejection.reason === 'ip_not_allowed' ? 403 : 401).json({
+                error: inboundSecurity.REJECTION_REASONS[rejection.reason]
+            });
+        }
+        
+        req.webhookSource = source;
+        next();
+    } catch (error) {
+        console.error('Webhook source authentication error:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+};
+
+// Status and body for a single-lead intake result
+const buildWebhookResponse = (result) => {
+    const { duplicate } = result;
+    
+    if (result.outcome === 'merged') {
+        return {
+            status: 200,
+            body: {
+                success: true,
+                lead_id: duplicate.leadId,
+                duplicate: true,
+                duplicate_of: duplicate.leadId,
+                match_key: duplicate.matchKey,
+                message: 'Duplicate lead merged into existing lead'
+            }
+        };
+    }
+    if (result.outcome === 'invalid') {
+        return {
+            status: 422,
+            body: {
+                success: false,
+                error: 'Lead failed validation',
+                errors: result.errors
+            }
+        };
+    }
+    if (result.outcome === 'blocked') {
+        // Fraud reasons stay internal; they are listed on the fraud review page
+        return {
+            status: 422,
+            body: {
+                success: false,
+                error: 'Lead rejected',
+                reason: result.reason
+            }
+        };
+    }
+    if (result.outcome === 'capped') {
+        return {
+            status: 429,
+            body: {
+                success: false,
+                error: 'Source intake cap reached',
+                reason: result.reason
+            }
+        };
+    }
+    if (result.outcome === 'rejected') {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                duplicate: true,
+                duplicate_of: duplicate.leadId,
+                match_key: duplicate.matchKey,
+                error: 'Duplicate lead rejected'
             }
-        } else {
-            finalLeadType = source.lead_type || 'raw';
-        }
-        
-        // **NEW: Quality Scoring** - Calculate comprehensive quality score
-        const leadQualityScoring = require('../services/leadQualityScoring');
-        
-        // Prepare lead data for quality scoring
-        const leadForScoring = {
-            source: source.name,
-            type: finalLeadType, // Use source's configured lead type
-            niche: finalNiche,
-            country: finalCountry,
-            first_name: enrichedData.first_name,
-            last_name: enrichedData.last_name,
-            email: enrichedData.email,
-            phone: enrichedData.phone,
-            data: {
-                ...enrichedData,
-                original: leadData,
-                enrichment_score: enrichedData.data_completeness_score
-            },
-            created_at: new Date()
         };
+    }
+    
+    const body = {
+        success: true, 
+        lead_id: result.leadId,
+        quality_score: result.qualityScore.totalScore,
+        quality_tier: result.qualityScore.qualityTier,
+        distribution_priority: result.qualityScore.recommendation.priority,
+        duplicate: !!duplicate,
+        duplicate_of: duplicate ? duplicate.leadId : null,
+        match_key: duplicate ? duplicate.matchKey : null,
+        message: result.quarantined || result.parked
+            ? 'Lead received and held for review'
+            : 'Lead received, quality scored, and queued for distribution' 
+    };
+    if (result.warnings.length > 0) {
+        body.warnings = result.warnings;
+    }
+    
+    return { status: 200, body };
+};
+
+// Inbound webhook endpoint for receiving leads
+const receiveWebhookLead = async (req, res) => {
+    const source = req.webhookSource;
+    let idempotencyKey = null;
+    
+    // **NEW: Each source declares its payload format** - JSON, form-encoded, XML or a query-string pixel
+    if (req.method === 'GET' && source.payload_format !== 'query') {
+        return res.status(405).json({ error: 'This source accepts leads by POST. Set its payload format to query string to receive GET pixels.' });
+    }
+    
+    let payload;
+    try {
+        payload = inboundFormats.readInboundPayload(source, req);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    try {
+        // **NEW: A retried request with the same idempotency key gets the original response back**
+        idempotencyKey = idempotency.getIdempotencyKey(source, req, payload);
+        if (idempotencyKey) {
+            const claim = await idempotency.claimKey(source, idempotencyKey);
+            if (claim.replay) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(claim.replay.statusCode).json(claim.replay.body);
+            }
+            if (claim.inProgress) {
+                idempotencyKey = null;
+                return res.status(409).json({ error: 'A request with this idempotency key is still being processed. Retry shortly.' });
+            }
+        }
         
-        const qualityScore = await leadQualityScoring.calculateQualityScore(leadForScoring);
-        
-        // Insert enriched lead with quality scoring into database
-        const leadResult = await pool.query(`
-            INSERT INTO leads (source, type, niche, country, first_name, last_name, email, phone, data)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING id
-        `, [
-            source.name,
-            finalLeadType, // Use source's configured lead type  
-            finalNiche,
-            finalCountry,
-            enrichedData.first_name,
-            enrichedData.last_name,
-            enrichedData.email,
-            enrichedData.phone,
-            JSON.stringify({
-                original: leadData,
-                enriched: enrichedData,
-                enrichment_score: enrichedData.data_completeness_score,
-                webhook_source: {
-                    country: source.country,
-                    niche: source.niche,
-                    name: source.name
-                },
-                // **NEW: Quality Scoring Data**
-                quality_score: qualityScore.totalScore,
-                quality_tier: qualityScore.qualityTier,
-                quality_breakdown: qualityScore.breakdown,
-                distribution_recommendation: qualityScore.recommendation,
-                quality_calculated_at: new Date().toISOString()
-            })
-        ]);
-        
-        const leadId = leadResult.rows[0].id;
-        
-        // **NEW: Schedule promotional email for 30 minutes after lead arrival**
-        const { schedulePromotionalEmail } = require('../services/emailScheduler');
-        setImmediate(() => {
-            // Create lead object for email scheduling
-            const leadForEmail = {
-                id: leadId,
-                email: enrichedData.email,
-                first_name: enrichedData.first_name,
-                last_name: enrichedData.last_name,
-                country: finalCountry,
-                niche: finalNiche
-            };
-            
-            // Schedule promotional email if email is present
-            schedulePromotionalEmail(leadForEmail).catch(error => {
-                console.error(`Email scheduling failed for lead ${leadId}:`, error);
-            });
-        });
+        const result = await leadIntake.ingestLead(source, payload, { requestIp: req.ip, idempotencyKey });
+        const response = buildWebhookResponse(result);
         
-        // Trigger distribution asynchronously
-        setImmediate(() => {
-            distributeLead(leadId).catch(error => {
-                console.error(`Distribution failed for lead ${leadId}:`, error);
+        if (idempotencyKey) {
+            // The lead is already attached to the key, so a failure here only loses the stored response
+            await idempotency.completeKey(source, idempotencyKey, response.status, response.body).catch(completeError => {
+                console.error('Idempotency key completion error:', completeError);
             });
-        });
-        res.json({ 
-            success: true, 
-            lead_id: leadId,
-            quality_score: qualityScore.totalScore,
-            quality_tier: qualityScore.qualityTier,
-            distribution_priority: qualityScore.recommendation.priority,
-            message: 'Lead received, quality scored, and queued for distribution' 
-        });
+        }
+        
+        res.status(response.status).json(response.body);
         
     } catch (error) {
         console.error('Webhook processing error:', error);
+        if (idempotencyKey) {
+            await idempotency.releaseKey(source, idempotencyKey).catch(releaseError => {
+                console.error('Idempotency key release error:', releaseError);
+            });
+        }
         res.status(500).json({ error: 'Failed to process webhook' });
     }
+};
+
+router.post('/webhook/:token', webhookRateLimit(200), authenticateWebhookSource, receiveWebhookLead);
+router.get('/webhook/:token', webhookRateLimit(200), authenticateWebhookSource, receiveWebhookLead);
+
+// **NEW: Facebook Lead Ads** - callback URL verification (hub.challenge)
+router.get('/webhook/:token/facebook', webhookRateLimit(200), async (req, res) => {
+    try {
+        const source = await facebookLeadAds.findFacebookSource(req.params.token);
+        if (!source) {
+            return res.status(401).json({ error: 'Invalid webhook token' });
+        }
+        
+        const challenge = facebookLeadAds.verifySubscription(source, req.query);
+        if (challenge === null) {
+            return res.status(403).json({ error: 'Verification failed' });
+        }
+        
+        res.type('text/plain').send(challenge);
+    } catch (error) {
+        console.error('Facebook verification error:', error);
+        res.status(500).json({ error: 'Failed to verify webhook' });
+    }
+});
+
+// **NEW: Facebook Lead Ads** - leadgen notifications; leads are fetched from the Graph API after answering
+router.post('/webhook/:token/facebook', webhookRateLimit(200), async (req, res) => {
+    try {
+        const source = await facebookLeadAds.findFacebookSource(req.params.token);
+        if (!source) {
+            return res.status(401).json({ error: 'Invalid webhook token' });
+        }
+        
+        const rejection = facebookLeadAds.verifySignature(source, req);
+        if (rejection) {
+            await inboundSecurity.recordRejection(source.id, req.ip, rejection);
+            return res.status(401).json({ error: inboundSecurity.REJECTION_REASONS[rejection.reason] });
+        }
+        
+        const changes = facebookLeadAds.extractLeadgenChanges(req.body);
+        const recorded = await facebookLeadAds.recordEvents(source, changes);
+        
+        // Facebook expects a quick 200, so retrieval runs after the response
+        if (recorded > 0) {
+            setImmediate(() => {
+                facebookLeadAds.processPendingEvents().catch(error => {
+                    console.error('Facebook lead retrieval failed:', error);
+                });
+            });
+        }
+        
+        res.json({ success: true, received: changes.length, queued: recorded });
+    } catch (error) {
+        console.error('Facebook notification error:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
+// **NEW: Batch webhook endpoint** - each lead runs through the single-lead pipeline in its own transaction
+router.post('/webhook/:token/batch', webhookRateLimit(200), authenticateWebhookSource, async (req, res) => {
+    try {
+        const items = Array.isArray(req.body) ? req.body : req.body.leads;
+        
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Send a JSON array of leads, or an object with a "leads" array' });
+        }
+        if (items.length > leadIntake.MAX_BATCH_SIZE) {
+            return res.status(413).json({ error: `A batch can contain at most ${leadIntake.MAX_BATCH_SIZE} leads` });
+        }
+        
+        const results = await leadIntake.ingestBatch(req.webhookSource, items, { requestIp: req.ip });
+        const accepted = results.filter(result => !result.rejected).length;
+        
+        res.json({
+            success: true,
+            received: items.length,
+            accepted,
+            rejected: items.length - accepted,
+            results
+        });
+        
+    } catch (error) {
+        console.error('Batch webhook processing error:', error);
+        res.status(500).json({ error: 'Failed to process webhook batch' });
+    }
 });
 
 // Legacy postback endpoint for conversion tracking (SECURED)
@@ -282,13 +352,10 @@ router.post('/postback/:partner_id', authenticatePartner, rateLimit(30), async (
             return res.status(403).json({ error: 'Cannot report conversions for other partners' });
         }
         
-        // Verify lead exists and belongs to this partner
-        const leadResult = await pool.query(
-            'SELECT * FROM leads WHERE id = $1 AND assigned_partner_id = $2',
-            [lead_id, partner_id]
-        );
+        // Verify lead exists and was sold to this partner (exclusively or shared)
+        const assignedLead = await leadAssignments.findLeadForPartner(pool, lead_id, partner_id);
         
-        if (leadResult.rows.length === 0) {
+        if (!assignedLead) {
             return res.status(404).json({ error: 'Lead not found or not assigned to this partner' });
         }
         
@@ -302,9 +369,10 @@ router.post('/postback/:partner_id', authenticatePartner, rateLimit(30), async (
                 // Update lead status
                 await client.query(`
                     UPDATE leads 
-                    SET status = 'converted', converted_at = CURRENT_TIMESTAMP 
-                    WHERE id = $1 AND assigned_partner_id = $2
-                `, [lead_id, partner_id]);
+                    SET status = 'converted', converted_at = COALESCE(converted_at, CURRENT_TIMESTAMP) 
+                    WHERE id = $1
+                `, [lead_id]);
+                await leadAssignments.updateAssignmentStatus(client, lead_id, partner_id, 'converted');
                 
                 // Record conversion with DB-level uniqueness constraint
                 await client.query(`
@@ -362,18 +430,13 @@ router.post('/conversion/:partnerId', authenticatePartner, rateLimit(50), async
             return res.status(403).json({ error: 'Cannot report conversions for other partners' });
         }
         
-        // Verify lead exists and belongs to this partner
-        const leadResult = await pool.query(
-            'SELECT * FROM leads WHERE id = $1 AND assigned_partner_id = $2',
-            [lead_id, partnerId]
-        );
+        // Verify lead exists and was sold to this partner (exclusively or shared)
+        const lead = await leadAssignments.findLeadForPartner(pool, lead_id, partnerId);
         
-        if (leadResult.rows.length === 0) {
+        if (!lead) {
             return res.status(404).json({ error: 'Lead not found or not assigned to this partner' });
         }
         
-        const lead = leadResult.rows[0];
-        
         // Record conversion with idempotency protection
         try {
             await pool.query(`
@@ -415,6 +478,10 @@ router.post('/conversion/:partnerId', authenticatePartner, rateLimit(50), async
                 END
             WHERE id = $3
         `, [conversion_value || 0, JSON.stringify(statusHistory), lead_id, conversion_type]);
+
+        if (['deposit', 'sale'].includes(conversion_type)) {
+            await leadAssignments.updateAssignmentStatus(pool, lead_id, partnerId, 'converted');
+        }
         
         res.json({
             success: true,
@@ -436,14 +503,15 @@ router.get('/lead/:leadId/status', authenticatePartner, rateLimit(100), async (r
         const { leadId } = req.params;
         
         const result = await pool.query(`
-            SELECT l.*, p.name as partner_name,
+            SELECT l.*, p.name as partner_name, la.sale_mode,
                    COALESCE(
-                       (SELECT COUNT(*) FROM lead_conversions WHERE lead_id = l.id), 0
+                       (SELECT COUNT(*) FROM lead_conversions WHERE lead_id = l.id AND partner_id = la.partner_id), 0
                    ) as conversion_count
             FROM leads l
-            LEFT JOIN partners p ON l.assigned_partner_id = p.id
-            WHERE l.id = $1 AND l.assigned_partner_id = $2
-        `, [leadId, req.partner.partner_id]);
+            JOIN lead_assignments la ON la.lead_id = l.id AND la.partner_id = $2 AND la.status = ANY($3::text[])
+            LEFT JOIN partners p ON la.partner_id = p.id
+            WHERE l.id = $1
+        `, [leadId, req.partner.partner_id, leadAssignments.LIVE_STATUSES]);
         
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Lead not found' });
@@ -451,12 +519,12 @@ router.get('/lead/:leadId/status', authenticatePartner, rateLimit(100), async (r
         
         const lead = result.rows[0];
         
-        // Get conversion history
+        // Get this partner's conversion history
         const conversionsResult = await pool.query(`
             SELECT * FROM lead_conversions 
-            WHERE lead_id = $1 
+            WHERE lead_id = $1 AND partner_id = $2
             ORDER BY created_at ASC
-        `, [leadId]);
+        `, [leadId, req.partner.partner_id]);
         
         res.json({
             success: true,
@@ -468,6 +536,7 @@ router.get('/lead/:leadId/status', authenticatePartner, rateLimit(100), async (r
                 conversion_value: lead.conversion_value,
                 converted_at: lead.converted_at,
                 partner_name: lead.partner_name,
+                sale_mode: lead.sale_mode,
                 status_history: lead.status_history || [],
                 conversions: conversionsResult.rows,
                 conversion_count: lead.conversion_count
@@ -486,7 +555,7 @@ router.get('/analytics/cpa', authenticatePartner, rateLimit(20), async (req, res
         const { date_from, date_to } = req.query;
         
         // Only show analytics for the authenticated partner
-        let whereClause = `l.assigned_partner_id = $1`;
+        let whereClause = `la.partner_id = $1 AND la.status IN ('assigned', 'delivered', 'converted')`;
         const params = [req.partner.partner_id];
         let paramCount = 1;
         
@@ -506,12 +575,13 @@ router.get('/analytics/cpa', authenticatePartner, rateLimit(20), async (req, res
                     p.id as partner_id,
                     p.name as partner_name,
                     COUNT(l.id) as total_leads,
-                    COUNT(CASE WHEN l.converted_at IS NOT NULL THEN 1 END) as conversions,
+                    COUNT(CASE WHEN la.converted_at IS NOT NULL THEN 1 END) as conversions,
                     COALESCE(SUM(l.conversion_value), 0) as revenue,
                     AVG(l.quality_score) as avg_quality_score,
                     COUNT(CASE WHEN l.quality_score >= 75 THEN 1 END) as high_quality_leads
                 FROM leads l
-                JOIN partners p ON l.assigned_partner_id = p.id
+                JOIN lead_assignments la ON la.lead_id = l.id
+                JOIN partners p ON la.partner_id = p.id
                 WHERE ${whereClause}
                 GROUP BY p.id, p.name
             )
@@ -574,13 +644,10 @@ router.post('/postback/status/:token', webhookRateLimit(100), async (req, res) =
             }
         }
         
-        // Verify lead exists and belongs to this partner
-        const leadResult = await pool.query(
-            'SELECT * FROM leads WHERE id = $1 AND assigned_partner_id = $2',
-            [lead_id, config.partner_id]
-        );
+        // Verify lead exists and was sold to this partner (exclusively or shared)
+        const assignedLead = await leadAssignments.findLeadForPartner(pool, lead_id, config.partner_id);
         
-        if (leadResult.rows.length === 0) {
+        if (!assignedLead) {
             return res.status(404).json({ error: 'Lead not found or not assigned to this partner' });
         }
         
@@ -642,6 +709,10 @@ router.post('/postback/status/:token', webhookRateLimit(100), async (req, res) =
             END
             WHERE id = $1
         `, [lead_id, mappedStatus, conversion_value, quality_score]);
+
+        if (mappedStatus === 'converted') {
+            await leadAssignments.updateAssignmentStatus(pool, lead_id, config.partner_id, 'converted');
+        }
         
         res.json({
             success: true,
@@ -32,19 +32,20 @@ router.get('/', async (req, res) => {
         // Get business hours analytics
         const analytics = await businessHoursIntelligence.getBusinessHoursAnalytics(startDate, endDate);
 
-        // Get scheduled deliveries status
+        // Leads waiting for a partner to open, next due first
         const scheduledDeliveries = await pool.query(`
             SELECT 
-                sd.id, sd.lead_id, sd.partner_id, sd.scheduled_time, sd.status,
+                sd.id, sd.lead_id, sd.partner_id, sd.scheduled_time, sd.status, sd.attempts,
                 l.source, l.niche, l.country, l.type,
                 p.name as partner_name, p.timezone
             FROM scheduled_deliveries sd
             JOIN leads l ON sd.lead_id = l.id
             JOIN partners p ON sd.partner_id = p.id
-            WHERE sd.status IN ('scheduled', 'delivered')
-            ORDER BY sd.scheduled_time DESC
-            LIMIT 50
+            WHERE sd.status = 'scheduled'
+            ORDER BY sd.scheduled_time ASC
+            LIMIT 100
         `);
+        const scheduledBacklog = await businessHoursIntelligence.getScheduledBacklog();
 
         // Current availability status for each partner
         const partnersWithAvailability = [];
@@ -73,6 +74,7 @@ router.get('/', async (req, res) => {
             partners: partnersWithAvailability,
             analytics: analytics,
             scheduledDeliveries: scheduledDeliveries.rows,
+            scheduledBacklog,
             supportedTimezones: businessHoursIntelligence.getSupportedTimezones(),
             startDate,
             endDate
@@ -370,6 +372,19 @@ router.get('/api/scheduled-deliveries', async (req, res) => {
     }
 });
 
+/**
+ * API: Live scheduled backlog (polled by the dashboard)
+ */
+router.get('/api/scheduled-backlog', async (req, res) => {
+    try {
+        const backlog = await businessHoursIntelligence.getScheduledBacklog();
+        res.json({ success: true, backlog });
+    } catch (error) {
+        console.error('Scheduled backlog API error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch scheduled backlog' });
+    }
+});
+
 /**
  * API: Bulk Update Partner Timezones (useful for initial setup)
  */
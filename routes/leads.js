@@ -1,12 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
-const { distributeLead } = require('../services/distribution');
+const { getLeadBids } = require('../services/pingPost');
+const { distributeLead, FAILURE_REASONS, FAILURE_CODES, MAX_LEAD_RETRIES, getFailureCode } = require('../services/distribution');
+const leadDeduplication = require('../services/leadDeduplication');
+const leadRecycling = require('../services/leadRecycling');
+const leadAssignments = require('../services/leadAssignments');
+const leadImport = require('../services/leadImport');
+const leadFraud = require('../services/leadFraud');
+const disposableEmailDomains = require('../services/disposableEmailDomains');
+const multer = require('multer');
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: leadImport.MAX_FILE_SIZE, files: 1 }
+});
 
 // Get all leads
 router.get('/', async (req, res) => {
     try {
         const { status, niche, country, type } = req.query;
+        const failureCode = FAILURE_CODES[req.query.failure_code] ? req.query.failure_code : null;
         let query = `
             SELECT l.*, p.name as partner_name 
             FROM leads l 
@@ -32,6 +46,10 @@ router.get('/', async (req, res) => {
             query += ` AND l.type = $${++paramCount}`;
             params.push(type);
         }
+        if (failureCode) {
+            query += ` AND l.status = 'failed' AND l.failure_reason = ANY($${++paramCount}::text[])`;
+            params.push(FAILURE_CODES[failureCode].reasons);
+        }
 
         query += ' ORDER BY l.created_at DESC LIMIT 500';
         
@@ -42,13 +60,18 @@ router.get('/', async (req, res) => {
             countries: ['germany', 'austria', 'spain', 'canada', 'italy', 'uk', 'norway'],
             niches: ['forex', 'recovery'],
             types: ['premium', 'raw'],
-            statuses: ['pending', 'distributed', 'converted', 'failed'],
+            statuses: ['pending', 'auctioning', 'distributed', 'converted', 'failed', 'held', 'quarantined'],
+            failureReasons: FAILURE_REASONS,
+            failureCodes: FAILURE_CODES,
+            getFailureCode,
+            maxLeadRetries: MAX_LEAD_RETRIES,
             // Pass current query parameters for filter selection
             currentFilters: {
                 status: status || '',
                 country: country || '',
                 niche: niche || '',
-                type: type || ''
+                type: type || '',
+                failure_code: failureCode || ''
             }
         });
     } catch (error) {
@@ -57,6 +80,454 @@ router.get('/', async (req, res) => {
     }
 });
 
+// Duplicate leads and dedupe settings
+router.get('/duplicates', async (req, res) => {
+    try {
+        const policy = leadDeduplication.DUPLICATE_POLICIES[req.query.policy] ? req.query.policy : null;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+        
+        const [duplicates, settings, sourcesResult] = await Promise.all([
+            leadDeduplication.getDuplicates({ policy, days }),
+            leadDeduplication.listDedupeSettings(),
+            pool.query('SELECT id, name, niche FROM webhook_sources ORDER BY name')
+        ]);
+        
+        res.render('leads/duplicates', {
+            title: 'Duplicate Leads',
+            duplicates,
+            settings,
+            sources: sourcesResult.rows,
+            niches: ['forex', 'recovery'],
+            matchKeys: leadDeduplication.MATCH_KEYS,
+            policies: leadDeduplication.DUPLICATE_POLICIES,
+            defaultSettings: leadDeduplication.DEFAULT_SETTINGS,
+            currentFilters: {
+                policy: policy || '',
+                days: String(days)
+            }
+        });
+    } catch (error) {
+        console.error('Duplicates fetch error:', error);
+        res.status(500).render('error', { error: 'Failed to fetch duplicate leads' });
+    }
+});
+
+router.post('/dedupe-settings', async (req, res) => {
+    let settings;
+    try {
+        settings = leadDeduplication.parseDedupeSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const saved = await leadDeduplication.saveDedupeSettings(settings);
+        res.json({ success: true, settings: saved });
+    } catch (error) {
+        console.error('Save dedupe settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save dedupe settings' });
+    }
+});
+
+router.delete('/dedupe-settings/:id', async (req, res) => {
+    try {
+        const deleted = await leadDeduplication.deleteDedupeSettings(req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Dedupe settings not found' });
+        }
+        
+        res.json({ success: true, message: 'Dedupe settings deleted' });
+    } catch (error) {
+        console.error('Delete dedupe settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete dedupe settings' });
+    }
+});
+
+// Exclusive vs shared sale settings and recent shared sales
+router.get('/sale-modes', async (req, res) => {
+    try {
+        const [settings, sharedSales, sourcesResult, sharedPartnersResult] = await Promise.all([
+            leadAssignments.listSaleModeSettings(),
+            leadAssignments.getRecentSharedSales(),
+            pool.query('SELECT id, name, niche FROM webhook_sources ORDER BY name'),
+            pool.query(`
+                SELECT id, name, country, niche, shared_lead_price
+                FROM partners
+                WHERE accepts_shared_leads = true AND status = 'active'
+                ORDER BY name
+            `)
+        ]);
+        
+        res.render('leads/sale-modes', {
+            title: 'Sale Modes',
+            settings,
+            sharedSales,
+            sources: sourcesResult.rows,
+            sharedPartners: sharedPartnersResult.rows,
+            saleModes: leadAssignments.SALE_MODES,
+            qualityTiers: leadAssignments.QUALITY_TIERS
+        });
+    } catch (error) {
+        console.error('Sale modes fetch error:', error);
+        res.status(500).render('error', { error: 'Failed to fetch sale mode settings' });
+    }
+});
+
+router.post('/sale-mode-settings', async (req, res) => {
+    let settings;
+    try {
+        settings = leadAssignments.parseSaleModeSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const saved = await leadAssignments.saveSaleModeSettings(settings);
+        res.json({ success: true, settings: saved });
+    } catch (error) {
+        console.error('Save sale mode settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save sale mode settings' });
+    }
+});
+
+router.delete('/sale-mode-settings/:id', async (req, res) => {
+    try {
+        const deleted = await leadAssignments.deleteSaleModeSettings(req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Sale mode settings not found' });
+        }
+        
+        res.json({ success: true, message: 'Sale mode settings deleted' });
+    } catch (error) {
+        console.error('Delete sale mode settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete sale mode settings' });
+    }
+});
+
+// Lead recycling rules and recent aged resales
+router.get('/recycling', async (req, res) => {
+    try {
+        const [rules, resales] = await Promise.all([
+            leadRecycling.listRecyclingRules(),
+            leadRecycling.getRecentResales()
+        ]);
+        
+        res.render('leads/recycling', {
+            title: 'Lead Recycling',
+            rules,
+            resales,
+            statuses: leadRecycling.RECYCLABLE_STATUSES,
+            countries: ['germany', 'austria', 'spain', 'canada', 'italy', 'uk', 'norway'],
+            niches: ['forex', 'recovery']
+        });
+    } catch (error) {
+        console.error('Recycling fetch error:', error);
+        res.status(500).render('error', { error: 'Failed to fetch recycling rules' });
+    }
+});
+
+router.post('/recycling/run', async (req, res) => {
+    try {
+        const result = await leadRecycling.recycleLeads();
+        
+        if (result.skipped) {
+            return res.status(409).json({ success: false, error: 'A recycling run is already in progress' });
+        }
+        
+        res.json({ success: true, resold: result.resold, message: `${result.resold} lead(s) resold` });
+    } catch (error) {
+        console.error('Recycling run error:', error);
+        res.status(500).json({ success: false, error: 'Failed to run lead recycling' });
+    }
+});
+
+router.post('/recycling-rules', async (req, res) => {
+    let rule;
+    try {
+        rule = leadRecycling.parseRecyclingRule(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const created = await leadRecycling.createRecyclingRule(rule);
+        res.json({ success: true, rule: created });
+    } catch (error) {
+        console.error('Create recycling rule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create recycling rule' });
+    }
+});
+
+router.put('/recycling-rules/:id/toggle', async (req, res) => {
+    try {
+        const rule = await leadRecycling.toggleRecyclingRule(req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Recycling rule not found' });
+        }
+        
+        res.json({ success: true, rule });
+    } catch (error) {
+        console.error('Toggle recycling rule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update recycling rule' });
+    }
+});
+
+router.delete('/recycling-rules/:id', async (req, res) => {
+    try {
+        const deleted = await leadRecycling.deleteRecyclingRule(req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Recycling rule not found' });
+        }
+        
+        res.json({ success: true, message: 'Recycling rule deleted' });
+    } catch (error) {
+        console.error('Delete recycling rule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete recycling rule' });
+    }
+});
+
+// Fraud review queue: quarantined leads, recent blocks, thresholds and the disposable domain list
+router.get('/fraud', async (req, res) => {
+    try {
+        const [quarantined, blocked, summary, settings, domains] = await Promise.all([
+            leadFraud.getQuarantinedLeads(),
+            leadFraud.getRecentBlocked(),
+            leadFraud.getCheckSummary(),
+            leadFraud.getFraudSettings(),
+            disposableEmailDomains.listDomains()
+        ]);
+        
+        res.render('leads/fraud', {
+            title: 'Fraud Review',
+            quarantined,
+            blocked,
+            summary,
+            settings,
+            domains,
+            checks: leadFraud.FRAUD_CHECKS,
+            actions: leadFraud.FRAUD_ACTIONS
+        });
+    } catch (error) {
+        console.error('Fraud review fetch error:', error);
+        res.status(500).render('error', { error: 'Failed to load the fraud review queue' });
+    }
+});
+
+router.put('/fraud-settings', async (req, res) => {
+    let settings;
+    try {
+        settings = leadFraud.parseFraudSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const saved = await leadFraud.saveFraudSettings(settings);
+        res.json({ success: true, settings: saved });
+    } catch (error) {
+        console.error('Save fraud settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save fraud settings' });
+    }
+});
+
+router.post('/fraud/:id/release', async (req, res) => {
+    try {
+        const released = await leadFraud.releaseQuarantinedLead(req.params.id);
+        
+        if (!released) {
+            return res.status(404).json({ success: false, error: 'Lead is not quarantined' });
+        }
+        
+        await distributeLead(parseInt(req.params.id));
+        res.json({ success: true, message: 'Lead released to distribution' });
+    } catch (error) {
+        console.error('Release quarantined lead error:', error);
+        res.status(500).json({ success: false, error: 'Failed to release lead' });
+    }
+});
+
+router.post('/fraud/:id/reject', async (req, res) => {
+    try {
+        const note = (req.body.note || '').trim() || null;
+        const rejected = await leadFraud.rejectQuarantinedLead(req.params.id, note);
+        
+        if (!rejected) {
+            return res.status(404).json({ success: false, error: 'Lead is not quarantined' });
+        }
+        
+        res.json({ success: true, message: 'Lead rejected' });
+    } catch (error) {
+        console.error('Reject quarantined lead error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reject lead' });
+    }
+});
+
+router.post('/disposable-domains', async (req, res) => {
+    let domains;
+    try {
+        domains = disposableEmailDomains.parseDomains(req.body.domains);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const added = await disposableEmailDomains.addDomains(domains);
+        res.json({ success: true, added, message: `${added} domain(s) added` });
+    } catch (error) {
+        console.error('Add disposable domains error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add disposable domains' });
+    }
+});
+
+router.delete('/disposable-domains/:domain', async (req, res) => {
+    try {
+        const removed = await disposableEmailDomains.removeDomain(req.params.domain);
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Domain is not on the list' });
+        }
+        
+        res.json({ success: true, message: 'Domain removed' });
+    } catch (error) {
+        console.error('Remove disposable domain error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove disposable domain' });
+    }
+});
+
+// Bulk lead import wizard and recent import jobs
+router.get('/import', async (req, res) => {
+    try {
+        const [jobs, sourcesResult] = await Promise.all([
+            leadImport.listImportJobs(),
+            pool.query('SELECT id, name FROM webhook_sources ORDER BY name')
+        ]);
+        
+        res.render('leads/import', {
+            title: 'Import Leads',
+            jobs,
+            sources: sourcesResult.rows,
+            fields: leadImport.IMPORT_FIELDS,
+            distributionModes: leadImport.DISTRIBUTION_MODES,
+            maxRows: leadImport.MAX_IMPORT_ROWS,
+            countries: ['germany', 'austria', 'spain', 'canada', 'italy', 'uk', 'norway'],
+            niches: ['forex', 'recovery']
+        });
+    } catch (error) {
+        console.error('Import page error:', error);
+        res.status(500).render('error', { error: 'Failed to load lead import' });
+    }
+});
+
+router.post('/import/upload', (req, res) => {
+    importUpload.single('file')(req, res, async (uploadError) => {
+        if (uploadError) {
+            const message = uploadError.code === 'LIMIT_FILE_SIZE'
+                ? `Files can be at most ${leadImport.MAX_FILE_SIZE / 1024 / 1024} MB`
+                : 'Upload failed';
+            return res.status(400).json({ success: false, error: message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Choose a CSV or XLSX file' });
+        }
+        
+        let parsed;
+        try {
+            parsed = await leadImport.parseImportFile(req.file);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        try {
+            const job = await leadImport.createImportJob(req.file.originalname, parsed);
+            res.json({
+                success: true,
+                job,
+                sample: parsed.rows.slice(0, 5),
+                suggested_mapping: leadImport.suggestColumnMapping(parsed.headers)
+            });
+        } catch (error) {
+            console.error('Import upload error:', error);
+            res.status(500).json({ success: false, error: 'Failed to store the uploaded file' });
+        }
+    });
+});
+
+router.post('/import/:id/preview', async (req, res) => {
+    try {
+        const job = await leadImport.getImportJob(req.params.id, { withRows: true });
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Import not found' });
+        }
+        if (!['uploaded', 'previewed'].includes(job.status)) {
+            return res.status(409).json({ success: false, error: 'This import has already run' });
+        }
+        
+        let options;
+        try {
+            options = leadImport.parseImportOptions(req.body, job.headers);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        const preview = await leadImport.previewImportJob(job, options);
+        res.json({ success: true, preview });
+    } catch (error) {
+        console.error('Import preview error:', error);
+        res.status(500).json({ success: false, error: 'Failed to validate the import' });
+    }
+});
+
+router.post('/import/:id/run', async (req, res) => {
+    try {
+        const started = await leadImport.startImportJob(req.params.id);
+        
+        if (!started) {
+            return res.status(409).json({ success: false, error: 'Preview the import before running it, and run it only once' });
+        }
+        
+        res.json({ success: true, message: 'Import started' });
+    } catch (error) {
+        console.error('Import run error:', error);
+        res.status(500).json({ success: false, error: 'Failed to start the import' });
+    }
+});
+
+router.get('/import/:id/status', async (req, res) => {
+    try {
+        const job = await leadImport.getImportJob(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Import not found' });
+        }
+        
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Import status error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch import status' });
+    }
+});
+
+router.get('/import/:id/errors.csv', async (req, res) => {
+    try {
+        const report = await leadImport.buildErrorReport(req.params.id);
+        
+        if (report === null) {
+            return res.status(404).render('error', { error: 'Import not found' });
+        }
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="import-${parseInt(req.params.id)}-errors.csv"`);
+        res.send(report);
+    } catch (error) {
+        console.error('Import error report error:', error);
+        res.status(500).render('error', { error: 'Failed to build the error report' });
+    }
+});
+
 // Get single lead details
 router.get('/:id', async (req, res) => {
     try {
@@ -87,6 +558,41 @@ router.get('/:id', async (req, res) => {
         
         lead.deliveries = deliveriesResult.rows;
         
+        // Get per-partner routing decisions made when the lead was distributed
+        const evaluationsResult = await pool.query(`
+            SELECT lre.*, p.name as partner_name
+            FROM lead_routing_evaluations lre
+            JOIN partners p ON lre.partner_id = p.id
+            WHERE lre.lead_id = $1
+            ORDER BY lre.created_at, lre.id
+        `, [id]);
+        
+        lead.routing_evaluations = evaluationsResult.rows;
+        lead.bids = await getLeadBids(id);
+
+        // Get every partner tried in the distribution waterfall
+        const attemptsResult = await pool.query(`
+            SELECT lda.*, p.name as partner_name
+            FROM lead_distribution_attempts lda
+            JOIN partners p ON lda.partner_id = p.id
+            WHERE lda.lead_id = $1
+            ORDER BY lda.hop, lda.id
+        `, [id]);
+        
+        lead.distribution_attempts = attemptsResult.rows;
+        
+        // Later arrivals that matched this lead, and the lead this one duplicated
+        const duplicatesResult = await pool.query(`
+            SELECT * FROM lead_duplicates
+            WHERE duplicate_of = $1 OR lead_id = $1
+            ORDER BY created_at DESC
+        `, [id]);
+        
+        lead.duplicates = duplicatesResult.rows;
+        lead.resales = await leadRecycling.getLeadResales(id);
+        lead.assignments = await leadAssignments.getLeadAssignments(id);
+        lead.failure_reason_label = lead.failure_reason ? (FAILURE_REASONS[lead.failure_reason] || lead.failure_reason) : null;
+        
         res.json({ success: true, lead });
     } catch (error) {
         console.error('Lead details fetch error:', error);
@@ -98,12 +604,15 @@ router.get('/:id', async (req, res) => {
 router.post('/inject', async (req, res) => {
     try {
         const { source, type, niche, country, first_name, last_name, email, phone, data } = req.body;
+        const dedupeKeys = leadDeduplication.buildDedupeKeys({ email, phone, country, first_name, last_name });
         
         const result = await pool.query(`
-            INSERT INTO leads (source, type, niche, country, first_name, last_name, email, phone, data)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            INSERT INTO leads (source, type, niche, country, first_name, last_name, email, phone, data,
+                               email_normalized, phone_e164, name_normalized)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
             RETURNING id
-        `, [source, type, niche, country, first_name, last_name, email, phone, JSON.stringify(data || {})]);
+        `, [source, type, niche, country, first_name, last_name, email, phone, JSON.stringify(data || {}),
+            dedupeKeys.email_normalized, dedupeKeys.phone_e164, dedupeKeys.name_normalized]);
         
         const leadId = result.rows[0].id;
         
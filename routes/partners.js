@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { pool, safeQuery, executeWithRetry } = require('../config/db');
 const axios = require('axios');
+const routingRules = require('../services/routingRules');
+const distributionStrategies = require('../services/distributionStrategies');
+const partnerCaps = require('../services/partnerCaps');
 
 /**
  * Merge authentication config while preserving existing secrets
@@ -117,6 +120,7 @@ router.get('/', async (req, res) => {
                 p.id, p.premium_ratio as target_ratio,
                 COALESCE(ds.leads_received, 0) as leads_received, 
                 COALESCE(ds.premium_leads, 0) as premium_leads,
+                COALESCE(ds.raw_leads, 0) as raw_leads,
                 CASE 
                     WHEN COALESCE(ds.leads_received, 0) > 0 
                     THEN COALESCE(ds.premium_leads, 0)::decimal / COALESCE(ds.leads_received, 0) 
@@ -128,17 +132,22 @@ router.get('/', async (req, res) => {
         `;
         const partnerIds = result.rows.map(p => p.id);
         const statsResult = partnerIds.length > 0 ? await pool.query(statsQuery, [partnerIds]) : { rows: [] };
+        const periodUsage = await partnerCaps.loadPeriodUsage(pool, partnerIds);
         
         // Merge stats with partner data
         const partnersWithStats = result.rows.map(partner => {
             const stats = statsResult.rows.find(s => s.id === partner.id) || {};
-            return {
+            const partnerWithStats = {
                 ...partner,
                 todays_leads: stats.leads_received || 0,
                 todays_premium: stats.premium_leads || 0,
+                todays_raw: stats.raw_leads || 0,
                 actual_ratio: stats.actual_ratio || 0,
                 target_ratio: stats.target_ratio || partner.premium_ratio
             };
+            partnerWithStats.capacity = partnerCaps.getTypeCapacity(partnerWithStats);
+            partnerWithStats.cap_usage = partnerCaps.getCapUsage(partnerWithStats, periodUsage.get(partner.id));
+            return partnerWithStats;
         });
         
         res.render('partners/index', { 
@@ -466,6 +475,240 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// Routing rules endpoints
+router.get('/:id/routing-rules', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const rules = await routingRules.getPartnerRules(id);
+
+        res.json({
+            success: true,
+            rules,
+            fields: routingRules.RULE_FIELDS,
+            operators: routingRules.RULE_OPERATORS
+        });
+    } catch (error) {
+        console.error('Get routing rules error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get routing rules' });
+    }
+});
+
+router.post('/:id/routing-rules', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { field, operator, value, rule_type, description } = req.body;
+
+        if (rule_type && !['include', 'exclude'].includes(rule_type)) {
+            return res.status(400).json({ success: false, error: 'Rule type must be include or exclude' });
+        }
+
+        let parsedValue;
+        try {
+            parsedValue = routingRules.parseRuleValue(field, operator, value);
+        } catch (validationError) {
+            return res.status(400).json({ success: false, error: validationError.message });
+        }
+
+        const partnerResult = await pool.query('SELECT id FROM partners WHERE id = $1', [id]);
+        if (partnerResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Partner not found' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO partner_routing_rules (partner_id, field, operator, value, rule_type, description)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [id, field, operator, JSON.stringify(parsedValue), rule_type || 'include', description || null]);
+
+        const rule = result.rows[0];
+        res.json({ success: true, rule: { ...rule, description: routingRules.describeRule(rule) } });
+    } catch (error) {
+        console.error('Create routing rule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create routing rule' });
+    }
+});
+
+router.put('/:id/routing-rules/:ruleId/toggle', async (req, res) => {
+    try {
+        const { id, ruleId } = req.params;
+        const result = await pool.query(`
+            UPDATE partner_routing_rules
+            SET is_active = NOT is_active, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND partner_id = $2
+            RETURNING is_active
+        `, [ruleId, id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Routing rule not found' });
+        }
+
+        res.json({ success: true, is_active: result.rows[0].is_active });
+    } catch (error) {
+        console.error('Toggle routing rule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update routing rule' });
+    }
+});
+
+router.delete('/:id/routing-rules/:ruleId', async (req, res) => {
+    try {
+        const { id, ruleId } = req.params;
+        await pool.query('DELETE FROM partner_routing_rules WHERE id = $1 AND partner_id = $2', [ruleId, id]);
+        res.json({ success: true, message: 'Routing rule deleted successfully' });
+    } catch (error) {
+        console.error('Delete routing rule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete routing rule' });
+    }
+});
+
+// Partner caps endpoint
+router.put('/:id/caps', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const capFields = ['premium_daily_limit', 'raw_daily_limit', 'hourly_limit', 'weekly_limit', 'monthly_limit', 'aged_daily_limit'];
+
+        for (const field of capFields) {
+            const value = req.body[field];
+            if (value !== undefined && value !== null && value !== '' && (isNaN(parseInt(value)) || parseInt(value) < 0)) {
+                return res.status(400).json({ success: false, error: `${field} must be empty or a non-negative number` });
+            }
+        }
+
+        const sharedPrice = req.body.shared_lead_price;
+        if (sharedPrice !== undefined && sharedPrice !== null && sharedPrice !== '' && (isNaN(parseFloat(sharedPrice)) || parseFloat(sharedPrice) < 0)) {
+            return res.status(400).json({ success: false, error: 'shared_lead_price must be empty or a non-negative amount' });
+        }
+
+        const updated = await partnerCaps.updatePartnerCaps(id, {
+            ...req.body,
+            pacing_enabled: req.body.pacing_enabled === true || req.body.pacing_enabled === 'true',
+            accepts_aged_leads: req.body.accepts_aged_leads === true || req.body.accepts_aged_leads === 'true',
+            accepts_shared_leads: req.body.accepts_shared_leads === true || req.body.accepts_shared_leads === 'true',
+            accepts_low_quality_leads: req.body.accepts_low_quality_leads === true || req.body.accepts_low_quality_leads === 'true'
+        });
+
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Partner not found' });
+        }
+
+        res.json({ success: true, message: 'Partner caps updated successfully' });
+    } catch (error) {
+        console.error('Update partner caps error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update partner caps' });
+    }
+});
+
+// Distribution pool endpoints (strategy per country/niche)
+router.get('/distribution-pools', async (req, res) => {
+    try {
+        const { country, niche } = req.query;
+        if (!country || !niche) {
+            return res.status(400).json({ success: false, error: 'Country and niche are required' });
+        }
+
+        const poolConfig = await distributionStrategies.getPoolConfig(pool, country, niche);
+        const partnersResult = await pool.query(`
+            SELECT id, name, status, distribution_weight, priority_order, ping_url
+            FROM partners
+            WHERE country = $1 AND niche = $2
+            ORDER BY priority_order, id
+        `, [country, niche]);
+
+        res.json({
+            success: true,
+            pool: poolConfig,
+            partners: partnersResult.rows,
+            strategies: distributionStrategies.STRATEGIES
+        });
+    } catch (error) {
+        console.error('Get distribution pool error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get distribution pool' });
+    }
+});
+
+router.post('/distribution-pools', async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { country, niche, strategy, performance_window_days, partners = [],
+                auction_enabled, auction_premium_only, auction_min_bid, ping_timeout_ms, max_hops } = req.body;
+
+        if (!country || !niche) {
+            return res.status(400).json({ success: false, error: 'Country and niche are required' });
+        }
+        if (!distributionStrategies.STRATEGIES[strategy]) {
+            return res.status(400).json({ success: false, error: `Unknown distribution strategy: ${strategy}` });
+        }
+
+        const windowDays = parseInt(performance_window_days) || 14;
+        if (windowDays < 1 || windowDays > 365) {
+            return res.status(400).json({ success: false, error: 'Performance window must be between 1 and 365 days' });
+        }
+
+        const maxHops = parseInt(max_hops) || 3;
+        if (maxHops < 1 || maxHops > 20) {
+            return res.status(400).json({ success: false, error: 'Maximum hops must be between 1 and 20' });
+        }
+
+        const minBid = parseFloat(auction_min_bid) || 0;
+        const pingTimeout = parseInt(ping_timeout_ms) || 2000;
+        if (minBid < 0 || pingTimeout < 200 || pingTimeout > 10000) {
+            return res.status(400).json({ success: false, error: 'Minimum bid must be positive and ping timeout between 200 and 10000 ms' });
+        }
+
+        for (const partner of partners) {
+            if (partner.ping_url) {
+                try {
+                    new URL(partner.ping_url);
+                } catch (urlError) {
+                    return res.status(400).json({ success: false, error: `Invalid ping URL: ${partner.ping_url}` });
+                }
+            }
+            const weight = parseInt(partner.distribution_weight);
+            const priority = parseInt(partner.priority_order);
+            if (isNaN(weight) || weight < 0 || isNaN(priority)) {
+                return res.status(400).json({ success: false, error: 'Weights must be non-negative numbers and priorities must be numbers' });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        const poolResult = await client.query(`
+            INSERT INTO distribution_pools (country, niche, strategy, performance_window_days,
+                                            auction_enabled, auction_premium_only, auction_min_bid, ping_timeout_ms, max_hops)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (country, niche)
+            DO UPDATE SET
+                strategy = EXCLUDED.strategy,
+                performance_window_days = EXCLUDED.performance_window_days,
+                auction_enabled = EXCLUDED.auction_enabled,
+                auction_premium_only = EXCLUDED.auction_premium_only,
+                auction_min_bid = EXCLUDED.auction_min_bid,
+                ping_timeout_ms = EXCLUDED.ping_timeout_ms,
+                max_hops = EXCLUDED.max_hops,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [country, niche, strategy, windowDays, auction_enabled === true, auction_premium_only !== false, minBid, pingTimeout, maxHops]);
+
+        for (const partner of partners) {
+            await client.query(`
+                UPDATE partners
+                SET distribution_weight = $1, priority_order = $2, ping_url = $3, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $4 AND country = $5 AND niche = $6
+            `, [parseInt(partner.distribution_weight), parseInt(partner.priority_order), partner.ping_url ? partner.ping_url.trim() : null, partner.id, country, niche]);
+        }
+
+        await client.query('COMMIT');
+
+        res.json({ success: true, pool: poolResult.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Save distribution pool error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save distribution pool' });
+    } finally {
+        client.release();
+    }
+});
+
 // CRM Integration endpoints  
 router.get('/:id/crm-integration', async (req, res) => {
     try {
@@ -861,8 +1104,9 @@ router.get('/:id/status-tracking', async (req, res) => {
                     ELSE 0 
                 END as conversion_rate
             FROM leads l
-            LEFT JOIN lead_status_updates lsu ON l.id = lsu.lead_id
-            WHERE l.assigned_partner_id = $1 
+            JOIN lead_assignments la ON la.lead_id = l.id AND la.partner_id = $1
+            LEFT JOIN lead_status_updates lsu ON l.id = lsu.lead_id AND lsu.partner_id = la.partner_id
+            WHERE la.status IN ('assigned', 'delivered', 'converted')
               AND l.created_at > NOW() - INTERVAL '30 days'
         `, [id]);
         
@@ -3,6 +3,8 @@ const router = express.Router();
 const { pool } = require('../config/db');
 const { requireAuth } = require('../middleware/auth');
 const leadQualityScoring = require('../services/leadQualityScoring');
+const qualityRouting = require('../services/qualityRouting');
+const { distributeLead } = require('../services/distribution');
 
 // Apply authentication to all quality scoring routes
 router.use(requireAuth);
@@ -81,12 +83,25 @@ router.get('/', async (req, res) => {
             ORDER BY avg_total_score DESC
         `, [startDate, endDate + ' 23:59:59']);
 
+        // Tier routing and the review floor
+        const [tierRouting, reviewSettings, heldResult, optInResult] = await Promise.all([
+            qualityRouting.listTierRouting(),
+            qualityRouting.getReviewSettings(pool),
+            pool.query(`SELECT COUNT(*) as count FROM leads WHERE status = 'held'`),
+            pool.query(`SELECT COUNT(*) as count FROM partners WHERE status = 'active' AND accepts_low_quality_leads = true`)
+        ]);
+
         res.render('qualityScoring/dashboard', {
             title: 'Lead Quality Scoring Dashboard',
             qualityTrends: qualityTrendsQuery.rows,
             sourceQuality: sourceQualityQuery.rows,
             qualityBreakdown: qualityBreakdownQuery.rows,
             qualityDistribution,
+            tierRouting,
+            reviewSettings,
+            partnerGroups: qualityRouting.PARTNER_GROUPS,
+            heldCount: parseInt(heldResult.rows[0].count),
+            lowQualityPartnerCount: parseInt(optInResult.rows[0].count),
             startDate,
             endDate
         });
@@ -97,6 +112,105 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * Review queue of leads held below the quality floor
+ */
+router.get('/review', async (req, res) => {
+    try {
+        const [heldLeads, reviewSettings] = await Promise.all([
+            qualityRouting.getHeldLeads(),
+            qualityRouting.getReviewSettings(pool)
+        ]);
+
+        res.render('qualityScoring/review', {
+            title: 'Quality Review Queue',
+            heldLeads,
+            reviewSettings
+        });
+    } catch (error) {
+        console.error('Quality review queue error:', error);
+        res.status(500).render('error', { error: 'Failed to load quality review queue' });
+    }
+});
+
+/**
+ * API: Save the partner group for a quality tier
+ */
+router.post('/api/tier-routing', async (req, res) => {
+    let routing;
+    try {
+        routing = qualityRouting.parseTierRouting(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const saved = await qualityRouting.saveTierRouting(routing);
+        res.json({ success: true, routing: saved });
+    } catch (error) {
+        console.error('Save tier routing error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save tier routing' });
+    }
+});
+
+/**
+ * API: Save the quality score below which leads are held for review
+ */
+router.put('/api/review-settings', async (req, res) => {
+    let settings;
+    try {
+        settings = qualityRouting.parseReviewSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const saved = await qualityRouting.saveReviewSettings(settings);
+        res.json({ success: true, settings: saved });
+    } catch (error) {
+        console.error('Save review settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save review settings' });
+    }
+});
+
+/**
+ * API: Release a held lead to distribution
+ */
+router.post('/api/held-leads/:id/release', async (req, res) => {
+    try {
+        const released = await qualityRouting.releaseHeldLead(req.params.id);
+
+        if (!released) {
+            return res.status(404).json({ success: false, error: 'Lead is not held for review' });
+        }
+
+        await distributeLead(parseInt(req.params.id));
+        res.json({ success: true, message: 'Lead released to distribution' });
+    } catch (error) {
+        console.error('Release held lead error:', error);
+        res.status(500).json({ success: false, error: 'Failed to release lead' });
+    }
+});
+
+/**
+ * API: Reject a held lead
+ */
+router.post('/api/held-leads/:id/reject', async (req, res) => {
+    try {
+        const note = (req.body.note || '').trim() || null;
+        const rejected = await qualityRouting.rejectHeldLead(req.params.id, note);
+
+        if (!rejected) {
+            return res.status(404).json({ success: false, error: 'Lead is not held for review' });
+        }
+
+        res.json({ success: true, message: 'Lead rejected' });
+    } catch (error) {
+        console.error('Reject held lead error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reject lead' });
+    }
+});
+
 /**
  * API: Get quality score for a specific lead
  */
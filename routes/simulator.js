@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const distributionSimulator = require('../services/distributionSimulator');
+
+/**
+ * Distribution simulator page
+ */
+router.get('/', (req, res) => {
+    res.render('simulator/index', {
+        title: 'Distribution Simulator',
+        countries: ['germany', 'austria', 'spain', 'canada', 'italy', 'uk', 'norway'],
+        niches: ['forex', 'recovery'],
+        maxReplayDays: distributionSimulator.MAX_REPLAY_DAYS,
+        leadDetailLimit: distributionSimulator.LEAD_DETAIL_LIMIT
+    });
+});
+
+/**
+ * API: Where a sample lead would go right now. Nothing is written.
+ */
+router.post('/api/sample', async (req, res) => {
+    let sample;
+    try {
+        sample = distributionSimulator.parseSampleLead(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const simulation = await distributionSimulator.simulateSampleLead(sample);
+        res.json({ success: true, simulation });
+    } catch (error) {
+        console.error('Simulate sample lead error:', error);
+        res.status(500).json({ success: false, error: 'Failed to simulate lead' });
+    }
+});
+
+/**
+ * API: Replay the last N days of leads through the current settings. Nothing is written.
+ */
+router.post('/api/replay', async (req, res) => {
+    let replayOptions;
+    try {
+        replayOptions = distributionSimulator.parseReplayOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const simulation = await distributionSimulator.replayLeads(replayOptions);
+        res.json({ success: true, simulation });
+    } catch (error) {
+        console.error('Replay leads error:', error);
+        res.status(500).json({ success: false, error: 'Failed to replay leads' });
+    }
+});
+
+module.exports = router;
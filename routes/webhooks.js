@@ -3,6 +3,14 @@ const router = express.Router();
 const { pool } = require('../config/db');
 const { requireAuth } = require('../middleware/auth');
 const crypto = require('crypto');
+const inboundMapping = require('../services/inboundMapping');
+const inboundSecurity = require('../services/inboundSecurity');
+const idempotency = require('../services/idempotency');
+const leadValidation = require('../services/leadValidation');
+const inboundFormats = require('../services/inboundFormats');
+const facebookLeadAds = require('../services/facebookLeadAds');
+const sourceCommercials = require('../services/sourceCommercials');
+const { enrichLeadData } = require('../services/dataEnrichment');
 
 // Apply authentication to all webhook routes
 router.use(requireAuth);
@@ -11,10 +19,12 @@ router.use(requireAuth);
 // Get webhook sources and deliveries
 router.get('/', async (req, res) => {
     try {
-        // Get webhook sources with lead count
+        // Get webhook sources with lead count, and this day's and month's counts for intake caps
         const sourcesResult = await pool.query(`
             SELECT ws.*, 
-                   COALESCE((SELECT COUNT(*) FROM leads l WHERE l.source = ws.name), 0) as leads_received
+                   COALESCE((SELECT COUNT(*) FROM leads l WHERE l.source = ws.name), 0) as leads_received,
+                   (SELECT COUNT(*) FROM leads l WHERE l.source = ws.name AND l.created_at >= CURRENT_DATE) as leads_today,
+                   (SELECT COUNT(*) FROM leads l WHERE l.source = ws.name AND l.created_at >= date_trunc('month', CURRENT_DATE)) as leads_this_month
             FROM webhook_sources ws 
             ORDER BY ws.created_at DESC
         `);
@@ -28,10 +38,26 @@ router.get('/', async (req, res) => {
             LIMIT 100
         `);
         
+        const rejections = await inboundSecurity.getRecentRejections(50);
+        const leadRejections = await leadValidation.getRecentLeadRejections(50);
+        const facebookEvents = await facebookLeadAds.getRecentEvents(50);
+        
         res.render('webhooks/index', {
             title: 'Webhook Management',
             sources: sourcesResult.rows || [],
-            deliveries: deliveriesResult.rows || []
+            deliveries: deliveriesResult.rows || [],
+            rejections,
+            rejectionReasons: inboundSecurity.REJECTION_REASONS,
+            leadRejections,
+            facebookEvents,
+            validationNiches: leadValidation.NICHES,
+            payloadFormats: inboundFormats.PAYLOAD_FORMATS,
+            capActions: sourceCommercials.CAP_ACTIONS,
+            mappingOptions: {
+                fields: inboundMapping.CANONICAL_FIELDS,
+                transforms: inboundMapping.TRANSFORMS,
+                defaults: inboundMapping.DEFAULT_MAPPINGS
+            }
         });
     } catch (error) {
         console.error('Webhooks fetch error:', error);
@@ -42,7 +68,7 @@ router.get('/', async (req, res) => {
 // Create new webhook source
 router.post('/sources', async (req, res) => {
     try {
-        const { name, source_type, country, niche, lead_type, description } = req.body;
+        const { name, source_type, country, niche, lead_type, description, payload_format } = req.body;
         
         // Validate required fields
         if (!country || !niche || !lead_type) {
@@ -54,12 +80,16 @@ router.post('/sources', async (req, res) => {
             return res.redirect('/webhooks?error=Lead Type must be either premium or raw');
         }
         
+        if (payload_format && !inboundFormats.PAYLOAD_FORMATS[payload_format]) {
+            return res.redirect('/webhooks?error=Unknown payload format');
+        }
+        
         const webhook_token = crypto.randomBytes(32).toString('hex');
         
         await pool.query(`
-            INSERT INTO webhook_sources (name, source_type, country, niche, lead_type, description, webhook_token)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `, [name, source_type, country, niche, lead_type, description, webhook_token]);
+            INSERT INTO webhook_sources (name, source_type, country, niche, lead_type, description, webhook_token, payload_format)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [name, source_type, country, niche, lead_type, description, webhook_token, payload_format || 'json']);
         
         res.redirect('/webhooks?success=Webhook source created successfully');
     } catch (error) {
@@ -85,6 +115,198 @@ router.put('/sources/:id/toggle', async (req, res) => {
     }
 });
 
+// Save a source's payload format and inbound field mapping; reset=true goes back to the source type's default mapping
+router.put('/sources/:id/mapping', async (req, res) => {
+    let mapping = null;
+    let payloadFormat = null;
+    try {
+        if (!req.body.reset) {
+            mapping = inboundMapping.parseFieldMapping(req.body);
+        }
+        if (req.body.payload_format !== undefined) {
+            payloadFormat = inboundFormats.parsePayloadFormat(req.body.payload_format);
+        }
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE webhook_sources SET field_mapping = $1, payload_format = COALESCE($3, payload_format)
+            WHERE id = $2
+            RETURNING id
+        `, [mapping ? JSON.stringify(mapping) : null, req.params.id, payloadFormat]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Webhook source not found' });
+        }
+        res.json({ success: true, field_mapping: mapping });
+    } catch (error) {
+        console.error('Field mapping save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save field mapping' });
+    }
+});
+
+// Save a source's signature and IP allow-list settings
+router.put('/sources/:id/security', async (req, res) => {
+    let settings;
+    try {
+        settings = inboundSecurity.parseSecuritySettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const updated = await inboundSecurity.saveSecuritySettings(req.params.id, settings);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Webhook source not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Webhook security save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save security settings' });
+    }
+});
+
+// Save a source's validation rules (no rules accept any payload)
+router.put('/sources/:id/validation', async (req, res) => {
+    let rules;
+    try {
+        rules = leadValidation.parseValidationRules(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const updated = await leadValidation.saveValidationRules(req.params.id, rules);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Webhook source not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Webhook validation save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save validation rules' });
+    }
+});
+
+// Save a Facebook source's verify token, app secret and page access token
+router.put('/sources/:id/facebook', async (req, res) => {
+    let settings;
+    try {
+        settings = facebookLeadAds.parseFacebookSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const updated = await facebookLeadAds.saveFacebookSettings(req.params.id, settings);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Facebook webhook source not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Facebook settings save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save Facebook settings' });
+    }
+});
+
+// Save where a source's idempotency key is read from and how long keys are kept
+router.put('/sources/:id/idempotency', async (req, res) => {
+    let settings;
+    try {
+        settings = idempotency.parseIdempotencySettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const updated = await idempotency.saveIdempotencySettings(req.params.id, settings);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Webhook source not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Webhook idempotency save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save idempotency settings' });
+    }
+});
+
+// Save a source's cost per lead, cost overrides and daily/monthly intake caps
+router.put('/sources/:id/commercials', async (req, res) => {
+    let settings;
+    try {
+        settings = sourceCommercials.parseCommercialSettings(req.body);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const updated = await sourceCommercials.saveCommercialSettings(req.params.id, settings);
+        if (!updated) {
+            return res.status(404).json({ success: false, error: 'Webhook source not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Webhook commercials save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save cost and cap settings' });
+    }
+});
+
+// Preview the lead a sample payload would produce, with the mapping being edited
+router.post('/sources/:id/mapping/preview', async (req, res) => {
+    try {
+        const sourceResult = await pool.query('SELECT * FROM webhook_sources WHERE id = $1', [req.params.id]);
+        if (sourceResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Webhook source not found' });
+        }
+        const source = sourceResult.rows[0];
+
+        // The sample is read in the format being edited, so XML and form payloads preview as they will arrive
+        let payload;
+        try {
+            const format = inboundFormats.parsePayloadFormat(req.body.payload_format || source.payload_format);
+            payload = typeof req.body.payload === 'string'
+                ? inboundFormats.parseSamplePayload(format, req.body.payload)
+                : req.body.payload;
+        } catch (parseError) {
+            return res.status(400).json({ success: false, error: parseError.message });
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return res.status(400).json({ success: false, error: 'Sample payload must be an object' });
+        }
+
+        let mapping;
+        try {
+            mapping = req.body.field_mapping
+                ? inboundMapping.parseFieldMapping(req.body.field_mapping)
+                : inboundMapping.getSourceMapping(source);
+        } catch (validationError) {
+            return res.status(400).json({ success: false, error: validationError.message });
+        }
+
+        const normalized = inboundMapping.applyFieldMapping(payload, mapping);
+        const enriched = await enrichLeadData(normalized, source);
+        const { country, niche, type } = inboundMapping.resolveLeadAttributes(normalized, enriched, source);
+
+        res.json({
+            success: true,
+            normalized,
+            lead: {
+                country,
+                niche,
+                type,
+                first_name: enriched.first_name || null,
+                last_name: enriched.last_name || null,
+                email: enriched.email || null,
+                phone: enriched.phone || null
+            }
+        });
+    } catch (error) {
+        console.error('Field mapping preview error:', error);
+        res.status(500).json({ success: false, error: 'Failed to preview field mapping' });
+    }
+});
+
 // Get detailed delivery information
 router.get('/deliveries/:id', async (req, res) => {
     try {
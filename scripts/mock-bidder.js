@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Ping-Post Bidder
+ * Local stand-in for a partner's ping and post endpoints, used to exercise auctions in development.
+ *
+ * Usage:
+ *   PING_POST_ALLOW_PRIVATE_URLS=true npm start        (app must allow private ping URLs)
+ *   node scripts/mock-bidder.js [port]
+ *
+ * Point a partner's ping URL at  http://localhost:4010/ping?bid=25
+ * and its webhook URL at         http://localhost:4010/post
+ *
+ * Query parameters (ping and post):
+ *   bid=<amount>     bid returned by /ping (omit or 0 for "no bid")
+ *   delay=<ms>       wait before answering (use to trigger ping timeouts)
+ *   reject=true      /post answers 409 duplicate instead of accepting
+ *   fail=true        answer 500
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+const port = parseInt(process.argv[2] || process.env.MOCK_BIDDER_PORT || '4010');
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                resolve({ raw: data });
+            }
+        });
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const params = url.searchParams;
+    const body = await readBody(req);
+    const delay = parseInt(params.get('delay') || '0');
+
+    console.log(`📨 ${req.method} ${url.pathname}${url.search}`, JSON.stringify(body));
+
+    setTimeout(() => {
+        if (params.get('fail') === 'true') {
+            return sendJson(res, 500, { success: false, error: 'Mock bidder failure' });
+        }
+
+        if (url.pathname === '/ping') {
+            const bid = parseFloat(params.get('bid') || '0');
+            if (!bid) {
+                return sendJson(res, 200, { accept: false });
+            }
+            return sendJson(res, 200, { accept: true, bid, ping_id: body.ping_id });
+        }
+
+        if (url.pathname === '/post') {
+            if (params.get('reject') === 'true') {
+                return sendJson(res, 409, { status: 'duplicate', accepted: false });
+            }
+            return sendJson(res, 200, { status: 'accepted', accepted: true, lead_id: body.lead_id });
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    }, delay);
+});
+
+server.listen(port, () => {
+    console.log(`🧪 Mock bidder listening on http://localhost:${port}`);
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Facebook Graph API
+ * Local stand-in for the Graph API lead retrieval endpoint, used to exercise the Facebook Lead Ads
+ * connector in development. It can also send a signed leadgen notification to the app.
+ *
+ * Usage:
+ *   FACEBOOK_GRAPH_API_URL=http://localhost:4020 npm start
+ *   node scripts/mock-graph-api.js [port]
+ *
+ * GET /<leadgen_id>?access_token=...   answers with the lead's field_data
+ *   leadgen_id starting with "missing"  answers 404 like a deleted lead
+ *   leadgen_id starting with "fail"     answers 500
+ *   access_token "expired"              answers 400 like an expired token
+ *
+ * Send a notification to a source (app secret and callback URL from Webhooks → Facebook Lead Ads):
+ *   node scripts/mock-graph-api.js notify <callback_url> <app_secret> [leadgen_id]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function graphError(res, status, message, code) {
+    sendJson(res, status, { error: { message, type: 'GraphMethodException', code, fbtrace_id: 'mock' } });
+}
+
+function mockLead(leadgenId) {
+    const suffix = leadgenId.replace(/\D/g, '').slice(-6) || '1';
+    return {
+        id: leadgenId,
+        created_time: new Date().toISOString().replace(/\.\d+Z$/, '+0000'),
+        form_id: '900000000000001',
+        ad_id: '600000000000001',
+        adset_id: '500000000000001',
+        campaign_id: '400000000000001',
+        platform: 'fb',
+        field_data: [
+            { name: 'full_name', values: [`Test Lead ${suffix}`] },
+            { name: 'email', values: [`fb.lead.${suffix}@example.com`] },
+            { name: 'phone_number', values: [`+4915112${suffix.padStart(6, '0')}`] },
+            { name: 'country', values: ['germany'] },
+            { name: 'what_is_your_trading_experience?', values: ['1-3 years'] }
+        ]
+    };
+}
+
+function serve(port) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://localhost:${port}`);
+        const leadgenId = decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+        const accessToken = url.searchParams.get('access_token');
+
+        console.log(`📨 ${req.method} ${url.pathname} fields=${url.searchParams.get('fields')}`);
+
+        if (req.method !== 'GET' || !leadgenId) {
+            return graphError(res, 400, 'Unsupported request', 100);
+        }
+        if (!accessToken) {
+            return graphError(res, 400, 'An access token is required to request this resource.', 104);
+        }
+        if (accessToken === 'expired') {
+            return graphError(res, 400, 'Error validating access token: Session has expired.', 190);
+        }
+        if (leadgenId.startsWith('missing')) {
+            return graphError(res, 404, `Object with ID '${leadgenId}' does not exist`, 100);
+        }
+        if (leadgenId.startsWith('fail')) {
+            return graphError(res, 500, 'An unexpected error has occurred. Please retry your request later.', 2);
+        }
+
+        sendJson(res, 200, mockLead(leadgenId));
+    });
+
+    server.listen(port, () => {
+        console.log(`🧪 Mock Graph API listening on http://localhost:${port}`);
+    });
+}
+
+async function notify(callbackUrl, appSecret, leadgenId) {
+    const body = JSON.stringify({
+        object: 'page',
+        entry: [{
+            id: '100000000000001',
+            time: Math.floor(Date.now() / 1000),
+            changes: [{
+                field: 'leadgen',
+                value: {
+                    leadgen_id: leadgenId,
+                    page_id: '100000000000001',
+                    form_id: '900000000000001',
+                    ad_id: '600000000000001',
+                    created_time: Math.floor(Date.now() / 1000)
+                }
+            }]
+        }]
+    });
+    const signature = crypto.createHmac('sha256', appSecret).update(body).digest('hex');
+
+    const response = await fetch(callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': `sha256=${signature}` },
+        body
+    });
+    console.log(`📤 Notification for ${leadgenId}: ${response.status} ${await response.text()}`);
+}
+
+if (process.argv[2] === 'notify') {
+    const [callbackUrl, appSecret, leadgenId] = process.argv.slice(3);
+    if (!callbackUrl || !appSecret) {
+        console.error('Usage: node scripts/mock-graph-api.js notify <callback_url> <app_secret> [leadgen_id]');
+        process.exit(1);
+    }
+    notify(callbackUrl, appSecret, leadgenId || String(Date.now())).catch(error => {
+        console.error('Notification failed:', error.message);
+        process.exit(1);
+    });
+} else {
+    serve(parseInt(process.argv[2] || process.env.MOCK_GRAPH_API_PORT || '4020'));
+}
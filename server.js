@@ -14,6 +14,7 @@ const { requestLogger } = require('./utils/logger');
 const { retryFailedWebhooks } = require('./services/webhook');
 const { requireAuth } = require('./middleware/auth');
 const { pullPartnerStatuses } = require('./services/statusPuller');
+const { MAX_BATCH_BYTES } = require('./services/leadIntake');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -43,8 +44,21 @@ app.use((req, res, next) => {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw request body so inbound webhook signatures can be verified byte for byte
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+// Batches get a body limit sized to the most leads they may carry; the parsers below skip a parsed body
+app.use('/api/webhook/:token/batch', express.json({ limit: MAX_BATCH_BYTES, verify: keepRawBody }), (err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `A batch body can be at most ${Math.round(MAX_BATCH_BYTES / 1024)} KB` });
+    }
+    next(err);
+});
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+// XML lead payloads are kept as text and parsed per webhook source
+app.use(express.text({ type: ['application/xml', 'text/xml', 'application/*+xml'], verify: keepRawBody }));
 app.use(express.static('public'));
 
 // Disable caching for dynamic content to prevent browser cache issues
@@ -174,6 +188,7 @@ app.use('/alerts', requireAuth, alertsRoutes);
 app.use('/quality', requireAuth, qualityScoringRoutes);
 // app.use('/crm-integrations', requireAuth, crmIntegrationsRoutes); // Disabled - causing production errors
 app.use('/business-hours', requireAuth, businessHoursRoutes);
+app.use('/simulator', requireAuth, require('./routes/simulator'));
 app.use('/partner-management', requireAuth, require('./routes/partnerManagement'));
 app.use('/monitoring', requireAuth, require('./routes/monitoring'));
 app.use('/email-templates', requireAuth, require('./routes/emailTemplates'));
@@ -230,9 +245,18 @@ app.get('/api/recent-activity', async (req, res) => {
 // CRM delivery monitoring (disabled - using real-time CRM integration)
 // cron.schedule('*/5 * * * *', retryFailedWebhooks);
 
-// Failed leads retry cron job (every 10 minutes) - DISABLED for now
-// const { retryFailedLeads } = require('./services/distribution');
-// cron.schedule('*/10 * * * *', retryFailedLeads);
+// Failed leads retry - re-run distribution for retryable failures with backoff, and for stale auctions (every 10 minutes)
+cron.schedule('*/10 * * * *', async () => {
+    try {
+        const { retryFailedLeads } = require('./services/distribution');
+        const result = await retryFailedLeads();
+        if (!result.skipped && (result.retried > 0 || result.stranded > 0)) {
+            console.log(`🔁 Retried ${result.retried} lead(s) (${result.recovered} from stale auctions), ${result.stranded} stranded`);
+        }
+    } catch (error) {
+        console.error('⚠️ Failed lead retry failed:', error.message);
+    }
+});
 
 // OPTIMIZED: Background tasks with safer scheduling and error handling
 
@@ -266,10 +290,94 @@ cron.schedule('0 0 * * *', async () => {
     }
 });
 
+// Lead recycling - resell aged failed/unconverted leads to aged inventory partners (hourly)
+cron.schedule('15 * * * *', async () => {
+    try {
+        const { recycleLeads } = require('./services/leadRecycling');
+        const result = await recycleLeads();
+        if (!result.skipped && result.resold > 0) {
+            console.log(`♻️ Lead recycling resold ${result.resold} lead(s)`);
+        }
+    } catch (error) {
+        console.error('⚠️ Lead recycling failed:', error.message);
+    }
+});
+
+// Business hours - flush leads scheduled for partners that have opened (every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+    try {
+        const businessHoursIntelligence = require('./services/businessHoursIntelligence');
+        await businessHoursIntelligence.processScheduledDeliveries();
+    } catch (error) {
+        console.error('⚠️ Scheduled delivery flush failed:', error.message);
+    }
+});
+
+// Lead imports - distribute imported leads whose scheduled distribution time has come (every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+    try {
+        const { distributeScheduledImports } = require('./services/leadImport');
+        const result = await distributeScheduledImports();
+        if (!result.skipped && result.distributed > 0) {
+            console.log(`📥 Distributed ${result.distributed} lead(s) from ${result.jobs} scheduled import(s)`);
+        }
+    } catch (error) {
+        console.error('⚠️ Scheduled import distribution failed:', error.message);
+    }
+});
+
+// Idempotency keys - drop keys whose retention window has passed (hourly)
+cron.schedule('45 * * * *', async () => {
+    try {
+        const { purgeExpiredKeys } = require('./services/idempotency');
+        const purged = await purgeExpiredKeys();
+        if (purged > 0) {
+            console.log(`🔑 Purged ${purged} expired idempotency key(s)`);
+        }
+    } catch (error) {
+        console.error('⚠️ Idempotency key purge failed:', error.message);
+    }
+});
+
+// Lead rejections - alert on sources whose validation rejection rate is high (every 15 minutes)
+cron.schedule('*/15 * * * *', async () => {
+    try {
+        const { checkRejectionRates } = require('./services/leadValidation');
+        await checkRejectionRates();
+    } catch (error) {
+        console.error('⚠️ Lead rejection rate check failed:', error.message);
+    }
+});
+
+// Facebook Lead Ads - retry leads whose Graph API retrieval failed (every 10 minutes)
+cron.schedule('*/10 * * * *', async () => {
+    try {
+        const { processPendingEvents } = require('./services/facebookLeadAds');
+        const result = await processPendingEvents({ includeFailed: true });
+        if (!result.skipped && result.processed > 0) {
+            console.log(`📘 Processed ${result.processed} Facebook lead(s), ${result.failed} failed`);
+        }
+    } catch (error) {
+        console.error('⚠️ Facebook lead retry failed:', error.message);
+    }
+});
+
+// Lead fraud checks - drop checks older than the retention period (daily)
+cron.schedule('20 3 * * *', async () => {
+    try {
+        const { purgeOldChecks } = require('./services/leadFraud');
+        const purged = await purgeOldChecks();
+        if (purged > 0) {
+            console.log(`🕵️ Purged ${purged} old fraud check(s)`);
+        }
+    } catch (error) {
+        console.error('⚠️ Fraud check purge failed:', error.message);
+    }
+});
+
 // DISABLED: Heavy background tasks that caused pool conflicts
 // These can be re-enabled individually after testing:
 // - Partner status pulling
-// - Business hours processing  
 // - Email marketing system
 // - Automated partner management
 
@@ -287,6 +395,9 @@ app.listen(PORT, '0.0.0.0', async () => {
         const alertSystem = require('./services/alertSystem');
         await alertSystem.initializeDatabase();
         
+        // Seed the managed disposable email domain list used by the fraud checks
+        await require('./services/disposableEmailDomains').seedDefaultDomains();
+        
         // Initialize queued webhook service
         require('./services/queuedWebhook');
         
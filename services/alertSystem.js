@@ -67,7 +67,8 @@ class AlertSystem {
                     ('STRANDED_LEAD', 'console', 'system', true),
                     ('WEBHOOK_FAILURES', 'console', 'system', true),
                     ('PARTNER_OFFLINE', 'console', 'system', true),
-                    ('SYSTEM_ERROR', 'console', 'system', true)
+                    ('SYSTEM_ERROR', 'console', 'system', true),
+                    ('HIGH_LEAD_REJECTION', 'console', 'system', true)
                 ON CONFLICT (alert_type, notification_method, target) DO NOTHING
             `);
             
@@ -187,7 +188,8 @@ class AlertSystem {
         return await this.createAlert(
             'STRANDED_LEAD',
             `Stranded Lead: ${lead.first_name} ${lead.last_name}`,
-            `Lead ${lead.id} from ${lead.country}/${lead.niche} has no available partners`,
+            `Lead ${lead.id} from ${lead.country}/${lead.niche} has no available partners` +
+                (lead.failure_reason ? ` (${lead.failure_reason}, retries exhausted)` : ''),
             { lead_id: lead.id, country: lead.country, niche: lead.niche }
         );
     }
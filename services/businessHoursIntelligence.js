@@ -130,33 +130,23 @@ class BusinessHoursIntelligence {
     }
 
     /**
-     * Check if given time and timezone falls within business hours
+     * Check if given time and timezone falls within business hours (now, or at the instant `at`)
      */
-    checkBusinessHoursAvailability(timezone, startTime, endTime, weekendsEnabled = false) {
+    checkBusinessHoursAvailability(timezone, startTime, endTime, weekendsEnabled = false, at = new Date()) {
         try {
             // **FIXED**: Proper timezone handling using Intl.DateTimeFormat
-            const now = new Date();
-            const formatter = new Intl.DateTimeFormat('en-US', {
-                timeZone: timezone || 'UTC',
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: false,
-                weekday: 'short'
-            });
-
-            const parts = formatter.formatToParts(now);
-            const currentTimeStr = `${parts.find(p => p.type === 'hour').value}:${parts.find(p => p.type === 'minute').value}`;
-            const weekday = parts.find(p => p.type === 'weekday').value;
-            
-            // Convert weekday to day number (0 = Sunday, 1 = Monday, etc.)
-            const dayMap = { 'Sun': 0, 'Mon': 1, 'Tue': 2, 'Wed': 3, 'Thu': 4, 'Fri': 5, 'Sat': 6 };
-            const dayOfWeek = dayMap[weekday] || 0;
+            const local = this.getZonedParts(at, timezone);
+            const currentTimeStr = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
             
             // Check if it's a business day
-            if (!weekendsEnabled && !this.businessDays.includes(dayOfWeek)) {
+            if (!weekendsEnabled && !this.businessDays.includes(local.dayOfWeek)) {
                 return false; // Weekend and weekends not enabled
             }
 
+            // TIME columns come back as HH:MM:SS
+            startTime = String(startTime || '09:00').slice(0, 5).padStart(5, '0');
+            endTime = String(endTime || '18:00').slice(0, 5).padStart(5, '0');
+
             // Handle business hours that cross midnight (e.g., 22:00 to 06:00)
             if (startTime > endTime) {
                 return currentTimeStr >= startTime || currentTimeStr <= endTime;
@@ -171,39 +161,105 @@ class BusinessHoursIntelligence {
     }
 
     /**
-     * Get next business hour start time for a partner
+     * Fraction of the partner's business day that has elapsed (0 before opening, 1 after closing).
+     * Days off count as fully elapsed so pacing never blocks them.
      */
-    getNextBusinessHourStart(timezone, startTime, endTime, weekendsEnabled = false) {
+    getBusinessDayProgress(timezone, startTime, endTime, weekendsEnabled = false, at = new Date()) {
         try {
-            const now = new Date();
-            let nextStart = new Date(now);
+            const local = this.getZonedParts(at, timezone);
 
-            // Convert to partner's timezone for calculation - Fixed timezone handling
-            const partnerTime = new Date(now.getTime());
-            
-            // If currently within business hours, next start is tomorrow
-            if (this.checkBusinessHoursAvailability(timezone, startTime, endTime, weekendsEnabled)) {
-                partnerTime.setDate(partnerTime.getDate() + 1);
+            if (!weekendsEnabled && !this.businessDays.includes(local.dayOfWeek)) {
+                return 1;
             }
-            
-            // Find next business day
-            let daysToAdd = 0;
-            let checkDate = new Date(partnerTime);
-            
-            while (daysToAdd < 7) { // Max 1 week search
-                const dayOfWeek = checkDate.getDay();
-                
-                if (weekendsEnabled || this.businessDays.includes(dayOfWeek)) {
-                    // Set time to business start
-                    const [hours, minutes] = startTime.split(':');
-                    checkDate.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-                    
-                    // Convert back to UTC for return - Fixed timestamp generation
-                    return new Date(checkDate.getTime());
-                }
-                
-                checkDate.setDate(checkDate.getDate() + 1);
-                daysToAdd++;
+
+            const toMinutes = time => {
+                const [hours, minutes] = String(time).split(':');
+                return (parseInt(hours) % 24) * 60 + parseInt(minutes);
+            };
+            const now = local.hour * 60 + local.minute;
+            const start = toMinutes(startTime || '09:00');
+            const end = toMinutes(endTime || '18:00');
+
+            // The current minute counts as elapsed, so a paced partner can take a lead as soon as it opens
+            if (start < end) {
+                if (now < start) return 0;
+                if (now >= end) return 1;
+                return Math.min((now - start + 1) / (end - start), 1);
+            }
+
+            // Business hours crossing midnight (e.g. 22:00 to 06:00)
+            const duration = (end - start + 1440) % 1440 || 1440;
+            if (now >= start) return Math.min((now - start + 1) / duration, 1);
+            if (now < end) return Math.min((now + 1440 - start + 1) / duration, 1);
+            return 0;
+        } catch (error) {
+            console.error('Business day progress error:', error);
+            return 1;
+        }
+    }
+
+    /**
+     * Calendar date, time and weekday of an instant in a timezone
+     */
+    getZonedParts(date, timezone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || 'UTC',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+            weekday: 'short'
+        });
+
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        const dayMap = { 'Sun': 0, 'Mon': 1, 'Tue': 2, 'Wed': 3, 'Thu': 4, 'Fri': 5, 'Sat': 6 };
+
+        return {
+            year: parseInt(parts.year),
+            month: parseInt(parts.month),
+            day: parseInt(parts.day),
+            hour: parseInt(parts.hour) % 24,
+            minute: parseInt(parts.minute),
+            dayOfWeek: dayMap[parts.weekday] || 0
+        };
+    }
+
+    /**
+     * The instant a wall-clock time in a timezone happens (second pass settles DST changes)
+     */
+    zonedTimeToUtc(year, month, day, hours, minutes, timezone) {
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+        const offsetAt = timestamp => {
+            const local = this.getZonedParts(new Date(timestamp), timezone);
+            return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - timestamp;
+        };
+
+        let utc = wallClock - offsetAt(wallClock);
+        utc = wallClock - offsetAt(utc);
+        return new Date(utc);
+    }
+
+    /**
+     * Get next business hour start time for a partner, in the partner's timezone
+     */
+    getNextBusinessHourStart(timezone, startTime, endTime, weekendsEnabled = false, after = new Date()) {
+        try {
+            const now = after;
+            const today = this.getZonedParts(now, timezone);
+            const [hours, minutes] = String(startTime || '09:00').split(':').map(value => parseInt(value));
+
+            // Search today and the following week (calendar days, so DST changes do not skip a date)
+            for (let daysToAdd = 0; daysToAdd <= 7; daysToAdd++) {
+                const date = new Date(Date.UTC(today.year, today.month - 1, today.day + daysToAdd));
+                if (!weekendsEnabled && !this.businessDays.includes(date.getUTCDay())) continue;
+
+                const opening = this.zonedTimeToUtc(
+                    date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hours, minutes, timezone
+                );
+                if (opening > now) return opening;
             }
             
             return null; // Couldn't find next business hour
@@ -213,6 +269,39 @@ class BusinessHoursIntelligence {
         }
     }
 
+    /**
+     * Whether a partner row is within its business hours right now (or at the instant `at`)
+     */
+    isPartnerOpen(partner, at = new Date()) {
+        return this.checkBusinessHoursAvailability(
+            partner.timezone,
+            partner.business_hours_start,
+            partner.business_hours_end,
+            partner.weekends_enabled || false,
+            at
+        );
+    }
+
+    /**
+     * The partner that opens first after now (or `after`) and when, or null if none opens within a week
+     */
+    getEarliestOpening(partners, after = new Date()) {
+        let earliest = null;
+        for (const partner of partners) {
+            const time = this.getNextBusinessHourStart(
+                partner.timezone,
+                partner.business_hours_start,
+                partner.business_hours_end,
+                partner.weekends_enabled || false,
+                after
+            );
+            if (time && (!earliest || time < earliest.time)) {
+                earliest = { partner, time };
+            }
+        }
+        return earliest;
+    }
+
     /**
      * Calculate availability score for partner prioritization
      */
@@ -277,17 +366,7 @@ class BusinessHoursIntelligence {
      */
     async queueLeadForBusinessHours(leadId, partnerId, scheduledDeliveryTime) {
         try {
-            await pool.query(`
-                INSERT INTO scheduled_deliveries (lead_id, partner_id, scheduled_time, status, created_at)
-                VALUES ($1, $2, $3, 'scheduled', CURRENT_TIMESTAMP)
-                ON CONFLICT (lead_id, partner_id) 
-                DO UPDATE SET 
-                    scheduled_time = $3,
-                    status = 'scheduled',
-                    updated_at = CURRENT_TIMESTAMP
-            `, [leadId, partnerId, scheduledDeliveryTime]);
-
-            console.log(`Lead ${leadId} queued for partner ${partnerId} at ${scheduledDeliveryTime}`);
+            await this.scheduleLeadDelivery(pool, leadId, partnerId, scheduledDeliveryTime);
             return true;
         } catch (error) {
             console.error('Queue lead for business hours error:', error);
@@ -296,62 +375,80 @@ class BusinessHoursIntelligence {
     }
 
     /**
-     * Process scheduled lead deliveries (called by cron job)
+     * Schedule a lead for when a partner opens, replacing any earlier slot for another partner.
+     * Runs on the caller's connection so distribution can schedule inside its transaction.
+     */
+    async scheduleLeadDelivery(db, leadId, partnerId, scheduledDeliveryTime) {
+        await db.query(`
+            UPDATE scheduled_deliveries
+            SET status = 'cancelled', reason = 'Rescheduled for another partner', updated_at = CURRENT_TIMESTAMP
+            WHERE lead_id = $1 AND partner_id <> $2 AND status = 'scheduled'
+        `, [leadId, partnerId]);
+
+        await db.query(`
+            INSERT INTO scheduled_deliveries (lead_id, partner_id, scheduled_time, status, created_at)
+            VALUES ($1, $2, $3, 'scheduled', CURRENT_TIMESTAMP)
+            ON CONFLICT (lead_id, partner_id) 
+            DO UPDATE SET 
+                scheduled_time = $3,
+                status = 'scheduled',
+                reason = NULL,
+                updated_at = CURRENT_TIMESTAMP
+        `, [leadId, partnerId, scheduledDeliveryTime]);
+
+        console.log(`Lead ${leadId} queued for partner ${partnerId} at ${scheduledDeliveryTime}`);
+    }
+
+    /**
+     * Close the open slot of a lead once it was distributed ('delivered') or given up on ('failed')
+     */
+    async closeScheduledDeliveries(db, leadId, status, reason = null) {
+        await db.query(`
+            UPDATE scheduled_deliveries
+            SET status = $2, reason = COALESCE($3, reason), updated_at = CURRENT_TIMESTAMP
+            WHERE lead_id = $1 AND status = 'scheduled'
+        `, [leadId, status, reason]);
+    }
+
+    /**
+     * Process scheduled lead deliveries (called by cron job).
+     * Due leads go back through distributeLead, which sends them to an open partner through the
+     * normal webhook queue - or schedules them again if nobody is open after all.
      */
     async processScheduledDeliveries() {
         try {
+            // Leads placed or failed some other way no longer need their slot
+            await pool.query(`
+                UPDATE scheduled_deliveries sd
+                SET status = 'cancelled', reason = 'Lead is no longer pending', updated_at = CURRENT_TIMESTAMP
+                FROM leads l
+                WHERE sd.lead_id = l.id AND sd.status = 'scheduled' AND l.status <> 'pending'
+            `);
+
             const result = await pool.query(`
-                SELECT sd.id, sd.lead_id, sd.partner_id, sd.scheduled_time,
-                       l.status as lead_status, p.status as partner_status
+                SELECT sd.id, sd.lead_id, sd.partner_id, sd.scheduled_time
                 FROM scheduled_deliveries sd
-                JOIN leads l ON sd.lead_id = l.id
-                JOIN partners p ON sd.partner_id = p.id
                 WHERE sd.status = 'scheduled' 
                   AND sd.scheduled_time <= CURRENT_TIMESTAMP
-                  AND l.status = 'pending'
-                  AND p.status = 'active'
                 ORDER BY sd.scheduled_time ASC
                 LIMIT 50
             `);
 
-            const deliveries = result.rows;
+            const { distributeLead } = require('./distribution');
             let processedCount = 0;
 
-            for (const delivery of deliveries) {
-                // Check if partner is now available
-                const isAvailable = await this.isPartnerAvailable(delivery.partner_id);
-                
-                if (isAvailable) {
-                    // Trigger distribution
-                    const { distributeLead } = require('./distribution');
-                    await distributeLead(delivery.lead_id, delivery.partner_id);
-                    
-                    // Mark as processed
-                    await pool.query(`
-                        UPDATE scheduled_deliveries 
-                        SET status = 'delivered', updated_at = CURRENT_TIMESTAMP
-                        WHERE id = $1
-                    `, [delivery.id]);
-                    
+            for (const delivery of result.rows) {
+                await pool.query(`
+                    UPDATE scheduled_deliveries 
+                    SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [delivery.id]);
+
+                try {
+                    await distributeLead(delivery.lead_id);
                     processedCount++;
-                } else {
-                    // Reschedule for next business hour
-                    const partner = await this.getPartnerBusinessHours(delivery.partner_id);
-                    if (partner) {
-                        const nextAvailable = this.getNextBusinessHourStart(
-                            partner.timezone,
-                            partner.business_hours_start,
-                            partner.business_hours_end
-                        );
-                        
-                        if (nextAvailable) {
-                            await pool.query(`
-                                UPDATE scheduled_deliveries 
-                                SET scheduled_time = $2, updated_at = CURRENT_TIMESTAMP
-                                WHERE id = $1
-                            `, [delivery.id, nextAvailable]);
-                        }
-                    }
+                } catch (error) {
+                    console.error(`Scheduled delivery of lead ${delivery.lead_id} failed:`, error.message);
                 }
             }
 
@@ -365,6 +462,42 @@ class BusinessHoursIntelligence {
         }
     }
 
+    /**
+     * Live backlog of leads waiting for a partner to open
+     */
+    async getScheduledBacklog() {
+        const summary = await pool.query(`
+            SELECT 
+                COUNT(*) as scheduled,
+                COUNT(*) FILTER (WHERE scheduled_time <= CURRENT_TIMESTAMP) as due,
+                MIN(scheduled_time) as next_due,
+                MIN(created_at) as oldest_scheduled_at
+            FROM scheduled_deliveries
+            WHERE status = 'scheduled'
+        `);
+
+        const byPartner = await pool.query(`
+            SELECT p.id, p.name, p.timezone, COUNT(*) as scheduled, MIN(sd.scheduled_time) as next_due
+            FROM scheduled_deliveries sd
+            JOIN partners p ON sd.partner_id = p.id
+            WHERE sd.status = 'scheduled'
+            GROUP BY p.id, p.name, p.timezone
+            ORDER BY next_due ASC
+        `);
+
+        const flushed = await pool.query(`
+            SELECT COUNT(*) as delivered
+            FROM scheduled_deliveries
+            WHERE status = 'delivered' AND updated_at >= CURRENT_TIMESTAMP - INTERVAL '24 hours'
+        `);
+
+        return {
+            ...summary.rows[0],
+            delivered_24h: flushed.rows[0].delivered,
+            partners: byPartner.rows
+        };
+    }
+
     /**
      * Get business hours analytics
      */
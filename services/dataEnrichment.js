@@ -1,18 +1,5 @@
 const { pool } = require('../config/db');
-
-// Phone number to country mapping (partial list - can be expanded)
-const PHONE_COUNTRY_CODES = {
-    '+49': { country: 'germany', country_code: 'DE' },
-    '+43': { country: 'austria', country_code: 'AT' },
-    '+34': { country: 'spain', country_code: 'ES' },
-    '+1': { country: 'usa', country_code: 'US' }, // Can also be Canada
-    '+39': { country: 'italy', country_code: 'IT' },
-    '+44': { country: 'uk', country_code: 'GB' },
-    '+47': { country: 'norway', country_code: 'NO' },
-    '+33': { country: 'france', country_code: 'FR' },
-    '+41': { country: 'switzerland', country_code: 'CH' },
-    '+31': { country: 'netherlands', country_code: 'NL' }
-};
+const phoneNumbers = require('./phoneNumbers');
 
 // Email domain to country hints (basic heuristics)
 const EMAIL_COUNTRY_HINTS = {
@@ -73,7 +60,12 @@ async function enrichLeadData(basicLeadData, sourceInfo, partnerId = null) {
         }
         
         // 5. **Data Validation & Cleanup**
-        enriched.phone = cleanPhoneNumber(enriched.phone);
+        const phoneInfo = phoneNumbers.parsePhone(enriched.phone, enriched.country || sourceInfo?.country);
+        enriched.phone = cleanPhoneNumber(enriched.phone, phoneInfo);
+        if (phoneInfo) {
+            enriched.phone_valid = phoneInfo.valid;
+            enriched.phone_line_type = phoneInfo.lineType;
+        }
         enriched.email = cleanEmail(enriched.email);
         enriched.first_name = cleanName(enriched.first_name);
         enriched.last_name = cleanName(enriched.last_name);
@@ -95,24 +87,21 @@ async function enrichLeadData(basicLeadData, sourceInfo, partnerId = null) {
     }
 }
 
+/**
+ * Country of a number written with its international prefix (+1 is told apart as USA or Canada
+ * by its area code). National numbers carry no country of their own.
+ */
 function extractCountryFromPhone(phone) {
-    if (!phone) return null;
-    
-    // Clean phone number
-    const cleanPhone = phone.replace(/[^\d+]/g, '');
-    
-    // Check against known country codes
-    for (const [code, info] of Object.entries(PHONE_COUNTRY_CODES)) {
-        if (cleanPhone.startsWith(code)) {
-            return {
-                country: info.country,
-                country_code: info.country_code,
-                phone_code: code
-            };
-        }
-    }
-    
-    return null;
+    if (!phone || !/^\s*(\+|00)/.test(String(phone))) return null;
+
+    const parsed = phoneNumbers.parsePhone(phone);
+    if (!parsed || !parsed.valid || !parsed.region) return null;
+
+    return {
+        country: phoneNumbers.countryNameForRegion(parsed.region),
+        country_code: parsed.region,
+        phone_code: `+${parsed.callingCode}`
+    };
 }
 
 function extractCountryFromEmail(email) {
@@ -143,11 +132,16 @@ async function getPartnerDefaults(partnerId) {
     }
 }
 
-function cleanPhoneNumber(phone) {
+/**
+ * E.164 form of a parsed phone number. An impossible number keeps its digits (and any "+"),
+ * so validation can report it and the supplier's value is not lost.
+ */
+function cleanPhoneNumber(phone, phoneInfo) {
     if (!phone) return phone;
+    if (phoneInfo && phoneInfo.e164) return phoneInfo.e164;
     
     // Remove extra spaces, dashes, parentheses
-    return phone.replace(/[^\d+]/g, '').replace(/^00/, '+');
+    return String(phone).replace(/[^\d+]/g, '').replace(/^00/, '+');
 }
 
 function cleanEmail(email) {
@@ -0,0 +1,119 @@
+const { pool } = require('../config/db');
+
+/**
+ * Disposable Email Domains
+ * The managed list of throwaway mailbox providers, kept in disposable_email_domains and edited
+ * from the fraud review page. Lookups are synchronous against an in-memory copy, which is
+ * reloaded from the database when older than CACHE_TTL_MS (so every app instance picks up edits)
+ * and starts from the built-in list until the first load.
+ */
+
+const DEFAULT_DOMAINS = [
+    '10minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamailblock.com', 'sharklasers.com',
+    'mailinator.com', 'mailinator.net', 'tempmail.org', 'temp-mail.org', 'tempmail.com', 'tempmailo.com',
+    'yopmail.com', 'yopmail.net', 'throwaway.email', 'trashmail.com', 'trashmail.de', 'getnada.com',
+    'dispostable.com', 'maildrop.cc', 'mailnesia.com', 'mintemail.com', 'mohmal.com', 'fakeinbox.com',
+    'emailondeck.com', 'spamgourmet.com', 'mytemp.email', 'tempr.email', 'discard.email', 'burnermail.io',
+    'mail.tm', 'moakt.com', 'inboxkitten.com', 'byom.de', 'wegwerfmail.de', 'einrot.com', 'spambog.com'
+];
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let domains = new Set(DEFAULT_DOMAINS);
+let loadedAt = 0;
+
+function normalizeDomain(value) {
+    return String(value || '').trim().toLowerCase().replace(/^@/, '').replace(/\.+$/, '');
+}
+
+/**
+ * Reload the list from the database when the in-memory copy is stale (or always, with force)
+ */
+async function loadDomains({ force = false } = {}) {
+    if (!force && Date.now() - loadedAt < CACHE_TTL_MS) return domains;
+
+    const result = await pool.query('SELECT domain FROM disposable_email_domains');
+    domains = new Set(result.rows.map(row => row.domain));
+    loadedAt = Date.now();
+    return domains;
+}
+
+/**
+ * Whether an email address is at a listed domain or one of its subdomains
+ */
+function isDisposableEmail(email) {
+    const domain = normalizeDomain(String(email || '').split('@')[1]);
+    if (!domain) return false;
+
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        if (domains.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+}
+
+/**
+ * Fill an empty list with the built-in domains on first start; later edits are kept
+ */
+async function seedDefaultDomains() {
+    const result = await pool.query('SELECT COUNT(*)::int AS count FROM disposable_email_domains');
+    if (result.rows[0].count === 0) {
+        await pool.query(
+            'INSERT INTO disposable_email_domains (domain) SELECT UNNEST($1::text[]) ON CONFLICT (domain) DO NOTHING',
+            [DEFAULT_DOMAINS]
+        );
+    }
+    await loadDomains({ force: true });
+}
+
+async function listDomains() {
+    const result = await pool.query('SELECT domain, created_at FROM disposable_email_domains ORDER BY domain');
+    return result.rows;
+}
+
+/**
+ * Validate domains submitted from the admin UI, one per line or comma-separated. Throws on invalid input.
+ */
+function parseDomains(value) {
+    const items = [...new Set(String(value || '').split(/[\s,]+/).map(normalizeDomain).filter(Boolean))];
+    if (items.length === 0) {
+        throw new Error('Enter at least one domain');
+    }
+
+    const invalid = items.find(domain => !/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain) || domain.length > 253);
+    if (invalid) {
+        throw new Error(`'${invalid}' is not a domain name`);
+    }
+    return items;
+}
+
+async function addDomains(items) {
+    const result = await pool.query(`
+        INSERT INTO disposable_email_domains (domain)
+        SELECT UNNEST($1::text[])
+        ON CONFLICT (domain) DO NOTHING
+        RETURNING domain
+    `, [items]);
+    await loadDomains({ force: true });
+    return result.rows.length;
+}
+
+async function removeDomain(domain) {
+    const result = await pool.query(
+        'DELETE FROM disposable_email_domains WHERE domain = $1 RETURNING domain',
+        [normalizeDomain(domain)]
+    );
+    await loadDomains({ force: true });
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    DEFAULT_DOMAINS,
+    seedDefaultDomains,
+    loadDomains,
+    isDisposableEmail,
+    listDomains,
+    parseDomains,
+    addDomains,
+    removeDomain
+};
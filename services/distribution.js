@@ -1,9 +1,171 @@
 const { pool, safeQuery } = require('../config/db');
 const queuedWebhook = require('./queuedWebhook');
 const { logger } = require('../utils/logger');
+const { loadRulesForPartners, evaluatePartnerRules, recordRoutingEvaluations } = require('./routingRules');
+const { getPoolConfig, orderPartnersByStrategy, recordPoolSelection } = require('./distributionStrategies');
+const pingPost = require('./pingPost');
+const { checkTypeCapacity, loadPeriodUsage, checkPeriodCaps } = require('./partnerCaps');
+const { getSaleMode, selectBuyers, createAssignment, updateAssignmentStatus } = require('./leadAssignments');
+const businessHoursIntelligence = require('./businessHoursIntelligence');
+const qualityRouting = require('./qualityRouting');
+const alertSystem = require('./alertSystem');
+
+// Why a lead could not be placed (leads.failure_reason)
+const FAILURE_REASONS = {
+    no_partners: 'No active partner with capacity for this country/niche',
+    routing_rules: 'Rejected by every partner\'s routing rules',
+    daily_cap: 'Daily limit reached by every partner',
+    premium_ratio: 'Premium/raw ratio exhausted for this lead type',
+    type_cap: 'Daily premium/raw cap reached for this lead type',
+    hourly_cap: 'Hourly cap reached by every partner',
+    weekly_cap: 'Weekly cap reached by every partner',
+    monthly_cap: 'Monthly cap reached by every partner',
+    pacing: 'Paced daily allowance used up for this time of day',
+    business_hours: 'No eligible partner opens within the next week',
+    quality_tier: 'No eligible partner in the partner group for this quality tier',
+    quality_review: 'Rejected in quality review',
+    fraud_review: 'Rejected in fraud review',
+    max_hops: 'Maximum distribution hops reached',
+    distribution_error: 'Unexpected error during distribution'
+};
+
+// Failure reasons grouped into the codes the leads page filters on
+const FAILURE_CODES = {
+    no_partner: { label: 'No partner', reasons: ['no_partners', 'routing_rules', 'quality_tier'] },
+    cap_reached: { label: 'Cap reached', reasons: ['daily_cap', 'premium_ratio', 'type_cap', 'hourly_cap', 'weekly_cap', 'monthly_cap', 'pacing'] },
+    outside_hours: { label: 'Outside business hours', reasons: ['business_hours'] },
+    delivery_failed: { label: 'Delivery failed', reasons: ['max_hops', 'distribution_error'] },
+    validation: { label: 'Validation', reasons: ['quality_review', 'fraud_review'] }
+};
+
+// Reasons that can clear up by themselves (capacity frees up, partners open, transient errors).
+// Leads that used up their hops or were rejected in review are not retried.
+const RETRYABLE_REASONS = [
+    ...FAILURE_CODES.no_partner.reasons,
+    ...FAILURE_CODES.cap_reached.reasons,
+    ...FAILURE_CODES.outside_hours.reasons,
+    'distribution_error'
+];
+
+// Wait before each retry of a failed lead; a lead still failed after the last one is stranded
+const RETRY_BACKOFF_MINUTES = [10, 30, 60, 180, 360];
+const MAX_LEAD_RETRIES = RETRY_BACKOFF_MINUTES.length;
+const RETRY_BATCH_SIZE = 50;
+
+function getFailureCode(reason) {
+    return Object.keys(FAILURE_CODES).find(code => FAILURE_CODES[code].reasons.includes(reason)) || null;
+}
+
+async function markLeadFailed(db, leadId, reason, detail = null) {
+    await db.query(`
+        UPDATE leads
+        SET status = 'failed', failure_reason = $1, failure_detail = $2,
+            next_retry_at = CASE WHEN $4::boolean AND retry_count < $5
+                THEN CURRENT_TIMESTAMP + ($6::int[])[retry_count + 1] * INTERVAL '1 minute'
+            END
+        WHERE id = $3
+    `, [reason, detail, leadId, RETRYABLE_REASONS.includes(reason), MAX_LEAD_RETRIES, RETRY_BACKOFF_MINUTES]);
+    await businessHoursIntelligence.closeScheduledDeliveries(db, leadId, 'failed', FAILURE_REASONS[reason] || reason);
+}
+
+/**
+ * Pick the failure reason that best explains why no partner was eligible
+ */
+function summariseIneligibility(evaluations) {
+    if (evaluations.length === 0) {
+        return { reason: 'no_partners', detail: null };
+    }
+
+    const counts = {};
+    evaluations.forEach(e => { counts[e.reason] = (counts[e.reason] || 0) + 1; });
+    const reason = ['quality_tier', 'pacing', 'hourly_cap', 'daily_cap', 'premium_ratio', 'type_cap', 'weekly_cap', 'monthly_cap', 'routing_rules'].find(r => counts[r]) || 'no_partners';
+    const detail = `${evaluations.length} partner(s) evaluated: ` +
+        Object.entries(counts).map(([r, count]) => `${count} ${r.replace(/_/g, ' ')}`).join(', ');
+
+    return { reason, detail };
+}
+
+/**
+ * Run partner selection for a lead over the candidate partner rows without writing anything.
+ * Every evaluation ends up eligible or with the reason the partner was excluded.
+ * options.usage - period usage per partner id (loaded from the stats tables when omitted)
+ * options.at - evaluate business hours and pacing at this instant instead of now
+ */
+async function selectPartners(db, lead, partners, poolConfig, options = {}) {
+    const at = options.at || new Date();
+
+    // Apply each partner's routing rules to build the eligible set
+    const rulesByPartner = await loadRulesForPartners(db, partners.map(p => p.id));
+    const evaluations = partners.map(partner => {
+        const ruleResult = evaluatePartnerRules(rulesByPartner.get(partner.id) || [], lead);
+        return {
+            partnerId: partner.id,
+            partner,
+            ...ruleResult,
+            reason: ruleResult.eligible ? null : 'routing_rules'
+        };
+    });
+
+    // Enforce each partner's daily limit, then its premium/raw mix and per-type daily caps
+    evaluations.filter(e => e.eligible).forEach(evaluation => {
+        if (parseInt(evaluation.partner.todays_leads) >= parseInt(evaluation.partner.daily_limit)) {
+            evaluation.eligible = false;
+            evaluation.reason = 'daily_cap';
+            return;
+        }
+        const capCheck = checkTypeCapacity(evaluation.partner, lead.type);
+        if (!capCheck.allowed) {
+            evaluation.eligible = false;
+            evaluation.reason = capCheck.reason;
+        }
+    });
+
+    // Enforce hourly/weekly/monthly caps and pacing of the daily limit.
+    // Pacing is checked when a closed partner opens, not while it is being scheduled.
+    const capCandidates = evaluations.filter(e => e.eligible);
+    const periodUsage = options.usage || await loadPeriodUsage(db, capCandidates.map(e => e.partnerId));
+    capCandidates.forEach(evaluation => {
+        evaluation.open = businessHoursIntelligence.isPartnerOpen(evaluation.partner, at);
+        const periodCheck = checkPeriodCaps(evaluation.partner, periodUsage.get(evaluation.partnerId), {
+            ignorePacing: !evaluation.open,
+            at
+        });
+        if (!periodCheck.allowed) {
+            evaluation.eligible = false;
+            evaluation.reason = periodCheck.reason;
+        }
+    });
+
+    // Restrict to the partner group of the lead's quality tier
+    const tierRouting = await qualityRouting.getTierRouting(db, lead);
+    const rankedPartners = await qualityRouting.applyTierRouting(
+        db, tierRouting, evaluations, poolConfig.performance_window_days
+    );
+    const eligiblePartners = evaluations.filter(e => e.eligible).map(e => e.partner);
+
+    // Partners open right now are preferred; closed ones only matter when nobody is open
+    const openPartners = evaluations.filter(e => e.eligible && e.open).map(e => e.partner);
+    evaluations.filter(e => e.eligible && !e.open).forEach(evaluation => {
+        evaluation.eligible = false;
+        evaluation.reason = 'business_hours';
+    });
+
+    // Order by the pool's configured strategy, or best conversion rate first for top-converter tiers
+    let orderedPartners = [];
+    if (openPartners.length > 0) {
+        orderedPartners = rankedPartners
+            ? rankedPartners.filter(partner => openPartners.includes(partner))
+            : await orderPartnersByStrategy(db, poolConfig, openPartners);
+    }
+
+    return { evaluations, eligiblePartners, openPartners, orderedPartners, tierRouting };
+}
 
 // Simple, working lead distribution without business hours complexity
-async function distributeLead(leadId, requestId = null) {
+// options.skipAuction - distribute directly even if the pool runs ping-post auctions
+//   (also how an auction with no accepted bid hands its 'auctioning' lead back)
+// options.excludePartnerIds - partners that must not receive this lead
+async function distributeLead(leadId, requestId = null, options = {}) {
     const distributionLogger = requestId ? new (require('../utils/logger')).Logger(requestId) : logger;
     const client = await pool.connect();
     
@@ -19,8 +181,11 @@ async function distributeLead(leadId, requestId = null) {
             return;
         }
         
-        // Skip if already distributed
-        if (lead.status !== 'pending') {
+        // An auction that sold nothing returns its lead to direct distribution
+        if (lead.status === 'auctioning' && options.skipAuction) {
+            await client.query(`UPDATE leads SET status = 'pending', auction_started_at = NULL WHERE id = $1`, [leadId]);
+        } else if (lead.status !== 'pending') {
+            // Skip if already distributed
             await client.query('ROLLBACK');
             return;
         }
@@ -31,142 +196,203 @@ async function distributeLead(leadId, requestId = null) {
             country: lead.country,
             niche: lead.niche || 'all'
         });
+
+        // Leads scoring below the review floor wait for a manual decision instead of being sent
+        const holdReason = qualityRouting.checkQualityFloor(lead, await qualityRouting.getReviewSettings(client));
+        if (holdReason) {
+            await qualityRouting.holdLeadForReview(client, leadId, holdReason);
+            await businessHoursIntelligence.closeScheduledDeliveries(client, leadId, 'cancelled', holdReason);
+            await client.query('COMMIT');
+
+            distributionLogger.info('Lead held for quality review', {
+                component: 'distribution',
+                leadId: leadId,
+                reason: holdReason
+            });
+            return;
+        }
+
+        const poolConfig = await getPoolConfig(client, lead.country, lead.niche, { forUpdate: true });
+
+        // Waterfall state: partners already tried, and those that rejected or failed the lead
+        const attemptsResult = await client.query(
+            'SELECT partner_id, hop, status FROM lead_distribution_attempts WHERE lead_id = $1',
+            [leadId]
+        );
+        // Buyers of a shared sale share one hop
+        const hop = attemptsResult.rows.reduce((max, a) => Math.max(max, a.hop), 0) + 1;
+        // A lead is never sold twice to the same partner, including aged buyers from recycling
+        const buyersResult = await client.query(`
+            SELECT partner_id FROM lead_assignments WHERE lead_id = $1
+            UNION
+            SELECT partner_id FROM lead_resales WHERE lead_id = $1
+        `, [leadId]);
+        const excludePartnerIds = [
+            ...(options.excludePartnerIds || []),
+            ...attemptsResult.rows.filter(a => ['rejected', 'failed'].includes(a.status)).map(a => a.partner_id),
+            ...buyersResult.rows.map(b => b.partner_id)
+        ];
+
+        if (hop > poolConfig.max_hops) {
+            distributionLogger.warn('Maximum distribution hops reached', {
+                component: 'distribution',
+                leadId: leadId,
+                attempts: attemptsResult.rows.length,
+                maxHops: poolConfig.max_hops
+            });
+            await markLeadFailed(client, leadId, 'max_hops', `${attemptsResult.rows.length} partner(s) tried`);
+            await client.query('COMMIT');
+            return;
+        }
         
         // Find available partners
         const partnersQuery = `
             SELECT p.*, COALESCE(ds.leads_received, 0) as todays_leads,
-                   COALESCE(ds.premium_leads, 0) as todays_premium
+                   COALESCE(ds.premium_leads, 0) as todays_premium,
+                   COALESCE(ds.raw_leads, 0) as todays_raw
             FROM partners p
             LEFT JOIN distribution_stats ds ON p.id = ds.partner_id AND ds.date = CURRENT_DATE
             WHERE p.status = 'active' 
                 AND p.country = $1 
                 AND p.niche = $2
-                AND COALESCE(ds.leads_received, 0) < p.daily_limit
+                AND NOT (p.id = ANY($3::int[]))
             ORDER BY COALESCE(ds.leads_received, 0) ASC, RANDOM()
             FOR UPDATE OF p
         `;
         
-        const partnersResult = await client.query(partnersQuery, [lead.country, lead.niche]);
-        
-        if (partnersResult.rows.length === 0) {
+        const partnersResult = await client.query(partnersQuery, [lead.country, lead.niche, excludePartnerIds]);
+
+        const { evaluations, eligiblePartners, openPartners, orderedPartners, tierRouting } =
+            await selectPartners(client, lead, partnersResult.rows, poolConfig);
+
+        if (eligiblePartners.length === 0) {
+            const failure = summariseIneligibility(evaluations);
             distributionLogger.warn('No available partners found', {
                 component: 'distribution',
                 leadId: leadId,
                 country: lead.country,
-                niche: lead.niche
+                niche: lead.niche,
+                reason: failure.reason,
+                detail: failure.detail
             });
-            await client.query('UPDATE leads SET status = $1 WHERE id = $2', ['failed', leadId]);
+            await recordRoutingEvaluations(client, leadId, evaluations);
+            await markLeadFailed(client, leadId, failure.reason, failure.detail);
             await client.query('COMMIT');
             return;
         }
-        
-        // Select first available partner (round-robin by load)
-        const selectedPartner = partnersResult.rows[0];
+
+        // Prefer partners open right now; if nobody is open, hold the lead for the earliest opening
+        if (openPartners.length === 0) {
+            await recordRoutingEvaluations(client, leadId, evaluations);
+            const opening = businessHoursIntelligence.getEarliestOpening(eligiblePartners);
+
+            if (!opening) {
+                await markLeadFailed(client, leadId, 'business_hours', `${eligiblePartners.length} partner(s) closed`);
+                await client.query('COMMIT');
+                return;
+            }
+
+            await businessHoursIntelligence.scheduleLeadDelivery(client, leadId, opening.partner.id, opening.time);
+            await client.query('COMMIT');
+
+            distributionLogger.info('No partner open - lead scheduled for business hours', {
+                component: 'distribution',
+                leadId: leadId,
+                partnerId: opening.partner.id,
+                partnerName: opening.partner.name,
+                scheduledTime: opening.time.toISOString()
+            });
+            return;
+        }
+
+        // Exclusive sales go to the first partner; shared sales to up to max_shares opted-in partners
+        const { saleMode, buyers } = selectBuyers(orderedPartners, await getSaleMode(client, lead));
+
+        // Auction pools sell the lead to the highest bidder; pings run after the transaction is released.
+        // The lead is marked 'auctioning' with a lease, so no other run distributes it meanwhile and the
+        // retry job can take it over if this process stops. Shared leads are sold at each partner's shared
+        // price instead of being auctioned.
+        if (!options.skipAuction && saleMode === 'exclusive' && pingPost.shouldRunAuction(poolConfig, lead, orderedPartners)) {
+            await recordRoutingEvaluations(client, leadId, evaluations);
+            await client.query(`
+                UPDATE leads SET status = 'auctioning', auction_started_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [leadId]);
+            await client.query('COMMIT');
+
+            distributionLogger.info('Lead entered ping-post auction', {
+                component: 'distribution',
+                leadId: leadId,
+                candidates: orderedPartners.length
+            });
+
+            setImmediate(() => {
+                pingPost.runAuction(lead, orderedPartners, poolConfig, requestId).catch(auctionError => {
+                    distributionLogger.error('Ping-post auction error', {
+                        component: 'distribution',
+                        leadId: leadId,
+                        error: auctionError.message
+                    });
+                });
+            });
+            return;
+        }
+
+        const primaryPartner = buyers[0];
+        buyers.forEach(buyer => { evaluations.find(e => e.partnerId === buyer.id).selected = true; });
+        await recordRoutingEvaluations(client, leadId, evaluations);
+        await recordPoolSelection(client, poolConfig, primaryPartner);
         distributionLogger.info('Partner selected for lead distribution', {
             component: 'distribution',
             leadId: leadId,
-            partnerId: selectedPartner.id,
-            partnerName: selectedPartner.name
+            partnerId: primaryPartner.id,
+            partnerName: primaryPartner.name,
+            saleMode: saleMode,
+            buyers: buyers.length,
+            strategy: poolConfig.strategy,
+            qualityTier: tierRouting.quality_tier,
+            partnerGroup: tierRouting.partner_group
         });
         
-        // Update lead with assigned partner
+        // Update lead with assigned (primary) partner
         await client.query(`
             UPDATE leads 
-            SET assigned_partner_id = $1, status = 'distributed', distributed_at = CURRENT_TIMESTAMP
+            SET assigned_partner_id = $1, status = 'distributed', distributed_at = CURRENT_TIMESTAMP,
+                failure_reason = NULL, failure_detail = NULL, next_retry_at = NULL
             WHERE id = $2
-        `, [selectedPartner.id, leadId]);
-        
-        // Update distribution stats
-        await client.query(`
-            INSERT INTO distribution_stats (partner_id, date, leads_received, premium_leads, raw_leads)
-            VALUES ($1, CURRENT_DATE, 1, $2, $3)
-            ON CONFLICT (partner_id, date) 
-            DO UPDATE SET 
-                leads_received = distribution_stats.leads_received + 1,
-                premium_leads = distribution_stats.premium_leads + $2,
-                raw_leads = distribution_stats.raw_leads + $3
-        `, [selectedPartner.id, lead.type === 'premium' ? 1 : 0, lead.type === 'raw' ? 1 : 0]);
+        `, [primaryPartner.id, leadId]);
+        await businessHoursIntelligence.closeScheduledDeliveries(client, leadId, 'delivered');
+
+        for (const buyer of buyers) {
+            await recordDistributionAttempt(client, leadId, buyer.id, hop, 'assigned');
+            
+            // Update distribution stats
+            await recordAssignmentStats(client, buyer.id, lead.type);
+            if (saleMode === 'shared') {
+                await recordSharedStats(client, buyer.id, 1);
+            }
+
+            await createAssignment(client, {
+                leadId,
+                partnerId: buyer.id,
+                saleMode,
+                price: saleMode === 'shared' ? buyer.shared_lead_price : null
+            });
+        }
         
         await client.query('COMMIT');
         
         distributionLogger.info('Lead distribution successful', {
             component: 'distribution',
             leadId: leadId,
-            partnerId: selectedPartner.id,
-            partnerName: selectedPartner.name
+            partnerId: primaryPartner.id,
+            partnerName: primaryPartner.name,
+            saleMode: saleMode
         });
         
-        // Queue webhook delivery for reliable processing with retries
-        try {
-            // Validate webhook URL presence first
-            if (!selectedPartner.webhook_url || selectedPartner.webhook_url.trim() === '') {
-                distributionLogger.warn('Partner has no webhook URL configured', {
-                    component: 'distribution',
-                    leadId: leadId,
-                    partnerId: selectedPartner.id,
-                    partnerName: selectedPartner.name
-                });
-                return; // Skip webhook delivery for partners without URLs
-            }
-            
-            const { transformLeadData } = require('./webhook');
-            const transformedPayload = transformLeadData(lead, selectedPartner);
-            
-            // Prepare webhook job data with request context
-            const webhookData = {
-                leadId: leadId,
-                partnerId: selectedPartner.id,
-                webhookUrl: selectedPartner.webhook_url.trim(),
-                payload: transformedPayload,
-                authConfig: selectedPartner.auth_config ? {
-                    type: selectedPartner.auth_type,
-                    config: selectedPartner.auth_config
-                } : { type: 'none' },
-                contentType: selectedPartner.content_type || 'application/json',
-                requestId: requestId // Pass request ID for logging correlation
-            };
-            
-            // Enqueue webhook for reliable delivery
-            const jobId = await queuedWebhook.enqueueWebhook(webhookData);
-            distributionLogger.info('Webhook delivery queued successfully', {
-                component: 'distribution',
-                jobId: jobId,
-                leadId: leadId,
-                partnerId: selectedPartner.id,
-                partnerName: selectedPartner.name
-            });
-            
-        } catch (queueError) {
-            distributionLogger.error('Failed to queue webhook for lead', {
-                component: 'distribution',
-                leadId: leadId,
-                error: queueError.message
-            });
-            
-            // Emergency fallback to immediate delivery if queue fails (includes validation)
-            setImmediate(async () => {
-                try {
-                    const { sendWebhook } = require('./webhook');
-                    const webhookResult = await sendWebhook(lead, selectedPartner);
-                    if (webhookResult) {
-                        distributionLogger.info('Emergency webhook delivery succeeded', {
-                            component: 'distribution',
-                            leadId: leadId
-                        });
-                    } else {
-                        distributionLogger.warn('Emergency webhook delivery failed', {
-                            component: 'distribution',
-                            leadId: leadId
-                        });
-                    }
-                } catch (emergencyError) {
-                    distributionLogger.error('Emergency webhook delivery error', {
-                        component: 'distribution',
-                        leadId: leadId,
-                        error: emergencyError.message
-                    });
-                }
-            });
+        // Queue webhook delivery to every buyer for reliable processing with retries
+        for (const buyer of buyers) {
+            await queuePartnerDelivery({ ...lead, sale_mode: saleMode }, buyer, requestId, distributionLogger);
         }
         
     } catch (error) {
@@ -179,7 +405,7 @@ async function distributeLead(leadId, requestId = null) {
         
         // Mark lead as failed using separate connection
         try {
-            await pool.query('UPDATE leads SET status = $1 WHERE id = $2', ['failed', leadId]);
+            await markLeadFailed(pool, leadId, 'distribution_error', error.message);
         } catch (updateError) {
             console.error('Failed to mark lead as failed:', updateError);
         }
@@ -194,6 +420,341 @@ async function distributeLead(leadId, requestId = null) {
     }
 }
 
+let retryInProgress = false;
+
+/**
+ * Re-run distribution for failed leads whose retry is due and for leads whose auction lease went
+ * stale (cron job), then alert on leads that are still failed after their last retry
+ */
+async function retryFailedLeads() {
+    if (retryInProgress) {
+        return { skipped: true };
+    }
+
+    retryInProgress = true;
+    try {
+        const dueResult = await pool.query(`
+            UPDATE leads
+            SET status = 'pending', retry_count = retry_count + 1, last_retry_at = CURRENT_TIMESTAMP, next_retry_at = NULL
+            WHERE id IN (
+                SELECT id FROM leads
+                WHERE status = 'failed'
+                    AND next_retry_at <= CURRENT_TIMESTAMP
+                    AND failure_reason = ANY($1::text[])
+                ORDER BY next_retry_at
+                LIMIT $2
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING id, retry_count, failure_reason
+        `, [RETRYABLE_REASONS, RETRY_BATCH_SIZE]);
+
+        let retried = 0;
+        for (const lead of dueResult.rows) {
+            logger.info('Retrying failed lead', {
+                component: 'distribution',
+                leadId: lead.id,
+                attempt: lead.retry_count,
+                previousReason: lead.failure_reason
+            });
+
+            try {
+                await distributeLead(lead.id);
+                retried++;
+            } catch (error) {
+                console.error(`Retry of lead ${lead.id} failed:`, error.message);
+            }
+        }
+
+        const recoveredIds = await pingPost.recoverStaleAuctions();
+        for (const leadId of recoveredIds) {
+            logger.warn('Recovering lead from a stale auction', { component: 'distribution', leadId });
+
+            try {
+                await distributeLead(leadId);
+                retried++;
+            } catch (error) {
+                console.error(`Redistribution of lead ${leadId} after a stale auction failed:`, error.message);
+            }
+        }
+
+        const strandedResult = await pool.query(`
+            UPDATE leads
+            SET stranded_at = CURRENT_TIMESTAMP
+            WHERE status = 'failed'
+                AND failure_reason = ANY($1::text[])
+                AND retry_count >= $2
+                AND stranded_at IS NULL
+            RETURNING id, first_name, last_name, country, niche, failure_reason
+        `, [RETRYABLE_REASONS, MAX_LEAD_RETRIES]);
+
+        for (const lead of strandedResult.rows) {
+            await alertSystem.alertStrandedLead(lead);
+        }
+
+        return { skipped: false, retried, recovered: recoveredIds.length, stranded: strandedResult.rows.length };
+    } finally {
+        retryInProgress = false;
+    }
+}
+
+/**
+ * Queue webhook delivery of a lead to one buyer, falling back to immediate delivery if the queue fails
+ */
+async function queuePartnerDelivery(lead, partner, requestId, distributionLogger) {
+    try {
+        // Validate webhook URL presence first
+        if (!partner.webhook_url || partner.webhook_url.trim() === '') {
+            distributionLogger.warn('Partner has no webhook URL configured', {
+                component: 'distribution',
+                leadId: lead.id,
+                partnerId: partner.id,
+                partnerName: partner.name
+            });
+            return; // Skip webhook delivery for partners without URLs
+        }
+        
+        const { createPayloadForPartner } = require('./webhook');
+        const transformedPayload = await createPayloadForPartner(lead, partner);
+        
+        // Prepare webhook job data with request context
+        const webhookData = {
+            leadId: lead.id,
+            partnerId: partner.id,
+            webhookUrl: partner.webhook_url.trim(),
+            payload: transformedPayload,
+            authConfig: partner.auth_config ? {
+                type: partner.auth_type,
+                config: partner.auth_config
+            } : { type: 'none' },
+            contentType: partner.content_type || 'application/json',
+            requestId: requestId // Pass request ID for logging correlation
+        };
+        
+        // Enqueue webhook for reliable delivery
+        const jobId = await queuedWebhook.enqueueWebhook(webhookData);
+        distributionLogger.info('Webhook delivery queued successfully', {
+            component: 'distribution',
+            jobId: jobId,
+            leadId: lead.id,
+            partnerId: partner.id,
+            partnerName: partner.name
+        });
+        
+    } catch (queueError) {
+        distributionLogger.error('Failed to queue webhook for lead', {
+            component: 'distribution',
+            leadId: lead.id,
+            partnerId: partner.id,
+            error: queueError.message
+        });
+        
+        // Emergency fallback to immediate delivery if queue fails (includes validation)
+        setImmediate(async () => {
+            try {
+                const { sendWebhook } = require('./webhook');
+                const webhookResult = await sendWebhook(lead, partner);
+                
+                if (webhookResult) {
+                    distributionLogger.info('Emergency webhook delivery succeeded', {
+                        component: 'distribution',
+                        leadId: lead.id,
+                        partnerId: partner.id
+                    });
+                } else {
+                    distributionLogger.warn('Emergency webhook delivery failed', {
+                        component: 'distribution',
+                        leadId: lead.id,
+                        partnerId: partner.id
+                    });
+                }
+            } catch (emergencyError) {
+                distributionLogger.error('Emergency webhook delivery error', {
+                    component: 'distribution',
+                    leadId: lead.id,
+                    partnerId: partner.id,
+                    error: emergencyError.message
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Count (or with delta -1, uncount) a shared sale in the partner's daily stats.
+ * `at` is when the lead was assigned (defaults to now).
+ */
+async function recordSharedStats(db, partnerId, delta, at = null) {
+    await db.query(`
+        UPDATE distribution_stats
+        SET shared_leads = GREATEST(COALESCE(shared_leads, 0) + $2, 0)
+        WHERE partner_id = $1 AND date = COALESCE($3::timestamp, CURRENT_TIMESTAMP)::date
+    `, [partnerId, delta, at]);
+}
+
+/**
+ * Add (or with delta -1, remove) a lead from a partner's daily and hourly distribution stats.
+ * `at` is when the lead was assigned (defaults to now).
+ */
+async function recordAssignmentStats(db, partnerId, leadType, delta = 1, at = null) {
+    const premium = leadType === 'premium' ? delta : 0;
+    const raw = leadType === 'raw' ? delta : 0;
+
+    if (delta > 0) {
+        await db.query(`
+            INSERT INTO distribution_stats (partner_id, date, leads_received, premium_leads, raw_leads)
+            VALUES ($1, COALESCE($5::timestamp, CURRENT_TIMESTAMP)::date, $2, $3, $4)
+            ON CONFLICT (partner_id, date) 
+            DO UPDATE SET 
+                leads_received = distribution_stats.leads_received + $2,
+                premium_leads = distribution_stats.premium_leads + $3,
+                raw_leads = distribution_stats.raw_leads + $4
+        `, [partnerId, delta, premium, raw, at]);
+
+        await db.query(`
+            INSERT INTO distribution_stats_hourly (partner_id, hour_start, leads_received, premium_leads, raw_leads)
+            VALUES ($1, date_trunc('hour', COALESCE($5::timestamp, CURRENT_TIMESTAMP)), $2, $3, $4)
+            ON CONFLICT (partner_id, hour_start)
+            DO UPDATE SET
+                leads_received = distribution_stats_hourly.leads_received + $2,
+                premium_leads = distribution_stats_hourly.premium_leads + $3,
+                raw_leads = distribution_stats_hourly.raw_leads + $4
+        `, [partnerId, delta, premium, raw, at]);
+    } else {
+        await db.query(`
+            UPDATE distribution_stats
+            SET leads_received = GREATEST(leads_received + $2, 0),
+                premium_leads = GREATEST(premium_leads + $3, 0),
+                raw_leads = GREATEST(raw_leads + $4, 0)
+            WHERE partner_id = $1 AND date = COALESCE($5::timestamp, CURRENT_TIMESTAMP)::date
+        `, [partnerId, delta, premium, raw, at]);
+
+        await db.query(`
+            UPDATE distribution_stats_hourly
+            SET leads_received = GREATEST(leads_received + $2, 0),
+                premium_leads = GREATEST(premium_leads + $3, 0),
+                raw_leads = GREATEST(raw_leads + $4, 0)
+            WHERE partner_id = $1 AND hour_start = date_trunc('hour', COALESCE($5::timestamp, CURRENT_TIMESTAMP))
+        `, [partnerId, delta, premium, raw, at]);
+    }
+}
+
+/**
+ * Record a partner tried for a lead in the distribution waterfall
+ */
+async function recordDistributionAttempt(db, leadId, partnerId, hop, status, reason = null) {
+    await db.query(`
+        INSERT INTO lead_distribution_attempts (lead_id, partner_id, hop, status, reason)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [leadId, partnerId, hop, status, reason]);
+}
+
+/**
+ * Mark the current attempt as delivered once the partner accepted the lead
+ */
+async function markAttemptDelivered(leadId, partnerId) {
+    await pool.query(`
+        UPDATE lead_distribution_attempts
+        SET status = 'delivered', updated_at = CURRENT_TIMESTAMP
+        WHERE lead_id = $1 AND partner_id = $2 AND status = 'assigned'
+    `, [leadId, partnerId]);
+
+    await pool.query(`
+        UPDATE lead_assignments
+        SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE lead_id = $1 AND partner_id = $2 AND status = 'assigned'
+    `, [leadId, partnerId]);
+}
+
+/**
+ * Waterfall fallback - a buyer rejected the lead or every delivery attempt failed.
+ * Releases that buyer's assignment; once no buyer holds the lead it is routed to the next eligible partner.
+ */
+async function handleDeliveryFailure(leadId, partnerId, { reason, rejected = false, requestId = null } = {}) {
+    const client = await pool.connect();
+    let unassigned = false;
+
+    try {
+        await client.query('BEGIN');
+
+        const leadResult = await client.query('SELECT * FROM leads WHERE id = $1 FOR UPDATE', [leadId]);
+        const lead = leadResult.rows[0];
+
+        // Only fall back while the lead is still sitting with this partner
+        const assignmentResult = lead && lead.status === 'distributed' ? await client.query(`
+            SELECT * FROM lead_assignments
+            WHERE lead_id = $1 AND partner_id = $2 AND sale_mode <> 'aged' AND status IN ('assigned', 'delivered')
+        `, [leadId, partnerId]) : { rows: [] };
+        const assignment = assignmentResult.rows[0];
+
+        if (!assignment) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        const status = rejected ? 'rejected' : 'failed';
+        await client.query(`
+            UPDATE lead_distribution_attempts
+            SET status = $1, reason = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE lead_id = $3 AND partner_id = $4 AND status IN ('assigned', 'delivered')
+        `, [status, reason, leadId, partnerId]);
+
+        await updateAssignmentStatus(client, leadId, partnerId, status, reason);
+
+        await recordAssignmentStats(client, partnerId, lead.type, -1, assignment.assigned_at);
+        if (assignment.sale_mode === 'shared') {
+            await recordSharedStats(client, partnerId, -1, assignment.assigned_at);
+        }
+
+        // Other buyers of a shared sale keep the lead
+        const remainingResult = await client.query(`
+            SELECT partner_id FROM lead_assignments
+            WHERE lead_id = $1 AND sale_mode <> 'aged' AND status IN ('assigned', 'delivered', 'converted')
+            ORDER BY assigned_at, id
+        `, [leadId]);
+        unassigned = remainingResult.rows.length === 0;
+
+        if (unassigned) {
+            await client.query(`
+                UPDATE leads
+                SET status = 'pending', assigned_partner_id = NULL, distributed_at = NULL
+                WHERE id = $1
+            `, [leadId]);
+        } else if (lead.assigned_partner_id === partnerId) {
+            await client.query('UPDATE leads SET assigned_partner_id = $1 WHERE id = $2', [remainingResult.rows[0].partner_id, leadId]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Delivery failure handling error:', error);
+        return false;
+    } finally {
+        client.release();
+    }
+
+    if (!unassigned) {
+        logger.warn('Shared lead released by one buyer - other buyers keep it', {
+            component: 'distribution',
+            leadId,
+            partnerId,
+            rejected,
+            reason
+        });
+        return true;
+    }
+
+    logger.warn('Lead unassigned after partner delivery failure - trying next partner', {
+        component: 'distribution',
+        leadId,
+        partnerId,
+        rejected,
+        reason
+    });
+
+    await distributeLead(leadId, requestId);
+    return true;
+}
+
 // Deliver lead data to partner's CRM system using dynamic CRM integration settings
 // SSRF protection - validates URLs to prevent internal network access
 function validateUrlForSSRF(url) {
@@ -401,5 +962,16 @@ async function deliverToCRM(leadId, partnerId, leadData) {
 }
 
 module.exports = {
-    distributeLead
+    FAILURE_REASONS,
+    FAILURE_CODES,
+    MAX_LEAD_RETRIES,
+    getFailureCode,
+    distributeLead,
+    handleDeliveryFailure,
+    markAttemptDelivered,
+    recordAssignmentStats,
+    recordDistributionAttempt,
+    retryFailedLeads,
+    selectPartners,
+    summariseIneligibility
 };
\ No newline at end of file
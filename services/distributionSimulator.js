@@ -0,0 +1,458 @@
+const { pool } = require('../config/db');
+const { FAILURE_REASONS, selectPartners, summariseIneligibility } = require('./distribution');
+const { getPoolConfig } = require('./distributionStrategies');
+const { loadPeriodUsage } = require('./partnerCaps');
+const { getSaleMode, selectBuyers, getLeadQualityTier } = require('./leadAssignments');
+const qualityRouting = require('./qualityRouting');
+const pingPost = require('./pingPost');
+const businessHoursIntelligence = require('./businessHoursIntelligence');
+const leadQualityScoring = require('./leadQualityScoring');
+
+/**
+ * Distribution Simulator
+ * Runs the live partner selection for a sample lead, or replays recent leads, inside a read-only
+ * transaction and reports where each lead would go and why the other partners were excluded.
+ */
+
+const EXCLUSION_REASONS = {
+    status: 'Partner is not active',
+    country: 'Different country',
+    niche: 'Different niche',
+    daily_cap: 'Daily limit reached',
+    routing_rules: 'Rejected by routing rules',
+    premium_ratio: 'Premium/raw ratio exhausted',
+    type_cap: 'Premium/raw daily cap reached',
+    hourly_cap: 'Hourly cap reached',
+    weekly_cap: 'Weekly cap reached',
+    monthly_cap: 'Monthly cap reached',
+    pacing: 'Paced allowance used up',
+    business_hours: 'Outside business hours',
+    quality_tier: 'Not in the quality tier\'s partner group'
+};
+
+// Report columns the exclusion reasons are grouped under
+const EXCLUSION_GROUPS = {
+    status: 'status',
+    country: 'country',
+    niche: 'niche',
+    daily_cap: 'cap',
+    premium_ratio: 'cap',
+    type_cap: 'cap',
+    hourly_cap: 'cap',
+    weekly_cap: 'cap',
+    monthly_cap: 'cap',
+    pacing: 'cap',
+    business_hours: 'hours',
+    routing_rules: 'rules',
+    quality_tier: 'quality'
+};
+
+const MAX_REPLAY_DAYS = 30;
+const MAX_REPLAY_LEADS = 5000;
+
+// Replays list per-lead detail for the first leads only; totals cover every lead
+const LEAD_DETAIL_LIMIT = 200;
+
+/**
+ * Validate a sample lead submitted from the simulator page. Throws on invalid input.
+ */
+function parseSampleLead(body) {
+    const lead = {
+        id: null,
+        source: (body.source || '').trim() || 'simulator',
+        type: body.type === 'premium' ? 'premium' : 'raw',
+        country: (body.country || '').trim().toLowerCase(),
+        niche: (body.niche || '').trim().toLowerCase(),
+        first_name: (body.first_name || '').trim() || null,
+        last_name: (body.last_name || '').trim() || null,
+        email: (body.email || '').trim() || null,
+        phone: (body.phone || '').trim() || null,
+        data: {}
+    };
+
+    if (!lead.country || !lead.niche) {
+        throw new Error('Country and niche are required');
+    }
+
+    if (body.quality_score !== undefined && body.quality_score !== null && body.quality_score !== '') {
+        const score = parseFloat(body.quality_score);
+        if (isNaN(score) || score < 0 || score > 100) {
+            throw new Error('Quality score must be empty or between 0 and 100');
+        }
+        lead.data.quality_score = score;
+    }
+
+    return lead;
+}
+
+/**
+ * Validate replay options. Throws on invalid input.
+ */
+function parseReplayOptions(body) {
+    const days = parseInt(body.days);
+    if (isNaN(days) || days < 1 || days > MAX_REPLAY_DAYS) {
+        throw new Error(`Days must be between 1 and ${MAX_REPLAY_DAYS}`);
+    }
+    return {
+        days,
+        country: (body.country || '').trim().toLowerCase() || null,
+        niche: (body.niche || '').trim().toLowerCase() || null
+    };
+}
+
+function getBuckets(at) {
+    const iso = at.toISOString();
+    const monday = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() - ((at.getUTCDay() + 6) % 7)));
+    return {
+        hourly: iso.slice(0, 13),
+        daily: iso.slice(0, 10),
+        weekly: monday.toISOString().slice(0, 10),
+        monthly: iso.slice(0, 7)
+    };
+}
+
+/**
+ * Leads handed out during a replay, counted per partner and UTC hour/day/week/month, so caps
+ * fill up over the replay the way they would have live
+ */
+function createReplayUsage() {
+    const counts = new Map();
+    const key = (partnerId, name) => `${partnerId}:${name}`;
+    const get = (partnerId, name) => counts.get(key(partnerId, name)) || 0;
+
+    return {
+        record(partnerId, leadType, at) {
+            const buckets = getBuckets(at);
+            Object.entries(buckets).forEach(([period, bucket]) => {
+                counts.set(key(partnerId, `${period}:${bucket}`), get(partnerId, `${period}:${bucket}`) + 1);
+            });
+            const typeKey = `${leadType === 'premium' ? 'premium' : 'raw'}:${buckets.daily}`;
+            counts.set(key(partnerId, typeKey), get(partnerId, typeKey) + 1);
+        },
+        periodUsage(partnerId, at) {
+            const buckets = getBuckets(at);
+            return {
+                hourly: get(partnerId, `hourly:${buckets.hourly}`),
+                daily: get(partnerId, `daily:${buckets.daily}`),
+                weekly: get(partnerId, `weekly:${buckets.weekly}`),
+                monthly: get(partnerId, `monthly:${buckets.monthly}`)
+            };
+        },
+        todays(partnerId, at) {
+            const day = getBuckets(at).daily;
+            return {
+                todays_leads: get(partnerId, `daily:${day}`),
+                todays_premium: get(partnerId, `premium:${day}`),
+                todays_raw: get(partnerId, `raw:${day}`)
+            };
+        }
+    };
+}
+
+/**
+ * The partners that take part in live selection for a lead, ordered as the live query orders them.
+ * The rest are excluded for their status, country or niche; caps are left to live selection.
+ */
+function splitCandidates(partners, lead, todaysFor) {
+    const candidates = [];
+    const exclusions = [];
+
+    for (const partner of partners) {
+        const row = { ...partner, ...todaysFor(partner.id) };
+        let reason = null;
+        if (partner.status !== 'active') reason = 'status';
+        else if (partner.country !== lead.country) reason = 'country';
+        else if (partner.niche !== lead.niche) reason = 'niche';
+
+        if (reason) {
+            exclusions.push({ partnerId: partner.id, reason });
+        } else {
+            candidates.push(row);
+        }
+    }
+
+    // Live distribution offers the partner with the fewest leads today first, ties at random
+    const ordered = candidates
+        .map(partner => ({ partner, tiebreak: Math.random() }))
+        .sort((a, b) => (parseInt(a.partner.todays_leads) - parseInt(b.partner.todays_leads)) || (a.tiebreak - b.tiebreak))
+        .map(entry => entry.partner);
+    return { candidates: ordered, exclusions };
+}
+
+/**
+ * Where one lead would go: assigned, scheduled for business hours, held for review or failed
+ */
+async function simulateLead(db, lead, partners, context) {
+    const at = context.atFor(lead);
+    const { candidates, exclusions } = splitCandidates(partners, lead, partnerId => context.todays(partnerId, at));
+    const result = { lead, outcome: null, buyers: [], saleMode: null, auction: false, scheduledFor: null, reason: null, exclusions };
+
+    const holdReason = qualityRouting.checkQualityFloor(lead, context.reviewSettings);
+    if (holdReason) {
+        return { ...result, outcome: 'held', reason: holdReason };
+    }
+
+    const poolKey = `${lead.country}|${lead.niche}`;
+    if (!context.pools.has(poolKey)) {
+        context.pools.set(poolKey, { ...(await getPoolConfig(db, lead.country, lead.niche)) });
+    }
+    const poolConfig = context.pools.get(poolKey);
+
+    const usage = context.periodUsage
+        ? new Map(candidates.map(partner => [partner.id, context.periodUsage(partner.id, at)]))
+        : undefined;
+    const { evaluations, eligiblePartners, openPartners, orderedPartners } =
+        await selectPartners(db, lead, candidates, poolConfig, { usage, at });
+
+    evaluations.filter(e => !e.eligible).forEach(e => exclusions.push({ partnerId: e.partnerId, reason: e.reason }));
+
+    if (eligiblePartners.length === 0) {
+        return { ...result, outcome: 'failed', reason: FAILURE_REASONS[summariseIneligibility(evaluations).reason] };
+    }
+
+    if (openPartners.length === 0) {
+        const opening = businessHoursIntelligence.getEarliestOpening(eligiblePartners, at);
+        if (!opening) {
+            return { ...result, outcome: 'failed', reason: FAILURE_REASONS.business_hours };
+        }
+        return { ...result, outcome: 'scheduled', buyers: [opening.partner], scheduledFor: opening.time };
+    }
+
+    const saleModeKey = `${lead.source}|${getLeadQualityTier(lead)}`;
+    if (!context.saleModes.has(saleModeKey)) {
+        context.saleModes.set(saleModeKey, await getSaleMode(db, lead));
+    }
+    const { saleMode, buyers } = selectBuyers(orderedPartners, context.saleModes.get(saleModeKey));
+
+    if (poolConfig.strategy === 'round_robin') {
+        poolConfig.round_robin_cursor = buyers[0].id;
+    }
+
+    return {
+        ...result,
+        outcome: 'assigned',
+        buyers,
+        saleMode,
+        auction: saleMode === 'exclusive' && pingPost.shouldRunAuction(poolConfig, lead, orderedPartners)
+    };
+}
+
+function summariseLeadResult(result, partnersById) {
+    return {
+        lead: {
+            id: result.lead.id,
+            country: result.lead.country,
+            niche: result.lead.niche,
+            type: result.lead.type,
+            source: result.lead.source,
+            quality_tier: getLeadQualityTier(result.lead),
+            created_at: result.lead.created_at || null
+        },
+        outcome: result.outcome,
+        buyers: result.buyers.map(buyer => ({ id: buyer.id, name: buyer.name })),
+        saleMode: result.saleMode,
+        auction: result.auction,
+        scheduledFor: result.scheduledFor,
+        reason: result.reason,
+        actualPartners: result.actualPartners || [],
+        exclusions: result.exclusions.map(exclusion => ({
+            partnerId: exclusion.partnerId,
+            partnerName: (partnersById.get(exclusion.partnerId) || {}).name,
+            reason: exclusion.reason,
+            label: EXCLUSION_REASONS[exclusion.reason] || exclusion.reason,
+            group: EXCLUSION_GROUPS[exclusion.reason] || 'other'
+        }))
+    };
+}
+
+/**
+ * Per-partner simulated share, actual share (replays) and exclusion counts by group
+ */
+function buildPartnerReport(partners, results, actualCounts) {
+    const totalLeads = results.length;
+    const leadPools = new Set(results.map(result => `${result.lead.country}|${result.lead.niche}`));
+    const report = new Map(partners.map(partner => [partner.id, {
+        id: partner.id,
+        name: partner.name,
+        country: partner.country,
+        niche: partner.niche,
+        status: partner.status,
+        simulated: 0,
+        actual: actualCounts ? (actualCounts.get(partner.id) || 0) : null,
+        exclusions: {}
+    }]));
+
+    for (const result of results) {
+        if (result.outcome === 'assigned') {
+            result.buyers.forEach(buyer => { report.get(buyer.id).simulated++; });
+        }
+        result.exclusions.forEach(exclusion => {
+            const group = EXCLUSION_GROUPS[exclusion.reason] || 'other';
+            const entry = report.get(exclusion.partnerId);
+            entry.exclusions[group] = (entry.exclusions[group] || 0) + 1;
+        });
+    }
+
+    return [...report.values()]
+        .map(entry => ({
+            ...entry,
+            simulatedShare: totalLeads > 0 ? entry.simulated / totalLeads : 0,
+            actualShare: entry.actual !== null && totalLeads > 0 ? entry.actual / totalLeads : null
+        }))
+        // Partners outside every simulated country/niche only add noise
+        .filter(entry => entry.simulated > 0 || entry.actual > 0 || leadPools.has(`${entry.country}|${entry.niche}`))
+        .sort((a, b) => (b.simulated - a.simulated) || ((b.actual || 0) - (a.actual || 0)) || a.name.localeCompare(b.name));
+}
+
+function countOutcomes(results) {
+    const outcomes = { assigned: 0, scheduled: 0, held: 0, failed: 0 };
+    results.forEach(result => { outcomes[result.outcome]++; });
+    return outcomes;
+}
+
+/**
+ * Run a simulation in a read-only transaction so nothing it touches can be written
+ */
+async function withReadOnlyClient(callback) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN TRANSACTION READ ONLY');
+        return await callback(client);
+    } finally {
+        try {
+            await client.query('ROLLBACK');
+        } finally {
+            client.release();
+        }
+    }
+}
+
+/**
+ * Where a sample lead would go right now, against today's live usage
+ */
+async function simulateSampleLead(sample) {
+    return withReadOnlyClient(async db => {
+        const lead = { ...sample, data: { ...sample.data }, created_at: new Date() };
+
+        // Score the lead like the webhook does unless a score was given
+        if (lead.data.quality_score === undefined) {
+            const qualityScore = await leadQualityScoring.calculateQualityScore(lead);
+            lead.data.quality_score = qualityScore.totalScore;
+            lead.data.quality_tier = qualityScore.qualityTier;
+        } else {
+            lead.data.quality_tier = leadQualityScoring.determineQualityTier(lead.data.quality_score);
+        }
+
+        const partnersResult = await db.query(`
+            SELECT p.*, COALESCE(ds.leads_received, 0) as todays_leads,
+                   COALESCE(ds.premium_leads, 0) as todays_premium,
+                   COALESCE(ds.raw_leads, 0) as todays_raw
+            FROM partners p
+            LEFT JOIN distribution_stats ds ON p.id = ds.partner_id AND ds.date = CURRENT_DATE
+            ORDER BY p.name
+        `);
+        const partners = partnersResult.rows;
+        const todaysById = new Map(partners.map(partner => [partner.id, {
+            todays_leads: partner.todays_leads,
+            todays_premium: partner.todays_premium,
+            todays_raw: partner.todays_raw
+        }]));
+        const periodUsage = await loadPeriodUsage(db, partners.map(partner => partner.id));
+
+        const context = {
+            reviewSettings: await qualityRouting.getReviewSettings(db),
+            pools: new Map(),
+            saleModes: new Map(),
+            atFor: () => new Date(),
+            todays: partnerId => todaysById.get(partnerId),
+            periodUsage: partnerId => periodUsage.get(partnerId)
+        };
+
+        const result = await simulateLead(db, lead, partners, context);
+        const partnersById = new Map(partners.map(partner => [partner.id, partner]));
+
+        return {
+            mode: 'sample',
+            qualityScore: lead.data.quality_score,
+            qualityTier: lead.data.quality_tier,
+            totalLeads: 1,
+            outcomes: countOutcomes([result]),
+            leads: [summariseLeadResult(result, partnersById)],
+            partners: buildPartnerReport(partners, [result], null)
+        };
+    });
+}
+
+/**
+ * Replay the leads of the last N days through today's partner settings, in arrival order.
+ * Usage starts empty and fills with the replayed assignments; business hours and pacing are
+ * checked at each lead's arrival time.
+ */
+async function replayLeads({ days, country = null, niche = null }) {
+    return withReadOnlyClient(async db => {
+        const leadsResult = await db.query(`
+            SELECT l.*,
+                   COALESCE(ARRAY_AGG(la.partner_id) FILTER (WHERE la.partner_id IS NOT NULL), '{}') as actual_partner_ids
+            FROM leads l
+            LEFT JOIN lead_assignments la ON la.lead_id = l.id AND la.sale_mode <> 'aged'
+            WHERE l.created_at >= CURRENT_TIMESTAMP - ($1::integer * INTERVAL '1 day')
+                AND ($2::text IS NULL OR l.country = $2)
+                AND ($3::text IS NULL OR l.niche = $3)
+            GROUP BY l.id
+            ORDER BY l.created_at, l.id
+            LIMIT $4
+        `, [days, country, niche, MAX_REPLAY_LEADS + 1]);
+        const truncated = leadsResult.rows.length > MAX_REPLAY_LEADS;
+        const leads = leadsResult.rows.slice(0, MAX_REPLAY_LEADS);
+
+        const partnersResult = await db.query('SELECT * FROM partners ORDER BY name');
+        const partners = partnersResult.rows;
+        const partnersById = new Map(partners.map(partner => [partner.id, partner]));
+
+        const replayUsage = createReplayUsage();
+        const context = {
+            // Replayed leads are judged on their score, not on a review decision already taken
+            reviewSettings: await qualityRouting.getReviewSettings(db),
+            pools: new Map(),
+            saleModes: new Map(),
+            atFor: lead => new Date(lead.created_at),
+            todays: (partnerId, at) => replayUsage.todays(partnerId, at),
+            periodUsage: (partnerId, at) => replayUsage.periodUsage(partnerId, at)
+        };
+
+        const results = [];
+        const actualCounts = new Map();
+        for (const lead of leads) {
+            const result = await simulateLead(db, { ...lead, reviewed_at: null }, partners, context);
+            result.actualPartners = lead.actual_partner_ids.map(id => ({ id, name: (partnersById.get(id) || {}).name }));
+            lead.actual_partner_ids.forEach(id => actualCounts.set(id, (actualCounts.get(id) || 0) + 1));
+
+            if (result.outcome === 'assigned') {
+                result.buyers.forEach(buyer => replayUsage.record(buyer.id, lead.type, new Date(lead.created_at)));
+            }
+            results.push(result);
+        }
+
+        return {
+            mode: 'replay',
+            days,
+            country,
+            niche,
+            totalLeads: results.length,
+            truncated,
+            outcomes: countOutcomes(results),
+            leads: results.slice(0, LEAD_DETAIL_LIMIT).map(result => summariseLeadResult(result, partnersById)),
+            partners: buildPartnerReport(partners, results, actualCounts)
+        };
+    });
+}
+
+module.exports = {
+    EXCLUSION_REASONS,
+    MAX_REPLAY_DAYS,
+    LEAD_DETAIL_LIMIT,
+    parseSampleLead,
+    parseReplayOptions,
+    simulateSampleLead,
+    replayLeads
+};
@@ -0,0 +1,212 @@
+const { pool } = require('../config/db');
+
+/**
+ * Distribution Strategies
+ * Decides the order in which eligible partners of a country/niche pool are offered a lead
+ */
+
+const STRATEGIES = {
+    load_balanced: 'Load balanced (fewest leads today)',
+    weighted: 'Weighted split',
+    round_robin: 'Strict round-robin',
+    priority: 'Priority waterfall',
+    best_performer: 'Best performer (conversion rate)'
+};
+
+const DEFAULT_POOL = {
+    id: null,
+    strategy: 'load_balanced',
+    round_robin_cursor: null,
+    performance_window_days: 14,
+    max_hops: 3,
+    auction_enabled: false
+};
+
+// Partners with fewer leads than this in the window are scored at the pool average
+const BEST_PERFORMER_MIN_SAMPLE = 20;
+
+/**
+ * Load (and lock) the pool configuration for a country/niche, falling back to load balancing
+ */
+async function getPoolConfig(db, country, niche, { forUpdate = false } = {}) {
+    const result = await db.query(`
+        SELECT * FROM distribution_pools
+        WHERE country = $1 AND niche = $2
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [country, niche]);
+
+    return result.rows[0] || { ...DEFAULT_POOL, country, niche };
+}
+
+function orderByWeight(partners) {
+    // Weighted random ordering without replacement (Efraimidis-Spirakis keys)
+    return partners
+        .map(partner => {
+            const weight = Math.max(parseFloat(partner.distribution_weight) || 0, 0);
+            return { partner, key: weight > 0 ? Math.pow(Math.random(), 1 / weight) : -1 };
+        })
+        .sort((a, b) => b.key - a.key)
+        .map(entry => entry.partner);
+}
+
+function orderByRoundRobin(partners, cursor) {
+    const sorted = [...partners].sort((a, b) => a.id - b.id);
+    const nextIndex = sorted.findIndex(partner => cursor === null || partner.id > cursor);
+    if (nextIndex <= 0) return sorted;
+    return [...sorted.slice(nextIndex), ...sorted.slice(0, nextIndex)];
+}
+
+function orderByPriority(partners) {
+    return [...partners].sort((a, b) =>
+        (a.priority_order - b.priority_order) ||
+        (parseInt(a.todays_leads) - parseInt(b.todays_leads)) ||
+        (a.id - b.id)
+    );
+}
+
+async function orderByPerformance(db, partners, windowDays) {
+    const result = await db.query(`
+        SELECT partner_id,
+               COALESCE(SUM(leads_received), 0) as leads,
+               COALESCE(SUM(conversions), 0) as conversions
+        FROM distribution_stats
+        WHERE partner_id = ANY($1)
+            AND date > CURRENT_DATE - $2::integer
+        GROUP BY partner_id
+    `, [partners.map(p => p.id), windowDays]);
+
+    const stats = new Map(result.rows.map(row => [row.partner_id, row]));
+    const totals = result.rows.reduce((acc, row) => ({
+        leads: acc.leads + parseInt(row.leads),
+        conversions: acc.conversions + parseInt(row.conversions)
+    }), { leads: 0, conversions: 0 });
+    const poolRate = totals.leads > 0 ? totals.conversions / totals.leads : 0;
+
+    const scored = partners.map(partner => {
+        const row = stats.get(partner.id);
+        const leads = row ? parseInt(row.leads) : 0;
+        const rate = leads >= BEST_PERFORMER_MIN_SAMPLE ? parseInt(row.conversions) / leads : poolRate;
+        return { partner, rate };
+    });
+
+    return scored
+        .sort((a, b) =>
+            (b.rate - a.rate) ||
+            (parseInt(a.partner.todays_leads) - parseInt(b.partner.todays_leads))
+        )
+        .map(entry => entry.partner);
+}
+
+/**
+ * Order partners by conversion rate over the last windowDays days, best first
+ */
+async function orderPartnersByPerformance(db, partners, windowDays = DEFAULT_POOL.performance_window_days) {
+    if (partners.length <= 1) return [...partners];
+    return orderByPerformance(db, partners, windowDays);
+}
+
+/**
+ * Order eligible partners according to the pool strategy. The first partner is the one to use.
+ */
+async function orderPartnersByStrategy(db, poolConfig, partners) {
+    if (partners.length <= 1) return [...partners];
+
+    switch (poolConfig.strategy) {
+        case 'weighted':
+            return orderByWeight(partners);
+        case 'round_robin':
+            return orderByRoundRobin(partners, poolConfig.round_robin_cursor);
+        case 'priority':
+            return orderByPriority(partners);
+        case 'best_performer':
+            return orderByPerformance(db, partners, poolConfig.performance_window_days || DEFAULT_POOL.performance_window_days);
+        default:
+            // load_balanced - partners arrive sorted by today's volume
+            return [...partners];
+    }
+}
+
+/**
+ * Persist strategy state after a partner has been chosen (round-robin cursor)
+ */
+async function recordPoolSelection(db, poolConfig, partner) {
+    if (poolConfig.id && poolConfig.strategy === 'round_robin') {
+        await db.query(`
+            UPDATE distribution_pools
+            SET round_robin_cursor = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [partner.id, poolConfig.id]);
+    }
+}
+
+/**
+ * Share of a pool each partner is configured to receive, or null when the strategy has no fixed split
+ */
+function getConfiguredShares(strategy, partners) {
+    const active = partners.filter(p => p.status === 'active');
+    const shares = new Map();
+
+    if (strategy === 'weighted') {
+        const totalWeight = active.reduce((sum, p) => sum + Math.max(parseFloat(p.distribution_weight) || 0, 0), 0);
+        active.forEach(p => shares.set(p.id, totalWeight > 0 ? Math.max(parseFloat(p.distribution_weight) || 0, 0) / totalWeight : 0));
+    } else if (strategy === 'round_robin' || strategy === 'load_balanced') {
+        active.forEach(p => shares.set(p.id, 1 / active.length));
+    } else {
+        return null;
+    }
+
+    return shares;
+}
+
+/**
+ * Configured vs. actual share per partner for every country/niche pool
+ */
+async function getPoolShareReport(startDate, endDate) {
+    const result = await pool.query(`
+        SELECT p.id, p.name, p.country, p.niche, p.status,
+               p.distribution_weight, p.priority_order,
+               COALESCE(dp.strategy, 'load_balanced') as strategy,
+               COALESCE(SUM(ds.leads_received), 0) as leads_received
+        FROM partners p
+        LEFT JOIN distribution_pools dp ON dp.country = p.country AND dp.niche = p.niche
+        LEFT JOIN distribution_stats ds ON ds.partner_id = p.id
+            AND ds.date BETWEEN $1 AND $2
+        GROUP BY p.id, dp.strategy
+        ORDER BY p.country, p.niche, p.priority_order, p.id
+    `, [startDate, endDate]);
+
+    const pools = new Map();
+    for (const row of result.rows) {
+        const key = `${row.country}:${row.niche}`;
+        if (!pools.has(key)) {
+            pools.set(key, { country: row.country, niche: row.niche, strategy: row.strategy, partners: [] });
+        }
+        pools.get(key).partners.push({ ...row, leads_received: parseInt(row.leads_received) });
+    }
+
+    return Array.from(pools.values()).map(poolReport => {
+        const totalLeads = poolReport.partners.reduce((sum, p) => sum + p.leads_received, 0);
+        const configuredShares = getConfiguredShares(poolReport.strategy, poolReport.partners);
+
+        return {
+            ...poolReport,
+            strategy_label: STRATEGIES[poolReport.strategy] || poolReport.strategy,
+            total_leads: totalLeads,
+            partners: poolReport.partners.map(p => ({
+                ...p,
+                configured_share: configuredShares ? (configuredShares.get(p.id) ?? 0) : null,
+                actual_share: totalLeads > 0 ? p.leads_received / totalLeads : 0
+            }))
+        };
+    });
+}
+
+module.exports = {
+    STRATEGIES,
+    getPoolConfig,
+    orderPartnersByStrategy,
+    orderPartnersByPerformance,
+    recordPoolSelection,
+    getConfiguredShares,
+    getPoolShareReport
+};
@@ -0,0 +1,287 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const leadIntake = require('./leadIntake');
+const inboundSecurity = require('./inboundSecurity');
+const sourceCommercials = require('./sourceCommercials');
+
+/**
+ * Facebook Lead Ads Connector
+ * Facebook first verifies the callback URL with a hub.challenge GET, then posts leadgen notifications
+ * signed with the app secret (X-Hub-Signature-256). A notification only carries the leadgen_id, so the
+ * answers are fetched from the Graph API with the page access token, flattened into one field per form
+ * question and taken in through the source's field mapping like any other payload.
+ *
+ * Notifications are stored per source and leadgen_id, so Facebook's redeliveries are ignored and
+ * leads whose retrieval failed are retried.
+ */
+
+const GRAPH_API_URL = (process.env.FACEBOOK_GRAPH_API_URL || 'https://graph.facebook.com/v19.0').replace(/\/+$/, '');
+const GRAPH_TIMEOUT_MS = 10000;
+const LEAD_FIELDS = 'id,created_time,field_data,form_id,ad_id,adset_id,campaign_id,platform';
+const MAX_ATTEMPTS = 5;
+
+let processingEvents = false;
+let rerunRequested = false;
+
+async function findFacebookSource(token) {
+    const result = await pool.query(
+        `SELECT * FROM webhook_sources WHERE webhook_token = $1 AND is_active = true AND source_type = 'facebook'`,
+        [token]
+    );
+    return result.rows[0] || null;
+}
+
+function tokensMatch(expected, received) {
+    const wanted = Buffer.from(String(expected));
+    const provided = Buffer.from(String(received));
+    return wanted.length === provided.length && crypto.timingSafeEqual(wanted, provided);
+}
+
+/**
+ * Answer Facebook's subscription check. Returns the challenge to echo back, or null to refuse.
+ */
+function verifySubscription(source, query) {
+    if (query['hub.mode'] !== 'subscribe' || !source.facebook_verify_token || !query['hub.verify_token']) {
+        return null;
+    }
+    if (!tokensMatch(source.facebook_verify_token, query['hub.verify_token'])) {
+        return null;
+    }
+    return query['hub.challenge'] !== undefined ? String(query['hub.challenge']) : null;
+}
+
+/**
+ * Check X-Hub-Signature-256 against the app secret. Returns null when it passes, otherwise { reason, detail }.
+ */
+function verifySignature(source, req) {
+    if (!source.facebook_app_secret) {
+        return { reason: 'invalid_signature', detail: 'No Facebook app secret is configured for this source' };
+    }
+
+    const signature = req.get('x-hub-signature-256');
+    if (!signature) {
+        return { reason: 'missing_signature', detail: 'No X-Hub-Signature-256 header' };
+    }
+
+    const expected = inboundSecurity.signPayload(source.facebook_app_secret, req.rawBody || Buffer.alloc(0));
+    if (!inboundSecurity.signaturesMatch(expected, signature)) {
+        return { reason: 'invalid_signature', detail: 'X-Hub-Signature-256 does not match the raw request body' };
+    }
+
+    return null;
+}
+
+/**
+ * The leadgen changes in a webhook notification: [{ leadgen_id, page_id, form_id, ad_id }]
+ */
+function extractLeadgenChanges(body) {
+    const changes = [];
+    if (!body || body.object !== 'page' || !Array.isArray(body.entry)) return changes;
+
+    for (const entry of body.entry) {
+        for (const change of entry.changes || []) {
+            const value = change.value || {};
+            if (change.field !== 'leadgen' || !value.leadgen_id) continue;
+            changes.push({
+                leadgen_id: String(value.leadgen_id),
+                page_id: value.page_id ? String(value.page_id) : (entry.id ? String(entry.id) : null),
+                form_id: value.form_id ? String(value.form_id) : null,
+                ad_id: value.ad_id ? String(value.ad_id) : null
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Store notifications; a leadgen_id already seen for the source is skipped. Returns the number stored.
+ */
+async function recordEvents(source, changes) {
+    let recorded = 0;
+    for (const change of changes) {
+        const result = await pool.query(`
+            INSERT INTO facebook_leadgen_events (source_id, leadgen_id, page_id, form_id, ad_id)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (source_id, leadgen_id) DO NOTHING
+            RETURNING id
+        `, [source.id, change.leadgen_id, change.page_id, change.form_id, change.ad_id]);
+        recorded += result.rows.length;
+    }
+    return recorded;
+}
+
+/**
+ * Fetch a lead's answers from the Graph API
+ */
+async function fetchLead(source, leadgenId) {
+    if (!source.facebook_page_access_token) {
+        throw new Error('No page access token is configured for this source');
+    }
+
+    try {
+        const response = await axios.get(`${GRAPH_API_URL}/${encodeURIComponent(leadgenId)}`, {
+            params: { access_token: source.facebook_page_access_token, fields: LEAD_FIELDS },
+            timeout: GRAPH_TIMEOUT_MS
+        });
+        return response.data;
+    } catch (error) {
+        const graphError = error.response && error.response.data && error.response.data.error;
+        throw new Error(graphError ? `Graph API: ${graphError.message}` : `Graph API request failed: ${error.message}`);
+    }
+}
+
+/**
+ * Turn a Graph API lead into a flat payload: one field per form question (the question's name),
+ * plus the lead's Facebook identifiers. A question with several answers is joined with commas.
+ */
+function flattenLead(graphLead) {
+    const payload = {};
+
+    for (const field of graphLead.field_data || []) {
+        if (!field || !field.name) continue;
+        const values = Array.isArray(field.values) ? field.values : [];
+        payload[field.name] = values.length > 1 ? values.join(', ') : (values[0] ?? '');
+    }
+
+    for (const key of ['form_id', 'ad_id', 'adset_id', 'campaign_id', 'platform', 'created_time']) {
+        if (graphLead[key] !== undefined && !(key in payload)) {
+            payload[key] = graphLead[key];
+        }
+    }
+    payload.leadgen_id = graphLead.id;
+
+    return payload;
+}
+
+const OUTCOME_STATUSES = { created: 'imported', merged: 'duplicate', rejected: 'duplicate', invalid: 'rejected', blocked: 'rejected', capped: 'rejected' };
+
+async function processEvent(event, source) {
+    await pool.query('UPDATE facebook_leadgen_events SET attempts = attempts + 1 WHERE id = $1', [event.id]);
+
+    try {
+        const graphLead = await fetchLead(source, event.leadgen_id);
+        const result = await leadIntake.ingestLead(source, flattenLead(graphLead));
+        const leadId = result.leadId || (result.duplicate ? result.duplicate.leadId : null);
+
+        await pool.query(`
+            UPDATE facebook_leadgen_events
+            SET status = $2, lead_id = $3, error = $4, processed_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [
+            event.id,
+            OUTCOME_STATUSES[result.outcome],
+            leadId,
+            result.errors ? result.errors.map(error => error.message).join('; ')
+                : (result.fraud ? `Fraud score ${result.fraud.score}` : (result.cap ? sourceCommercials.describeCap(result.cap) : null))
+        ]);
+        return result.outcome;
+    } catch (error) {
+        console.error(`Facebook lead ${event.leadgen_id} retrieval failed:`, error.message);
+        await pool.query(`
+            UPDATE facebook_leadgen_events SET status = 'failed', error = $2, processed_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [event.id, error.message]);
+        return 'failed';
+    }
+}
+
+/**
+ * Fetch and take in stored notifications, one at a time. Failed retrievals are only retried
+ * with includeFailed (the retry cron), up to MAX_ATTEMPTS.
+ */
+async function processPendingEvents({ includeFailed = false } = {}) {
+    if (processingEvents) {
+        rerunRequested = true;
+        return { skipped: true };
+    }
+
+    processingEvents = true;
+    let processed = 0;
+    let failed = 0;
+
+    try {
+        do {
+            rerunRequested = false;
+            const pending = await pool.query(`
+                SELECT e.*, row_to_json(ws.*) AS source
+                FROM facebook_leadgen_events e
+                JOIN webhook_sources ws ON ws.id = e.source_id AND ws.is_active = true
+                WHERE e.status = 'received' OR ($1 AND e.status = 'failed' AND e.attempts < $2)
+                ORDER BY e.created_at
+                LIMIT 100
+            `, [includeFailed, MAX_ATTEMPTS]);
+
+            for (const event of pending.rows) {
+                const outcome = await processEvent(event, event.source);
+                processed++;
+                if (outcome === 'failed') failed++;
+            }
+        } while (rerunRequested);
+
+        return { skipped: false, processed, failed };
+    } finally {
+        processingEvents = false;
+    }
+}
+
+async function getRecentEvents(limit = 50) {
+    const result = await pool.query(`
+        SELECT e.*, ws.name AS source_name
+        FROM facebook_leadgen_events e
+        LEFT JOIN webhook_sources ws ON ws.id = e.source_id
+        ORDER BY e.created_at DESC
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+/**
+ * Validate Facebook settings submitted from the webhooks page. Throws on invalid input.
+ */
+function parseFacebookSettings(body) {
+    const clean = value => (typeof value === 'string' ? value.trim() : '');
+    const settings = {
+        facebook_verify_token: clean(body.facebook_verify_token) || null,
+        facebook_app_secret: clean(body.facebook_app_secret) || null,
+        facebook_page_access_token: clean(body.facebook_page_access_token) || null
+    };
+
+    if (settings.facebook_verify_token && (settings.facebook_verify_token.length < 8 || settings.facebook_verify_token.length > 255)) {
+        throw new Error('Verify token must be between 8 and 255 characters');
+    }
+    if (settings.facebook_app_secret && !/^[A-Za-z0-9]{16,255}$/.test(settings.facebook_app_secret)) {
+        throw new Error('App secret must be the letters and digits shown in the Facebook app settings');
+    }
+    if (settings.facebook_page_access_token && /\s/.test(settings.facebook_page_access_token)) {
+        throw new Error('Page access token must not contain spaces');
+    }
+
+    return settings;
+}
+
+async function saveFacebookSettings(sourceId, settings) {
+    const result = await pool.query(`
+        UPDATE webhook_sources
+        SET facebook_verify_token = $1, facebook_app_secret = $2, facebook_page_access_token = $3
+        WHERE id = $4 AND source_type = 'facebook'
+        RETURNING id
+    `, [settings.facebook_verify_token, settings.facebook_app_secret, settings.facebook_page_access_token, sourceId]);
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    GRAPH_API_URL,
+    findFacebookSource,
+    verifySubscription,
+    verifySignature,
+    extractLeadgenChanges,
+    recordEvents,
+    fetchLead,
+    flattenLead,
+    processPendingEvents,
+    getRecentEvents,
+    parseFacebookSettings,
+    saveFacebookSettings
+};
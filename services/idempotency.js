@@ -0,0 +1,157 @@
+const { pool } = require('../config/db');
+const { readPath } = require('./inboundMapping');
+
+/**
+ * Idempotent Lead Intake
+ * A supplier that retries after a timeout sends the same Idempotency-Key header, or the same value
+ * in the source's configured payload field (such as its own lead ID). The first response is stored
+ * per source for the retention window and returned again for every replay instead of creating a new lead.
+ *
+ * A claim without a response is a lease: if the request holding it stops before creating a lead, a
+ * retry takes the key over once the lease is older than CLAIM_LEASE_SECONDS. The lead is attached to
+ * its key in the intake transaction, so a key whose lead exists is never processed again.
+ */
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_RETENTION_HOURS = 24;
+const CLAIM_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_CLAIM_LEASE_SECONDS) || 60;
+
+/**
+ * The request's key: the Idempotency-Key header, else the source's payload field. Null when neither is set.
+ */
+function getIdempotencyKey(source, req, payload) {
+    const header = req.get(HEADER);
+    if (header && header.trim()) {
+        return header.trim().substring(0, MAX_KEY_LENGTH);
+    }
+
+    if (source.idempotency_field && payload) {
+        const value = readPath(payload, source.idempotency_field);
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return `field:${String(value).trim()}`.substring(0, MAX_KEY_LENGTH);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Claim a key before processing, or take over a claim whose lease expired without a lead.
+ * Returns { claimed: true }, { replay: { statusCode, body } } for a key that already has a
+ * stored response or lead, or { inProgress: true } while the first request runs.
+ */
+async function claimKey(source, key) {
+    const retentionHours = source.idempotency_retention_hours || DEFAULT_RETENTION_HOURS;
+
+    // An expired key is free again
+    await pool.query(`
+        DELETE FROM webhook_idempotency_keys
+        WHERE source_id = $1 AND idempotency_key = $2 AND expires_at <= CURRENT_TIMESTAMP
+    `, [source.id, key]);
+
+    const claim = await pool.query(`
+        INSERT INTO webhook_idempotency_keys (source_id, idempotency_key, expires_at, claimed_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3::integer), CURRENT_TIMESTAMP)
+        ON CONFLICT (source_id, idempotency_key) DO UPDATE
+        SET claimed_at = EXCLUDED.claimed_at, expires_at = EXCLUDED.expires_at
+        WHERE webhook_idempotency_keys.status_code IS NULL
+            AND webhook_idempotency_keys.lead_id IS NULL
+            AND webhook_idempotency_keys.claimed_at < CURRENT_TIMESTAMP - make_interval(secs => $4)
+        RETURNING id
+    `, [source.id, key, retentionHours, CLAIM_LEASE_SECONDS]);
+
+    if (claim.rows.length > 0) {
+        return { claimed: true };
+    }
+
+    const existing = await pool.query(`
+        SELECT status_code, response_body, lead_id FROM webhook_idempotency_keys
+        WHERE source_id = $1 AND idempotency_key = $2
+    `, [source.id, key]);
+
+    const stored = existing.rows[0];
+    if (stored && stored.status_code !== null) {
+        return { replay: { statusCode: stored.status_code, body: stored.response_body } };
+    }
+    if (stored && stored.lead_id) {
+        // The lead was stored but its response was not
+        return { replay: { statusCode: 200, body: { success: true, lead_id: stored.lead_id, message: 'Lead already received' } } };
+    }
+    return { inProgress: true };
+}
+
+/**
+ * Attach the lead a claimed key created (or was merged into), inside the intake transaction
+ */
+async function attachLead(db, source, key, leadId) {
+    await db.query(`
+        UPDATE webhook_idempotency_keys SET lead_id = $3
+        WHERE source_id = $1 AND idempotency_key = $2
+    `, [source.id, key, leadId]);
+}
+
+/**
+ * Store the response sent for a claimed key so replays receive it unchanged
+ */
+async function completeKey(source, key, statusCode, body) {
+    await pool.query(`
+        UPDATE webhook_idempotency_keys
+        SET status_code = $3, response_body = $4, lead_id = $5
+        WHERE source_id = $1 AND idempotency_key = $2
+    `, [source.id, key, statusCode, JSON.stringify(body), body.lead_id || null]);
+}
+
+/**
+ * Give a key back after a server error, so the supplier's retry is processed.
+ * A key with a lead is kept, so the retry gets that lead back instead of creating another.
+ */
+async function releaseKey(source, key) {
+    await pool.query(`
+        DELETE FROM webhook_idempotency_keys
+        WHERE source_id = $1 AND idempotency_key = $2 AND status_code IS NULL AND lead_id IS NULL
+    `, [source.id, key]);
+}
+
+async function purgeExpiredKeys() {
+    const result = await pool.query('DELETE FROM webhook_idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+}
+
+/**
+ * Validate idempotency settings submitted from the webhooks page. Throws on invalid input.
+ */
+function parseIdempotencySettings(body) {
+    const field = typeof body.idempotency_field === 'string' ? body.idempotency_field.trim() : '';
+    if (field && (field.length > 200 || field.split('.').some(key => key === ''))) {
+        throw new Error('Payload field must be a dot path such as lead.id');
+    }
+
+    const retentionHours = parseInt(body.idempotency_retention_hours);
+    if (isNaN(retentionHours) || retentionHours < 1 || retentionHours > 24 * 30) {
+        throw new Error('Retention must be between 1 hour and 30 days');
+    }
+
+    return { idempotency_field: field || null, idempotency_retention_hours: retentionHours };
+}
+
+async function saveIdempotencySettings(sourceId, settings) {
+    const result = await pool.query(`
+        UPDATE webhook_sources SET idempotency_field = $1, idempotency_retention_hours = $2
+        WHERE id = $3
+        RETURNING id
+    `, [settings.idempotency_field, settings.idempotency_retention_hours, sourceId]);
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    DEFAULT_RETENTION_HOURS,
+    getIdempotencyKey,
+    claimKey,
+    attachLead,
+    completeKey,
+    releaseKey,
+    purgeExpiredKeys,
+    parseIdempotencySettings,
+    saveIdempotencySettings
+};
@@ -0,0 +1,140 @@
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Inbound Payload Formats
+ * Each webhook source declares how its supplier sends leads. Every format is read into a plain
+ * object, which then goes through the source's field mapping like a JSON body:
+ * - json: the parsed JSON body (also the default, and what older sources keep doing)
+ * - form: an application/x-www-form-urlencoded body, read flat so "lead[email]" stays one field
+ * - xml: an XML body; the root element is unwrapped and attributes are read as "@_name"
+ * - query: the query string, for GET pixels and postbacks
+ */
+
+const PAYLOAD_FORMATS = {
+    json: 'JSON',
+    form: 'Form-encoded',
+    xml: 'XML',
+    query: 'Query string (GET pixel)'
+};
+
+const XML_TYPES = ['application/xml', 'text/xml', '+xml'];
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+    ignoreDeclaration: true,
+    ignorePiTags: true
+});
+
+/**
+ * Read a form-encoded or query string into an object. A repeated field becomes an array.
+ */
+function parseFormEncoded(text) {
+    const payload = {};
+    for (const [key, value] of new URLSearchParams(text)) {
+        if (key in payload) {
+            payload[key] = [].concat(payload[key], value);
+        } else {
+            payload[key] = value;
+        }
+    }
+    return payload;
+}
+
+function parseXml(text) {
+    let document;
+    try {
+        document = xmlParser.parse(String(text), true);
+    } catch (error) {
+        throw new Error(`Payload is not valid XML: ${error.message}`);
+    }
+
+    const roots = Object.keys(document);
+    if (roots.length === 0) {
+        throw new Error('XML payload is empty');
+    }
+
+    // <lead><email>...</email></lead> reads as { email }, so mappings do not repeat the root name
+    const root = roots.length === 1 ? document[roots[0]] : document;
+    return root && typeof root === 'object' && !Array.isArray(root) ? root : {};
+}
+
+function queryStringOf(url) {
+    const start = url.indexOf('?');
+    return start === -1 ? '' : url.substring(start + 1);
+}
+
+/**
+ * Read the lead payload of a webhook request in its source's format. Throws when the request
+ * does not carry the declared format.
+ */
+function readInboundPayload(source, req) {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+
+    switch (source.payload_format) {
+        case 'form':
+            if (!req.is('application/x-www-form-urlencoded')) {
+                throw new Error('This source expects an application/x-www-form-urlencoded body');
+            }
+            return parseFormEncoded(rawBody);
+        case 'xml':
+            if (!req.is(XML_TYPES)) {
+                throw new Error('This source expects an XML body sent as application/xml or text/xml');
+            }
+            return parseXml(rawBody);
+        case 'query':
+            return parseFormEncoded(queryStringOf(req.originalUrl));
+        default:
+            return req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    }
+}
+
+/**
+ * Read a sample payload pasted into the field mapping preview, in the given format
+ */
+function parseSamplePayload(format, text) {
+    const sample = typeof text === 'string' ? text.trim() : '';
+
+    switch (format) {
+        case 'form':
+            return parseFormEncoded(sample);
+        case 'query':
+            // A full pixel URL or just its query string
+            return parseFormEncoded(sample.includes('?') ? queryStringOf(sample) : sample);
+        case 'xml':
+            return parseXml(sample);
+        default: {
+            let payload;
+            try {
+                payload = JSON.parse(sample);
+            } catch (error) {
+                throw new Error('Sample payload is not valid JSON');
+            }
+            if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+                throw new Error('Sample payload must be a JSON object');
+            }
+            return payload;
+        }
+    }
+}
+
+function parsePayloadFormat(value) {
+    const format = value || 'json';
+    if (!PAYLOAD_FORMATS[format]) {
+        throw new Error(`Unknown payload format '${value}'`);
+    }
+    return format;
+}
+
+module.exports = {
+    PAYLOAD_FORMATS,
+    XML_TYPES,
+    parseFormEncoded,
+    parseXml,
+    readInboundPayload,
+    parseSamplePayload,
+    parsePayloadFormat
+};
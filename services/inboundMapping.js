@@ -0,0 +1,271 @@
+const { CONSENT_FIELDS } = require('./leadConsent');
+
+/**
+ * Inbound Field Mapping
+ * Turns a webhook payload into a canonical lead using the source's own mapping, so a new
+ * affiliate network can be onboarded from the webhooks page without a code change.
+ *
+ * A mapping is { rules: [{ source, target, transform, default }], keep_unmapped }:
+ * - source is a dot path into the payload (e.g. "contact.email" or "answers.0.value")
+ * - several rules may fill the same target; the first non-empty value wins
+ * - default is used when the source value is missing or empty (a rule may have only a default)
+ * - keep_unmapped copies payload fields that no rule reads, as the old generic format did
+ */
+
+const CANONICAL_FIELDS = [
+    'first_name', 'last_name', 'email', 'phone', 'country', 'niche', 'type',
+    'utm_source', 'utm_campaign', 'utm_medium', 'landing_page_url',
+    'amount_lost', 'fraud_type',
+    ...CONSENT_FIELDS
+];
+
+const TRANSFORMS = {
+    none: 'As received',
+    trim: 'Trim whitespace',
+    lowercase: 'Lowercase',
+    uppercase: 'Uppercase',
+    split_name: 'Split full name'
+};
+
+const MAX_RULES = 100;
+
+const RECOVERY_RULES = [
+    { source: 'amount_lost', target: 'amount_lost' },
+    { source: 'amountLost', target: 'amount_lost' },
+    { source: 'fraud_type', target: 'fraud_type' },
+    { source: 'fraudType', target: 'fraud_type' },
+    { source: 'type_of_fraud', target: 'fraud_type' }
+];
+
+// Consent fields under their own names, plus the names TrustedForm, Jornaya and common form builders use
+const CONSENT_RULES = [
+    ...CONSENT_FIELDS.map(field => ({ source: field, target: field })),
+    { source: 'xxTrustedFormCertUrl', target: 'consent_certificate_id' },
+    { source: 'trustedform_cert_url', target: 'consent_certificate_id' },
+    { source: 'universal_leadid', target: 'consent_certificate_id' },
+    { source: 'leadid_token', target: 'consent_certificate_id' },
+    { source: 'ip_address', target: 'consent_ip' },
+    { source: 'user_agent', target: 'consent_user_agent' },
+    { source: 'opt_in', target: 'consent_opt_ins' }
+];
+
+const UTM_RULES = [
+    { source: 'utm_source', target: 'utm_source' },
+    { source: 'utm_campaign', target: 'utm_campaign' },
+    { source: 'utm_medium', target: 'utm_medium' }
+];
+
+// Defaults reproduce the former hard-coded facebook, landing_page and generic formats
+const DEFAULT_MAPPINGS = {
+    facebook: {
+        keep_unmapped: false,
+        rules: [
+            { source: 'first_name', target: 'first_name' },
+            { source: 'firstName', target: 'first_name' },
+            { source: 'last_name', target: 'last_name' },
+            { source: 'lastName', target: 'last_name' },
+            { source: 'full_name', target: 'first_name', transform: 'split_name' },
+            { source: 'full_name', target: 'last_name', transform: 'split_name' },
+            { source: 'email', target: 'email' },
+            { source: 'phone', target: 'phone' },
+            { source: 'phone_number', target: 'phone' },
+            { source: 'country', target: 'country' },
+            { source: 'niche', target: 'niche', default: 'forex' },
+            { source: 'type', target: 'type' },
+            ...UTM_RULES,
+            { source: 'landing_page_url', target: 'landing_page_url' },
+            ...RECOVERY_RULES
+        ]
+    },
+    landing_page: {
+        keep_unmapped: false,
+        rules: [
+            { source: 'first_name', target: 'first_name' },
+            { source: 'last_name', target: 'last_name' },
+            { source: 'email', target: 'email' },
+            { source: 'phone', target: 'phone' },
+            { source: 'country', target: 'country' },
+            { source: 'niche', target: 'niche' },
+            { source: 'type', target: 'type' },
+            ...UTM_RULES,
+            { source: 'landing_page_url', target: 'landing_page_url' },
+            { source: 'page_url', target: 'landing_page_url' },
+            ...RECOVERY_RULES,
+            ...CONSENT_RULES
+        ]
+    },
+    generic: {
+        keep_unmapped: true,
+        rules: [
+            ...CANONICAL_FIELDS
+                .filter(field => !['amount_lost', 'fraud_type'].includes(field) && !CONSENT_FIELDS.includes(field))
+                .map(field => ({ source: field, target: field })),
+            ...RECOVERY_RULES,
+            ...CONSENT_RULES
+        ]
+    }
+};
+
+function getDefaultMapping(sourceType) {
+    return DEFAULT_MAPPINGS[sourceType] || DEFAULT_MAPPINGS.generic;
+}
+
+/**
+ * The source's saved mapping, or its source type's default when none is saved
+ */
+function getSourceMapping(source) {
+    if (source.field_mapping) {
+        return typeof source.field_mapping === 'string' ? JSON.parse(source.field_mapping) : source.field_mapping;
+    }
+    return getDefaultMapping(source.source_type);
+}
+
+function readPath(payload, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === null || value === undefined || typeof value !== 'object') return undefined;
+        return value[key];
+    }, payload);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function splitName(fullName, target) {
+    const parts = String(fullName).trim().split(/\s+/);
+    return target === 'first_name' ? parts[0] : parts.slice(1).join(' ');
+}
+
+function transformValue(value, rule) {
+    if (typeof value !== 'string') return value;
+
+    switch (rule.transform) {
+        case 'trim':
+            return value.trim();
+        case 'lowercase':
+            return value.trim().toLowerCase();
+        case 'uppercase':
+            return value.trim().toUpperCase();
+        case 'split_name':
+            return splitName(value, rule.target);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Apply a mapping to an inbound payload. Returns the canonical lead fields that were found.
+ */
+function applyFieldMapping(payload, mapping) {
+    const normalized = {};
+    const readFields = new Set();
+    const body = payload && typeof payload === 'object' ? payload : {};
+
+    for (const rule of mapping.rules || []) {
+        if (rule.source) readFields.add(rule.source.split('.')[0]);
+        if (!isEmpty(normalized[rule.target])) continue;
+
+        let value = rule.source ? readPath(body, rule.source) : undefined;
+        if (!isEmpty(value)) {
+            value = transformValue(value, rule);
+        }
+        if (isEmpty(value) && !isEmpty(rule.default)) {
+            value = rule.default;
+        }
+        if (!isEmpty(value)) {
+            normalized[rule.target] = value;
+        }
+    }
+
+    if (mapping.keep_unmapped) {
+        for (const [key, value] of Object.entries(body)) {
+            if (!readFields.has(key) && !(key in normalized)) {
+                normalized[key] = value;
+            }
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Final country, niche and lead type: the payload first, then the source's configuration
+ */
+function resolveLeadAttributes(normalizedData, enrichedData, source) {
+    const country = normalizedData.country || source.country || enrichedData.country || 'unknown';
+    const niche = normalizedData.niche || source.niche || enrichedData.niche || 'forex';
+
+    // Only premium and raw are valid lead types; anything else falls back to the source's type,
+    // and invalidType keeps the value received so validation can reject it or intake can record it
+    let type = normalizedData.type || source.lead_type || 'raw';
+    let invalidType = null;
+    if (typeof type === 'string') {
+        type = type.toLowerCase().trim();
+        if (!['premium', 'raw'].includes(type)) {
+            invalidType = normalizedData.type;
+            type = source.lead_type || 'raw';
+        }
+    } else {
+        invalidType = normalizedData.type;
+        type = source.lead_type || 'raw';
+    }
+
+    return { country, niche, type, invalidType };
+}
+
+/**
+ * Validate a mapping submitted from the webhooks page. Throws on invalid input.
+ */
+function parseFieldMapping(body) {
+    const rules = Array.isArray(body.rules) ? body.rules : null;
+    if (!rules || rules.length === 0) {
+        throw new Error('Add at least one mapping rule');
+    }
+    if (rules.length > MAX_RULES) {
+        throw new Error(`A mapping can have at most ${MAX_RULES} rules`);
+    }
+
+    const parsed = rules.map((rule, index) => {
+        const position = `Rule ${index + 1}`;
+        const source = typeof rule.source === 'string' ? rule.source.trim() : '';
+        const defaultValue = rule.default === undefined || rule.default === null ? '' : String(rule.default).trim();
+        const transform = rule.transform || 'none';
+
+        if (!CANONICAL_FIELDS.includes(rule.target)) {
+            throw new Error(`${position}: choose a lead field`);
+        }
+        if (!source && !defaultValue) {
+            throw new Error(`${position}: enter a payload field or a default value`);
+        }
+        if (source && (source.length > 200 || source.split('.').some(key => key === ''))) {
+            throw new Error(`${position}: payload field must be a dot path such as contact.email`);
+        }
+        if (!TRANSFORMS[transform]) {
+            throw new Error(`${position}: unknown transform '${transform}'`);
+        }
+        if (transform === 'split_name' && !['first_name', 'last_name'].includes(rule.target)) {
+            throw new Error(`${position}: split full name only fills first_name or last_name`);
+        }
+        if (defaultValue.length > 255) {
+            throw new Error(`${position}: default value is too long`);
+        }
+
+        const parsedRule = { source: source || null, target: rule.target, transform };
+        if (defaultValue) parsedRule.default = defaultValue;
+        return parsedRule;
+    });
+
+    return { rules: parsed, keep_unmapped: body.keep_unmapped === true || body.keep_unmapped === 'true' };
+}
+
+module.exports = {
+    CANONICAL_FIELDS,
+    TRANSFORMS,
+    DEFAULT_MAPPINGS,
+    getDefaultMapping,
+    getSourceMapping,
+    readPath,
+    applyFieldMapping,
+    resolveLeadAttributes,
+    parseFieldMapping
+};
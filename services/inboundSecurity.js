@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const net = require('net');
+const { pool } = require('../config/db');
+
+/**
+ * Inbound Source Security
+ * Optional per-source checks on top of the URL token: an IP/CIDR allow-list and an HMAC-SHA256
+ * signature over the raw body. With a timestamp tolerance the signature covers "<timestamp>.<body>"
+ * and requests outside the window are refused, so a captured request cannot be replayed later.
+ * Query string sources carry the lead in the URL, so their signature covers the raw query string
+ * instead, and the signature and timestamp may be sent as query parameters by pixels that cannot
+ * set headers.
+ * Refused requests are written to webhook_source_audit.
+ */
+
+const REJECTION_REASONS = {
+    ip_not_allowed: 'IP not allowed',
+    missing_signature: 'Missing signature',
+    invalid_signature: 'Invalid signature',
+    missing_timestamp: 'Missing timestamp',
+    stale_timestamp: 'Timestamp outside tolerance'
+};
+
+const HEADER_PATTERN = /^[a-z0-9-]{1,100}$/;
+const MAX_ALLOWLIST_ENTRIES = 100;
+
+// Express reports IPv4 clients on dual-stack sockets as ::ffff:1.2.3.4
+function normalizeIp(ip) {
+    if (!ip) return null;
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+}
+
+function parseAllowlistEntry(entry) {
+    const parts = entry.split('/');
+    if (parts.length > 2) return null;
+
+    const [address, prefix] = parts;
+    const family = net.isIP(address);
+    if (!family) return null;
+
+    const maxPrefix = family === 4 ? 32 : 128;
+    if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null;
+    const bits = prefix === undefined ? maxPrefix : Number(prefix);
+    if (bits > maxPrefix) return null;
+    return { address, bits, type: family === 4 ? 'ipv4' : 'ipv6' };
+}
+
+function isIpAllowed(ip, allowlist) {
+    const address = normalizeIp(ip);
+    const family = net.isIP(address || '');
+    if (!family) return false;
+
+    const blockList = new net.BlockList();
+    allowlist.map(parseAllowlistEntry).filter(Boolean).forEach(entry => {
+        blockList.addSubnet(entry.address, entry.bits, entry.type);
+    });
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function getAllowlist(source) {
+    const allowlist = typeof source.ip_allowlist === 'string' ? JSON.parse(source.ip_allowlist) : source.ip_allowlist;
+    return Array.isArray(allowlist) ? allowlist : [];
+}
+
+/**
+ * Signature a sender must put in the signature header (hex; a "sha256=" prefix is also accepted)
+ */
+function signPayload(secret, rawBody, timestamp = null) {
+    const hmac = crypto.createHmac('sha256', secret);
+    if (timestamp !== null) {
+        hmac.update(`${timestamp}.`);
+    }
+    hmac.update(rawBody);
+    return hmac.digest('hex');
+}
+
+function signaturesMatch(expected, received) {
+    const provided = Buffer.from(received.trim().replace(/^sha256=/i, '').toLowerCase());
+    const wanted = Buffer.from(expected);
+    if (provided.length !== wanted.length) return false;
+    return crypto.timingSafeEqual(wanted, provided);
+}
+
+// Unix seconds, or milliseconds for senders using Date.now()
+function parseTimestamp(value) {
+    if (!/^\d+$/.test(String(value).trim())) return null;
+    const number = Number(value);
+    return number > 1e12 ? number / 1000 : number;
+}
+
+function queryStringOf(url) {
+    const start = url.indexOf('?');
+    return start === -1 ? '' : url.substring(start + 1);
+}
+
+function paramName(part) {
+    const name = part.split('=')[0].replace(/\+/g, ' ');
+    try {
+        return decodeURIComponent(name).toLowerCase();
+    } catch (error) {
+        return name.toLowerCase();
+    }
+}
+
+/**
+ * The raw query string a query source signs: every parameter as sent, in order, without the
+ * signature and timestamp parameters
+ */
+function signedQueryString(source, url) {
+    const excluded = [source.signature_header || 'x-signature', source.timestamp_header || 'x-timestamp'];
+    return queryStringOf(url)
+        .split('&')
+        .filter(part => part && !excluded.includes(paramName(part)))
+        .join('&');
+}
+
+// A header, or for query string sources a query parameter of the same name
+function readCredential(source, req, name) {
+    const header = req.get(name);
+    if (header || source.payload_format !== 'query') return header;
+    return new URLSearchParams(queryStringOf(req.originalUrl)).get(name) || undefined;
+}
+
+/**
+ * Check a request against the source's allow-list and signature settings.
+ * Returns null when it passes, otherwise { reason, detail }.
+ */
+function verifyInboundRequest(source, req, now = Date.now()) {
+    const allowlist = getAllowlist(source);
+    if (allowlist.length > 0 && !isIpAllowed(req.ip, allowlist)) {
+        return { reason: 'ip_not_allowed', detail: `${normalizeIp(req.ip) || 'unknown'} is not on the allow-list` };
+    }
+
+    if (!source.hmac_secret) return null;
+
+    const signature = readCredential(source, req, source.signature_header || 'x-signature');
+    if (!signature) {
+        return { reason: 'missing_signature', detail: `No ${source.signature_header || 'x-signature'} header` };
+    }
+
+    let timestamp = null;
+    if (source.timestamp_tolerance_seconds) {
+        const header = source.timestamp_header || 'x-timestamp';
+        timestamp = readCredential(source, req, header);
+        const seconds = timestamp ? parseTimestamp(timestamp) : null;
+        if (seconds === null) {
+            return { reason: 'missing_timestamp', detail: `No valid ${header} header` };
+        }
+
+        const skew = Math.abs(now / 1000 - seconds);
+        if (skew > source.timestamp_tolerance_seconds) {
+            return {
+                reason: 'stale_timestamp',
+                detail: `Timestamp is ${Math.round(skew)}s off, tolerance is ${source.timestamp_tolerance_seconds}s`
+            };
+        }
+        timestamp = timestamp.trim();
+    }
+
+    if (source.payload_format === 'query') {
+        const expected = signPayload(source.hmac_secret, signedQueryString(source, req.originalUrl), timestamp);
+        if (!signaturesMatch(expected, signature)) {
+            return { reason: 'invalid_signature', detail: 'Signature does not match the raw query string' };
+        }
+        return null;
+    }
+
+    const expected = signPayload(source.hmac_secret, req.rawBody || Buffer.alloc(0), timestamp);
+    if (!signaturesMatch(expected, signature)) {
+        return { reason: 'invalid_signature', detail: 'Signature does not match the raw request body' };
+    }
+
+    return null;
+}
+
+async function recordRejection(sourceId, ip, rejection) {
+    await pool.query(`
+        INSERT INTO webhook_source_audit (source_id, reason, detail, ip_address)
+        VALUES ($1, $2, $3, $4)
+    `, [sourceId, rejection.reason, rejection.detail, normalizeIp(ip)]);
+}
+
+async function getRecentRejections(limit = 50) {
+    const result = await pool.query(`
+        SELECT a.*, ws.name as source_name
+        FROM webhook_source_audit a
+        LEFT JOIN webhook_sources ws ON ws.id = a.source_id
+        ORDER BY a.created_at DESC
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+/**
+ * Validate security settings submitted from the webhooks page. Throws on invalid input.
+ * An empty secret turns signature checks off; an empty allow-list accepts any IP.
+ */
+function parseSecuritySettings(body) {
+    const secret = typeof body.hmac_secret === 'string' ? body.hmac_secret.trim() : '';
+    if (secret && (secret.length < 16 || secret.length > 255)) {
+        throw new Error('Shared secret must be between 16 and 255 characters');
+    }
+
+    const signatureHeader = String(body.signature_header || 'x-signature').trim().toLowerCase();
+    const timestampHeader = String(body.timestamp_header || 'x-timestamp').trim().toLowerCase();
+    if (!HEADER_PATTERN.test(signatureHeader) || !HEADER_PATTERN.test(timestampHeader)) {
+        throw new Error('Header names may only contain letters, digits and dashes');
+    }
+
+    let tolerance = null;
+    if (body.timestamp_tolerance_seconds !== undefined && body.timestamp_tolerance_seconds !== null && body.timestamp_tolerance_seconds !== '') {
+        tolerance = parseInt(body.timestamp_tolerance_seconds);
+        if (isNaN(tolerance) || tolerance < 1 || tolerance > 86400) {
+            throw new Error('Timestamp tolerance must be empty or between 1 and 86400 seconds');
+        }
+    }
+
+    const entries = (Array.isArray(body.ip_allowlist) ? body.ip_allowlist : String(body.ip_allowlist || '').split(/[\s,]+/))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+    if (entries.length > MAX_ALLOWLIST_ENTRIES) {
+        throw new Error(`The allow-list can have at most ${MAX_ALLOWLIST_ENTRIES} entries`);
+    }
+    const invalid = entries.find(entry => !parseAllowlistEntry(entry));
+    if (invalid) {
+        throw new Error(`'${invalid}' is not an IP address or CIDR range`);
+    }
+
+    return {
+        hmac_secret: secret || null,
+        signature_header: signatureHeader,
+        timestamp_header: timestampHeader,
+        timestamp_tolerance_seconds: tolerance,
+        ip_allowlist: entries
+    };
+}
+
+async function saveSecuritySettings(sourceId, settings) {
+    const result = await pool.query(`
+        UPDATE webhook_sources
+        SET hmac_secret = $1, signature_header = $2, timestamp_header = $3,
+            timestamp_tolerance_seconds = $4, ip_allowlist = $5
+        WHERE id = $6
+        RETURNING id
+    `, [
+        settings.hmac_secret,
+        settings.signature_header,
+        settings.timestamp_header,
+        settings.timestamp_tolerance_seconds,
+        JSON.stringify(settings.ip_allowlist),
+        sourceId
+    ]);
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    REJECTION_REASONS,
+    signPayload,
+    signedQueryString,
+    signaturesMatch,
+    isIpAllowed,
+    verifyInboundRequest,
+    recordRejection,
+    getRecentRejections,
+    parseSecuritySettings,
+    saveSecuritySettings
+};
@@ -0,0 +1,216 @@
+const { pool } = require('../config/db');
+
+/**
+ * Lead Assignments
+ * Every sale of a lead to a partner: the exclusive sale, each share of a shared sale and aged resales.
+ * leads.assigned_partner_id keeps pointing at the primary buyer for older reports.
+ */
+
+const SALE_MODES = {
+    exclusive: 'Exclusive',
+    shared: 'Shared'
+};
+
+// Tiers assigned by lead quality scoring (data.quality_tier)
+const QUALITY_TIERS = ['premium', 'high', 'standard', 'low'];
+
+// Assignments still held by the partner (conversions and status lookups are allowed)
+const LIVE_STATUSES = ['assigned', 'delivered', 'converted'];
+
+const DEFAULT_SALE_MODE = { sale_mode: 'exclusive', max_shares: 1 };
+
+function getLeadQualityTier(lead) {
+    if (!lead.data) return null;
+    const data = typeof lead.data === 'string' ? JSON.parse(lead.data) : lead.data;
+    return data.quality_tier || null;
+}
+
+/**
+ * Sale mode for a lead: its source's setting, else its quality tier's setting, else exclusive
+ */
+async function getSaleMode(db, lead) {
+    const result = await db.query(`
+        SELECT sms.sale_mode, sms.max_shares
+        FROM sale_mode_settings sms
+        LEFT JOIN webhook_sources ws ON ws.id = sms.source_id
+        WHERE (sms.scope = 'source' AND ws.name = $1)
+            OR (sms.scope = 'quality_tier' AND sms.quality_tier = $2)
+        ORDER BY CASE sms.scope WHEN 'source' THEN 1 ELSE 2 END
+        LIMIT 1
+    `, [lead.source, getLeadQualityTier(lead)]);
+
+    return result.rows[0] || DEFAULT_SALE_MODE;
+}
+
+/**
+ * Pick the buyers for a lead from the strategy-ordered partners.
+ * Shared sales go to up to max_shares partners that accept shared leads; when none do,
+ * the lead is sold exclusively to the first partner.
+ */
+function selectBuyers(orderedPartners, saleMode) {
+    if (saleMode.sale_mode === 'shared') {
+        const sharedBuyers = orderedPartners.filter(partner => partner.accepts_shared_leads);
+        if (sharedBuyers.length > 0) {
+            return { saleMode: 'shared', buyers: sharedBuyers.slice(0, Math.max(parseInt(saleMode.max_shares) || 1, 1)) };
+        }
+    }
+    return { saleMode: 'exclusive', buyers: orderedPartners.slice(0, 1) };
+}
+
+async function createAssignment(db, { leadId, partnerId, saleMode, price = null, status = 'assigned' }) {
+    const result = await db.query(`
+        INSERT INTO lead_assignments (lead_id, partner_id, sale_mode, price, status, delivered_at)
+        VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 = 'delivered' THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT (lead_id, partner_id)
+        DO UPDATE SET sale_mode = EXCLUDED.sale_mode, price = EXCLUDED.price, status = EXCLUDED.status,
+                      reason = NULL, assigned_at = CURRENT_TIMESTAMP, delivered_at = EXCLUDED.delivered_at,
+                      updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [leadId, partnerId, saleMode, price, status]);
+    return result.rows[0];
+}
+
+async function updateAssignmentStatus(db, leadId, partnerId, status, reason = null) {
+    const result = await db.query(`
+        UPDATE lead_assignments
+        SET status = $3,
+            reason = COALESCE($4, reason),
+            delivered_at = CASE WHEN $3 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+            converted_at = CASE WHEN $3 = 'converted' THEN COALESCE(converted_at, CURRENT_TIMESTAMP) ELSE converted_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE lead_id = $1 AND partner_id = $2
+        RETURNING *
+    `, [leadId, partnerId, status, reason]);
+    return result.rows[0] || null;
+}
+
+/**
+ * The lead if the partner currently holds it (any sale mode), otherwise null
+ */
+async function findLeadForPartner(db, leadId, partnerId) {
+    const result = await db.query(`
+        SELECT l.*, la.id as assignment_id, la.sale_mode, la.price as assignment_price
+        FROM leads l
+        JOIN lead_assignments la ON la.lead_id = l.id
+        WHERE l.id = $1 AND la.partner_id = $2 AND la.status = ANY($3::text[])
+    `, [leadId, partnerId, LIVE_STATUSES]);
+    return result.rows[0] || null;
+}
+
+async function getRecentSharedSales(limit = 100) {
+    const result = await pool.query(`
+        SELECT la.*, p.name as partner_name, l.first_name, l.last_name, l.source, l.country, l.niche
+        FROM lead_assignments la
+        JOIN partners p ON p.id = la.partner_id
+        JOIN leads l ON l.id = la.lead_id
+        WHERE la.sale_mode = 'shared'
+        ORDER BY la.assigned_at DESC, la.lead_id, la.id
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+async function getLeadAssignments(leadId) {
+    const result = await pool.query(`
+        SELECT la.*, p.name as partner_name
+        FROM lead_assignments la
+        JOIN partners p ON p.id = la.partner_id
+        WHERE la.lead_id = $1
+        ORDER BY la.assigned_at, la.id
+    `, [leadId]);
+    return result.rows;
+}
+
+/**
+ * Sales and revenue per sale mode for the analytics dashboard
+ */
+async function getSaleModeReport(startDate, endDate) {
+    const result = await pool.query(`
+        SELECT la.sale_mode,
+               COUNT(*) as sales,
+               COUNT(DISTINCT la.lead_id) as leads,
+               COUNT(*) FILTER (WHERE la.status = 'converted') as conversions,
+               COALESCE(SUM(la.price), 0) as sale_revenue
+        FROM lead_assignments la
+        WHERE la.assigned_at >= $1 AND la.assigned_at <= $2
+            AND la.status NOT IN ('rejected', 'failed')
+        GROUP BY la.sale_mode
+        ORDER BY sales DESC
+    `, [startDate, endDate + ' 23:59:59']);
+    return result.rows;
+}
+
+async function listSaleModeSettings() {
+    const result = await pool.query(`
+        SELECT sms.*, ws.name as source_name
+        FROM sale_mode_settings sms
+        LEFT JOIN webhook_sources ws ON ws.id = sms.source_id
+        ORDER BY sms.scope, ws.name, sms.quality_tier
+    `);
+    return result.rows;
+}
+
+/**
+ * Validate sale mode settings submitted from the admin UI. Throws on invalid input.
+ */
+function parseSaleModeSettings(body) {
+    if (!['source', 'quality_tier'].includes(body.scope)) {
+        throw new Error('Scope must be source or quality_tier');
+    }
+
+    const sourceId = body.scope === 'source' ? parseInt(body.source_id) : null;
+    if (body.scope === 'source' && isNaN(sourceId)) {
+        throw new Error('Choose a webhook source');
+    }
+
+    const qualityTier = body.scope === 'quality_tier' ? (body.quality_tier || '').trim() : null;
+    if (body.scope === 'quality_tier' && !QUALITY_TIERS.includes(qualityTier)) {
+        throw new Error('Choose a quality tier');
+    }
+
+    if (!SALE_MODES[body.sale_mode]) {
+        throw new Error('Sale mode must be exclusive or shared');
+    }
+
+    const maxShares = body.sale_mode === 'shared' ? parseInt(body.max_shares) : 1;
+    if (isNaN(maxShares) || maxShares < 1 || maxShares > 10) {
+        throw new Error('Max shares must be between 1 and 10');
+    }
+
+    return { scope: body.scope, source_id: sourceId, quality_tier: qualityTier, sale_mode: body.sale_mode, max_shares: maxShares };
+}
+
+async function saveSaleModeSettings(settings) {
+    const result = await pool.query(`
+        INSERT INTO sale_mode_settings (scope, source_id, quality_tier, sale_mode, max_shares)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (scope, COALESCE(source_id, 0), COALESCE(quality_tier, ''))
+        DO UPDATE SET sale_mode = EXCLUDED.sale_mode, max_shares = EXCLUDED.max_shares, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [settings.scope, settings.source_id, settings.quality_tier, settings.sale_mode, settings.max_shares]);
+    return result.rows[0];
+}
+
+async function deleteSaleModeSettings(id) {
+    const result = await pool.query('DELETE FROM sale_mode_settings WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    SALE_MODES,
+    QUALITY_TIERS,
+    LIVE_STATUSES,
+    getLeadQualityTier,
+    getSaleMode,
+    selectBuyers,
+    createAssignment,
+    updateAssignmentStatus,
+    findLeadForPartner,
+    getRecentSharedSales,
+    getLeadAssignments,
+    getSaleModeReport,
+    listSaleModeSettings,
+    parseSaleModeSettings,
+    saveSaleModeSettings,
+    deleteSaleModeSettings
+};
@@ -0,0 +1,138 @@
+const net = require('net');
+
+/**
+ * Lead Consent
+ * The consent record a supplier captured with the lead (GDPR/TCPA): the consent wording shown,
+ * when and where it was given, the opt-in checkboxes ticked and an optional TrustedForm or Jornaya
+ * certificate. Values come through the source's field mapping and are normalised here before they
+ * are stored on the lead and forwarded to partners.
+ */
+
+const CONSENT_FIELDS = [
+    'consent_text', 'consent_timestamp', 'consent_ip', 'consent_user_agent',
+    'consent_page_url', 'consent_opt_ins', 'consent_certificate_id'
+];
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_VALUE_LENGTH = 1000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on', 'checked'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', ''];
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function cleanString(value, maxLength) {
+    return isBlank(value) ? null : String(value).trim().substring(0, maxLength);
+}
+
+// ISO dates, or Unix seconds / milliseconds
+function parseTimestamp(value) {
+    const text = String(value).trim();
+    let date;
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = Number(text);
+        date = new Date(number > 1e12 ? number : number * 1000);
+    } else {
+        date = new Date(text);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function parseIp(value) {
+    const ip = String(value).trim().replace(/^::ffff:/i, '');
+    return net.isIP(ip) ? ip : null;
+}
+
+function parsePageUrl(value) {
+    try {
+        const url = new URL(String(value).trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString().substring(0, 2000) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseCheckbox(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return null;
+}
+
+/**
+ * Opt-ins as { name: true|false }. Accepts an object of checkboxes, a list or comma-separated string
+ * of ticked names, or a single yes/no value (stored as "consent").
+ */
+function parseOptIns(value) {
+    if (Array.isArray(value)) {
+        const names = value.map(item => String(item).trim()).filter(Boolean);
+        return names.length > 0 ? Object.fromEntries(names.map(name => [name, true])) : null;
+    }
+
+    if (value && typeof value === 'object') {
+        const optIns = {};
+        for (const [name, checked] of Object.entries(value)) {
+            const parsed = parseCheckbox(checked);
+            if (parsed !== null) optIns[name] = parsed;
+        }
+        return Object.keys(optIns).length > 0 ? optIns : null;
+    }
+
+    const single = parseCheckbox(value);
+    if (single !== null) return { consent: single };
+
+    return parseOptIns(String(value).split(','));
+}
+
+/**
+ * Normalise the consent fields of a mapped payload. Returns { consent, invalidFields }: consent holds
+ * every CONSENT_FIELDS key (null when missing), invalidFields lists fields sent in an unusable format.
+ */
+function normalizeConsent(normalizedData) {
+    const consent = Object.fromEntries(CONSENT_FIELDS.map(field => [field, null]));
+    const invalidFields = [];
+
+    const parsers = {
+        consent_text: value => cleanString(value, MAX_TEXT_LENGTH),
+        consent_timestamp: parseTimestamp,
+        consent_ip: parseIp,
+        consent_user_agent: value => cleanString(value, MAX_VALUE_LENGTH),
+        consent_page_url: parsePageUrl,
+        consent_opt_ins: parseOptIns,
+        consent_certificate_id: value => cleanString(value, 500)
+    };
+
+    for (const field of CONSENT_FIELDS) {
+        const value = normalizedData[field];
+        if (isBlank(value)) continue;
+
+        consent[field] = parsers[field](value);
+        if (consent[field] === null) {
+            invalidFields.push(field);
+        }
+    }
+
+    return { consent, invalidFields };
+}
+
+/**
+ * Consent fields for a partner payload; leads without a consent record add nothing
+ */
+function consentPayloadFields(lead) {
+    const fields = {};
+    for (const field of CONSENT_FIELDS) {
+        const value = lead[field];
+        if (value === null || value === undefined) continue;
+        fields[field] = value instanceof Date ? value.toISOString() : value;
+    }
+    return fields;
+}
+
+module.exports = {
+    CONSENT_FIELDS,
+    normalizeConsent,
+    consentPayloadFields
+};
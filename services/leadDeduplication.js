@@ -0,0 +1,300 @@
+const { pool } = require('../config/db');
+const phoneNumbers = require('./phoneNumbers');
+
+/**
+ * Lead Deduplication
+ * Matches inbound leads against recent leads of the same niche on normalized keys,
+ * using the dedupe settings of the source, else of the niche, else the global settings
+ */
+
+const MATCH_KEYS = {
+    email: 'Normalized email',
+    phone: 'E.164 phone',
+    name_phone: 'Name + phone',
+    email_phone: 'Email + phone (both)'
+};
+
+const DUPLICATE_POLICIES = {
+    reject: 'Reject',
+    flag: 'Accept but flag',
+    merge: 'Merge into existing lead'
+};
+
+// Used when no global row has been configured
+const DEFAULT_SETTINGS = {
+    id: null,
+    scope: 'global',
+    match_keys: ['email', 'phone'],
+    window_hours: 24,
+    policy: 'flag'
+};
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Lowercase, drop +tags and, for Gmail, the dots Gmail ignores
+ */
+function normalizeEmail(email) {
+    if (!email || typeof email !== 'string') return null;
+    const trimmed = email.trim().toLowerCase();
+    const at = trimmed.lastIndexOf('@');
+    if (at <= 0 || at === trimmed.length - 1) return null;
+
+    let local = trimmed.slice(0, at).split('+')[0];
+    let domain = trimmed.slice(at + 1);
+
+    if (GMAIL_DOMAINS.includes(domain)) {
+        local = local.replace(/\./g, '');
+        domain = 'gmail.com';
+    }
+
+    return local ? `${local}@${domain}` : null;
+}
+
+/**
+ * E.164 form; national numbers are read in the lead's country. Impossible numbers have no key.
+ */
+function normalizePhone(phone, country) {
+    return phoneNumbers.toE164(phone, country);
+}
+
+function normalizeName(firstName, lastName) {
+    const name = `${firstName || ''}${lastName || ''}`
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+    return name || null;
+}
+
+/**
+ * Normalized match keys stored on every lead (leads.email_normalized, phone_e164, name_normalized)
+ */
+function buildDedupeKeys(lead) {
+    return {
+        email_normalized: normalizeEmail(lead.email),
+        phone_e164: normalizePhone(lead.phone, lead.country),
+        name_normalized: normalizeName(lead.first_name, lead.last_name)
+    };
+}
+
+/**
+ * Most specific active settings for a source: source, then niche, then global
+ */
+async function getDedupeSettings(db, { sourceId = null, niche = null } = {}) {
+    const result = await db.query(`
+        SELECT * FROM dedupe_settings
+        WHERE is_active = true
+            AND ((scope = 'source' AND source_id = $1)
+                OR (scope = 'niche' AND niche = $2)
+                OR scope = 'global')
+        ORDER BY CASE scope WHEN 'source' THEN 1 WHEN 'niche' THEN 2 ELSE 3 END
+        LIMIT 1
+    `, [sourceId, niche]);
+
+    return result.rows[0] || DEFAULT_SETTINGS;
+}
+
+function buildKeyCondition(matchKey, keys) {
+    switch (matchKey) {
+        case 'email':
+            return keys.email_normalized ? { sql: 'l.email_normalized = $3', params: [keys.email_normalized] } : null;
+        case 'phone':
+            return keys.phone_e164 ? { sql: 'l.phone_e164 = $3', params: [keys.phone_e164] } : null;
+        case 'name_phone':
+            return keys.name_normalized && keys.phone_e164
+                ? { sql: 'l.name_normalized = $3 AND l.phone_e164 = $4', params: [keys.name_normalized, keys.phone_e164] }
+                : null;
+        case 'email_phone':
+            return keys.email_normalized && keys.phone_e164
+                ? { sql: 'l.email_normalized = $3 AND l.phone_e164 = $4', params: [keys.email_normalized, keys.phone_e164] }
+                : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Serialise concurrent intake of the same keys until the surrounding transaction ends
+ */
+async function lockDedupeKeys(client, keys) {
+    const lockKeys = [
+        keys.email_normalized && `email:${keys.email_normalized}`,
+        keys.phone_e164 && `phone:${keys.phone_e164}`
+    ].filter(Boolean).sort();
+
+    for (const lockKey of lockKeys) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`dedupe:${lockKey}`]);
+    }
+}
+
+/**
+ * Find the original lead an inbound lead duplicates, trying the configured match keys in order.
+ * Returns { leadId, matchKey } or null.
+ */
+async function findDuplicate(db, keys, settings, niche) {
+    for (const matchKey of settings.match_keys || []) {
+        const condition = buildKeyCondition(matchKey, keys);
+        if (!condition) continue;
+
+        const result = await db.query(`
+            SELECT COALESCE(l.duplicate_of, l.id) as lead_id
+            FROM leads l
+            WHERE l.niche = $1
+                AND l.created_at >= CURRENT_TIMESTAMP - make_interval(hours => $2::integer)
+                AND ${condition.sql}
+            ORDER BY l.created_at ASC
+            LIMIT 1
+        `, [niche, settings.window_hours, ...condition.params]);
+
+        if (result.rows.length > 0) {
+            return { leadId: result.rows[0].lead_id, matchKey };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Fill the original lead's missing contact fields from the duplicate and keep its payload
+ */
+async function mergeIntoLead(db, leadId, incoming, keys, payload) {
+    await db.query(`
+        UPDATE leads
+        SET first_name = COALESCE(NULLIF(first_name, ''), $2),
+            last_name = COALESCE(NULLIF(last_name, ''), $3),
+            email = COALESCE(NULLIF(email, ''), $4),
+            phone = COALESCE(NULLIF(phone, ''), $5),
+            email_normalized = COALESCE(email_normalized, $6),
+            phone_e164 = COALESCE(phone_e164, $7),
+            name_normalized = COALESCE(name_normalized, $8),
+            data = jsonb_set(
+                COALESCE(data, '{}'::jsonb),
+                '{merged_payloads}',
+                COALESCE(data->'merged_payloads', '[]'::jsonb) || jsonb_build_array($9::jsonb)
+            )
+        WHERE id = $1
+    `, [
+        leadId,
+        incoming.first_name || null,
+        incoming.last_name || null,
+        incoming.email || null,
+        incoming.phone || null,
+        keys.email_normalized,
+        keys.phone_e164,
+        keys.name_normalized,
+        JSON.stringify({ ...payload, merged_at: new Date().toISOString() })
+    ]);
+}
+
+async function recordDuplicate(db, { leadId = null, duplicateOf, source, matchKey, policy, payload }) {
+    await db.query(`
+        INSERT INTO lead_duplicates (lead_id, duplicate_of, source, match_key, policy, payload)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [leadId, duplicateOf, source, matchKey, policy, JSON.stringify(payload || {})]);
+}
+
+async function getDuplicates({ policy = null, days = 7 } = {}) {
+    const result = await pool.query(`
+        SELECT ld.*,
+               o.first_name as original_first_name, o.last_name as original_last_name,
+               o.email as original_email, o.phone as original_phone,
+               o.source as original_source, o.status as original_status, o.created_at as original_created_at
+        FROM lead_duplicates ld
+        JOIN leads o ON o.id = ld.duplicate_of
+        WHERE ld.created_at >= CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+            AND ($2::text IS NULL OR ld.policy = $2)
+        ORDER BY ld.created_at DESC
+        LIMIT 500
+    `, [days, policy]);
+
+    return result.rows;
+}
+
+async function listDedupeSettings() {
+    const result = await pool.query(`
+        SELECT ds.*, ws.name as source_name
+        FROM dedupe_settings ds
+        LEFT JOIN webhook_sources ws ON ws.id = ds.source_id
+        ORDER BY CASE ds.scope WHEN 'global' THEN 1 WHEN 'niche' THEN 2 ELSE 3 END, ds.niche, ws.name
+    `);
+    return result.rows;
+}
+
+/**
+ * Validate dedupe settings submitted from the admin UI. Throws on invalid input.
+ */
+function parseDedupeSettings(body) {
+    const scope = body.scope;
+    if (!['global', 'source', 'niche'].includes(scope)) {
+        throw new Error('Scope must be global, source or niche');
+    }
+
+    const sourceId = scope === 'source' ? parseInt(body.source_id) : null;
+    if (scope === 'source' && isNaN(sourceId)) {
+        throw new Error('Choose a webhook source');
+    }
+
+    const niche = scope === 'niche' ? body.niche : null;
+    if (scope === 'niche' && !niche) {
+        throw new Error('Choose a niche');
+    }
+
+    const matchKeys = (Array.isArray(body.match_keys) ? body.match_keys : [body.match_keys])
+        .filter(key => MATCH_KEYS[key]);
+    if (matchKeys.length === 0) {
+        throw new Error('Select at least one match key');
+    }
+
+    const windowHours = parseInt(body.window_hours);
+    if (isNaN(windowHours) || windowHours < 1 || windowHours > 24 * 365) {
+        throw new Error('Lookback window must be between 1 hour and 365 days');
+    }
+
+    if (!DUPLICATE_POLICIES[body.policy]) {
+        throw new Error('Policy must be reject, flag or merge');
+    }
+
+    return { scope, source_id: sourceId, niche, match_keys: matchKeys, window_hours: windowHours, policy: body.policy };
+}
+
+async function saveDedupeSettings(settings) {
+    const result = await pool.query(`
+        INSERT INTO dedupe_settings (scope, source_id, niche, match_keys, window_hours, policy)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (scope, COALESCE(source_id, 0), COALESCE(niche, ''))
+        DO UPDATE SET
+            match_keys = EXCLUDED.match_keys,
+            window_hours = EXCLUDED.window_hours,
+            policy = EXCLUDED.policy,
+            is_active = true,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [settings.scope, settings.source_id, settings.niche, settings.match_keys, settings.window_hours, settings.policy]);
+
+    return result.rows[0];
+}
+
+async function deleteDedupeSettings(id) {
+    const result = await pool.query('DELETE FROM dedupe_settings WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    MATCH_KEYS,
+    DUPLICATE_POLICIES,
+    DEFAULT_SETTINGS,
+    normalizeEmail,
+    normalizePhone,
+    buildDedupeKeys,
+    getDedupeSettings,
+    lockDedupeKeys,
+    findDuplicate,
+    mergeIntoLead,
+    recordDuplicate,
+    getDuplicates,
+    listDedupeSettings,
+    parseDedupeSettings,
+    saveDedupeSettings,
+    deleteDedupeSettings
+};
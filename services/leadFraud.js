@@ -0,0 +1,373 @@
+const net = require('net');
+const { pool } = require('../config/db');
+const disposableEmailDomains = require('./disposableEmailDomains');
+const phoneNumbers = require('./phoneNumbers');
+
+/**
+ * Lead Fraud Checks
+ * Runs on every inbound lead after validation and before insert. Each check that fires adds its
+ * points and a reason to the lead's fraud score (0-100); the global thresholds then decide:
+ * - pass: the lead is taken in as usual
+ * - quarantine: the lead is stored as 'quarantined' and waits in the fraud review queue
+ * - block: the lead is refused and only the check is logged
+ *
+ * Every check is logged in lead_fraud_checks, blocked ones included, and velocity is counted
+ * there so a burst keeps scoring after its first leads are blocked.
+ */
+
+const FRAUD_ACTIONS = {
+    pass: 'Pass',
+    quarantine: 'Quarantine for review',
+    block: 'Block'
+};
+
+const FRAUD_CHECKS = {
+    ip_velocity: { label: 'Many leads from one IP', points: 40 },
+    email_velocity: { label: 'Email seen repeatedly', points: 35 },
+    phone_velocity: { label: 'Phone seen repeatedly', points: 35 },
+    sequential_email: { label: 'Sequential emails', points: 35 },
+    disposable_email: { label: 'Disposable email domain', points: 30 },
+    gibberish_name: { label: 'Gibberish name', points: 30 },
+    phone_country_mismatch: { label: 'Phone country differs from declared country', points: 20 }
+};
+
+const DEFAULT_SETTINGS = {
+    quarantine_score: 40,
+    block_score: 80,
+    velocity_window_minutes: 60,
+    ip_limit: 5,
+    email_limit: 3,
+    phone_limit: 3,
+    sequential_email_limit: 3
+};
+
+const CHECK_RETENTION_DAYS = parseInt(process.env.FRAUD_CHECK_RETENTION_DAYS) || 30;
+
+// Sources whose requests come from the lead's own browser, so the request IP is the lead's IP
+const BROWSER_SOURCE_TYPES = ['landing_page'];
+
+const PLACEHOLDER_NAMES = ['test', 'tester', 'asdf', 'qwerty', 'qwertz', 'xxx', 'fake', 'none', 'null', 'undefined', 'name', 'abc', 'aaa', 'na'];
+const KEYBOARD_RUNS = ['qwert', 'werty', 'asdf', 'sdfg', 'dfgh', 'fghj', 'ghjk', 'hjkl', 'zxcv', 'xcvb', 'yxcv', 'qwertz'];
+
+async function getFraudSettings(db = pool) {
+    const result = await db.query('SELECT * FROM fraud_settings WHERE id = 1');
+    return result.rows[0] || { ...DEFAULT_SETTINGS };
+}
+
+function normalizeIp(value) {
+    if (!value) return null;
+    const ip = String(value).trim().replace(/^::ffff:/i, '');
+    return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * The lead's own IP: the consent IP the supplier sent, else the request IP when the lead's
+ * browser sent the request (landing pages, query-string pixels). Server-to-server sources
+ * without a consent IP have none, since their request IP is the supplier's server.
+ */
+function getLeadIp(source, prepared, requestIp) {
+    const consentIp = prepared.consent ? normalizeIp(prepared.consent.consent_ip) : null;
+    if (consentIp) return consentIp;
+
+    const fromBrowser = BROWSER_SOURCE_TYPES.includes(source.source_type) || source.payload_format === 'query';
+    return fromBrowser ? normalizeIp(requestIp) : null;
+}
+
+/**
+ * Emails ending in a number share a pattern with the number left out (lead12@x.com -> lead#@x.com)
+ */
+function getEmailPattern(emailNormalized) {
+    if (!emailNormalized) return null;
+    const [local, domain] = emailNormalized.split('@');
+    const match = /^(.*?)\d+$/.exec(local || '');
+    return match && match[1] && domain ? `${match[1]}#@${domain}` : null;
+}
+
+/**
+ * Whether a name looks typed at random: placeholders, digits, no vowels, long consonant
+ * or repeated letter runs, keyboard rows and repeated syllables. Only Latin-script names are judged.
+ */
+function looksLikeGibberish(name) {
+    if (!name) return false;
+    const text = String(name).trim().toLowerCase();
+    if (!text) return false;
+    if (/\d/.test(text)) return true;
+
+    const letters = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\s'.-]/g, '');
+    if (!/^[a-z]+$/.test(letters)) return false;
+
+    if (PLACEHOLDER_NAMES.includes(letters)) return true;
+    if (letters.length >= 4 && !/[aeiouy]/.test(letters)) return true;
+    if (/[^aeiouy]{6,}/.test(letters)) return true;
+    if (/(.)\1\1/.test(letters)) return true;
+    if (KEYBOARD_RUNS.some(run => letters.includes(run))) return true;
+    if (letters.length >= 6 && /^(.{2,3})\1+$/.test(letters)) return true;
+
+    return false;
+}
+
+function reason(code, message) {
+    return { code, points: FRAUD_CHECKS[code].points, message };
+}
+
+async function countRecentChecks(settings, signals) {
+    const result = await pool.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE $2::text IS NOT NULL AND ip_address = $2)::int AS ip,
+            COUNT(*) FILTER (WHERE $3::text IS NOT NULL AND email_normalized = $3)::int AS email,
+            COUNT(*) FILTER (WHERE $4::text IS NOT NULL AND phone_e164 = $4)::int AS phone,
+            COUNT(*) FILTER (WHERE $5::text IS NOT NULL AND email_pattern = $5)::int AS email_pattern
+        FROM lead_fraud_checks
+        WHERE created_at > NOW() - make_interval(mins => $1::integer)
+    `, [settings.velocity_window_minutes, signals.ip_address, signals.email_normalized, signals.phone_e164, signals.email_pattern]);
+    return result.rows[0];
+}
+
+function decideAction(score, settings) {
+    if (settings.block_score !== null && score >= settings.block_score) return 'block';
+    if (settings.quarantine_score !== null && score >= settings.quarantine_score) return 'quarantine';
+    return 'pass';
+}
+
+/**
+ * Score a prepared lead. Returns { score, action, reasons: [{ code, points, message }], signals }.
+ */
+async function checkLead(source, prepared, { requestIp = null } = {}) {
+    try {
+        await disposableEmailDomains.loadDomains();
+    } catch (error) {
+        console.error('Disposable domain list load error:', error.message);
+    }
+
+    const settings = await getFraudSettings();
+    const { enrichedData, dedupeKeys, country, phone } = prepared;
+    const signals = {
+        ip_address: getLeadIp(source, prepared, requestIp),
+        email_normalized: dedupeKeys.email_normalized,
+        phone_e164: dedupeKeys.phone_e164,
+        email_pattern: getEmailPattern(dedupeKeys.email_normalized)
+    };
+
+    const reasons = [];
+    const counts = await countRecentChecks(settings, signals);
+    const windowText = `${settings.velocity_window_minutes} minutes`;
+
+    if (signals.ip_address && counts.ip >= settings.ip_limit) {
+        reasons.push(reason('ip_velocity', `${counts.ip} earlier leads from IP ${signals.ip_address} in the last ${windowText}`));
+    }
+    if (signals.email_normalized && counts.email >= settings.email_limit) {
+        reasons.push(reason('email_velocity', `email received ${counts.email} times before in the last ${windowText}`));
+    }
+    if (signals.phone_e164 && counts.phone >= settings.phone_limit) {
+        reasons.push(reason('phone_velocity', `phone received ${counts.phone} times before in the last ${windowText}`));
+    }
+    if (signals.email_pattern && counts.email_pattern >= settings.sequential_email_limit) {
+        reasons.push(reason('sequential_email', `${counts.email_pattern} earlier emails like ${signals.email_pattern.replace('#', '<n>')} in the last ${windowText}`));
+    }
+
+    if (enrichedData.email && disposableEmailDomains.isDisposableEmail(enrichedData.email)) {
+        reasons.push(reason('disposable_email', `email domain ${String(enrichedData.email).split('@')[1]} is disposable`));
+    }
+
+    const gibberish = ['first_name', 'last_name'].filter(field => looksLikeGibberish(enrichedData[field]));
+    if (gibberish.length > 0) {
+        reasons.push(reason('gibberish_name', `${gibberish.join(' and ')} look${gibberish.length === 1 ? 's' : ''} made up`));
+    }
+
+    const declaredCode = phoneNumbers.callingCodeForCountry(country);
+    if (phone && phone.valid && declaredCode && phone.callingCode !== declaredCode) {
+        reasons.push(reason('phone_country_mismatch', `phone is a +${phone.callingCode} number but the lead's country is ${country}`));
+    }
+
+    const score = Math.min(reasons.reduce((total, item) => total + item.points, 0), 100);
+    return { score, action: decideAction(score, settings), reasons, signals };
+}
+
+/**
+ * Log a check; leadId is null for blocked leads
+ */
+async function recordCheck(db, source, fraud, leadId = null) {
+    await db.query(`
+        INSERT INTO lead_fraud_checks (source_id, source_name, lead_id, ip_address, email_normalized,
+                                       email_pattern, phone_e164, fraud_score, reasons, action)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+        source.id,
+        source.name,
+        leadId,
+        fraud.signals.ip_address,
+        fraud.signals.email_normalized,
+        fraud.signals.email_pattern,
+        fraud.signals.phone_e164,
+        fraud.score,
+        JSON.stringify(fraud.reasons),
+        fraud.action
+    ]);
+}
+
+function summarizeReasons(reasons) {
+    return reasons.map(item => FRAUD_CHECKS[item.code].label).join(', ');
+}
+
+async function getQuarantinedLeads(limit = 200) {
+    const result = await pool.query(`
+        SELECT id, source, type, niche, country, first_name, last_name, email, phone, phone_line_type,
+               fraud_score, fraud_reasons, hold_reason, held_at, created_at
+        FROM leads
+        WHERE status = 'quarantined'
+        ORDER BY held_at, id
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+async function getRecentBlocked({ days = 7, limit = 200 } = {}) {
+    const result = await pool.query(`
+        SELECT id, source_name, ip_address, email_normalized, phone_e164, fraud_score, reasons, created_at
+        FROM lead_fraud_checks
+        WHERE action = 'block' AND created_at >= CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+        ORDER BY created_at DESC
+        LIMIT $2
+    `, [days, limit]);
+    return result.rows;
+}
+
+/**
+ * Checks per action over the last days, for the review page summary
+ */
+async function getCheckSummary(days = 7) {
+    const result = await pool.query(`
+        SELECT action, COUNT(*)::int AS count
+        FROM lead_fraud_checks
+        WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+        GROUP BY action
+    `, [days]);
+    const summary = Object.fromEntries(Object.keys(FRAUD_ACTIONS).map(action => [action, 0]));
+    result.rows.forEach(row => { summary[row.action] = row.count; });
+    return summary;
+}
+
+async function recordReview(leadId, decision) {
+    await pool.query(
+        'UPDATE lead_fraud_checks SET review_decision = $2, reviewed_at = CURRENT_TIMESTAMP WHERE lead_id = $1',
+        [leadId, decision]
+    );
+}
+
+/**
+ * Return a quarantined lead to distribution. Released leads also skip the quality review floor.
+ */
+async function releaseQuarantinedLead(leadId) {
+    const result = await pool.query(`
+        UPDATE leads SET status = 'pending', hold_reason = NULL, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'quarantined'
+        RETURNING id
+    `, [leadId]);
+    if (result.rows.length === 0) return false;
+
+    await recordReview(leadId, 'released');
+    return true;
+}
+
+async function rejectQuarantinedLead(leadId, note = null) {
+    const result = await pool.query(`
+        UPDATE leads
+        SET status = 'failed', failure_reason = 'fraud_review', failure_detail = COALESCE($2, hold_reason),
+            reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'quarantined'
+        RETURNING id
+    `, [leadId, note]);
+    if (result.rows.length === 0) return false;
+
+    await recordReview(leadId, 'rejected');
+    return true;
+}
+
+/**
+ * Delete checks older than the retention period; leads keep their score and reasons
+ */
+async function purgeOldChecks(retentionDays = CHECK_RETENTION_DAYS) {
+    const result = await pool.query(`
+        DELETE FROM lead_fraud_checks
+        WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1::integer)
+    `, [retentionDays]);
+    return result.rowCount;
+}
+
+/**
+ * Validate fraud settings submitted from the review page. Throws on invalid input.
+ * An empty threshold turns that action off.
+ */
+function parseFraudSettings(body) {
+    const readScore = (value, label) => {
+        if (value === undefined || value === null || value === '') return null;
+        const score = parseInt(value);
+        if (isNaN(score) || score < 1 || score > 100) {
+            throw new Error(`${label} must be empty or a score between 1 and 100`);
+        }
+        return score;
+    };
+    const readLimit = (value, label, max) => {
+        const limit = parseInt(value);
+        if (isNaN(limit) || limit < 1 || limit > max) {
+            throw new Error(`${label} must be between 1 and ${max}`);
+        }
+        return limit;
+    };
+
+    const settings = {
+        quarantine_score: readScore(body.quarantine_score, 'Quarantine score'),
+        block_score: readScore(body.block_score, 'Block score'),
+        velocity_window_minutes: readLimit(body.velocity_window_minutes, 'Velocity window', 10080),
+        ip_limit: readLimit(body.ip_limit, 'Leads per IP', 10000),
+        email_limit: readLimit(body.email_limit, 'Leads per email', 10000),
+        phone_limit: readLimit(body.phone_limit, 'Leads per phone', 10000),
+        sequential_email_limit: readLimit(body.sequential_email_limit, 'Sequential emails', 10000)
+    };
+
+    if (settings.quarantine_score !== null && settings.block_score !== null && settings.block_score <= settings.quarantine_score) {
+        throw new Error('Block score must be higher than the quarantine score');
+    }
+    return settings;
+}
+
+async function saveFraudSettings(settings) {
+    const result = await pool.query(`
+        INSERT INTO fraud_settings (id, quarantine_score, block_score, velocity_window_minutes,
+                                    ip_limit, email_limit, phone_limit, sequential_email_limit)
+        VALUES (1, $1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (id) DO UPDATE SET
+            quarantine_score = EXCLUDED.quarantine_score,
+            block_score = EXCLUDED.block_score,
+            velocity_window_minutes = EXCLUDED.velocity_window_minutes,
+            ip_limit = EXCLUDED.ip_limit,
+            email_limit = EXCLUDED.email_limit,
+            phone_limit = EXCLUDED.phone_limit,
+            sequential_email_limit = EXCLUDED.sequential_email_limit,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [
+        settings.quarantine_score, settings.block_score, settings.velocity_window_minutes,
+        settings.ip_limit, settings.email_limit, settings.phone_limit, settings.sequential_email_limit
+    ]);
+    return result.rows[0];
+}
+
+module.exports = {
+    FRAUD_ACTIONS,
+    FRAUD_CHECKS,
+    DEFAULT_SETTINGS,
+    getFraudSettings,
+    looksLikeGibberish,
+    checkLead,
+    recordCheck,
+    summarizeReasons,
+    getQuarantinedLeads,
+    getRecentBlocked,
+    getCheckSummary,
+    releaseQuarantinedLead,
+    rejectQuarantinedLead,
+    purgeOldChecks,
+    parseFraudSettings,
+    saveFraudSettings
+};
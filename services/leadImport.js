@@ -0,0 +1,579 @@
+const ExcelJS = require('exceljs');
+const { pool } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { distributeLead } = require('./distribution');
+const leadDeduplication = require('./leadDeduplication');
+const { CANONICAL_FIELDS } = require('./inboundMapping');
+const { prepareLead, insertLead } = require('./leadIntake');
+
+/**
+ * Bulk Lead Import
+ * CSV/XLSX uploads from the leads page: map columns to lead fields, validate and dedupe every row,
+ * preview the result, then insert the accepted rows in the background and distribute them
+ * immediately, at a scheduled time, or hold them in the quality review queue.
+ */
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 10000;
+const PREVIEW_ROWS = 20;
+const PROGRESS_EVERY = 25;
+
+// Lead fields a column can be mapped to; full_name is split into first and last name
+const IMPORT_FIELDS = [...CANONICAL_FIELDS, 'full_name'];
+
+const DISTRIBUTION_MODES = {
+    immediate: 'Distribute immediately',
+    scheduled: 'Distribute at a scheduled time',
+    hold: 'Hold for review'
+};
+
+const NICHES = ['forex', 'recovery'];
+const LEAD_TYPES = ['premium', 'raw'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header spellings recognised when suggesting a column mapping
+const HEADER_ALIASES = {
+    first_name: ['firstname', 'first', 'givenname', 'vorname', 'nombre'],
+    last_name: ['lastname', 'last', 'surname', 'familyname', 'nachname', 'apellido'],
+    full_name: ['name', 'fullname', 'contactname'],
+    email: ['email', 'emailaddress', 'mail'],
+    phone: ['phone', 'phonenumber', 'mobile', 'telephone', 'tel', 'cell', 'telefon'],
+    country: ['country', 'land', 'pais'],
+    niche: ['niche', 'vertical'],
+    type: ['type', 'leadtype'],
+    amount_lost: ['amountlost', 'lostamount', 'amount'],
+    fraud_type: ['fraudtype', 'typeoffraud']
+};
+
+let scheduledRunInProgress = false;
+
+/**
+ * Split CSV text into rows, honouring quoted fields with embedded delimiters, quotes and newlines
+ */
+function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+        const values = [];
+        for (let column = 1; column <= worksheet.columnCount; column++) {
+            values.push(row.getCell(column).text || '');
+        }
+        rows.push(values);
+    });
+    return rows;
+}
+
+function isBlankRow(row) {
+    return Object.values(row).every(value => value === '');
+}
+
+/**
+ * Parse an uploaded file into headers and row objects keyed by header. Throws on unusable files.
+ */
+async function parseImportFile(file) {
+    const extension = (file.originalname.split('.').pop() || '').toLowerCase();
+    if (!['csv', 'xlsx'].includes(extension)) {
+        throw new Error('Upload a .csv or .xlsx file');
+    }
+
+    let table;
+    try {
+        table = extension === 'csv' ? parseCsv(file.buffer.toString('utf8')) : await parseXlsx(file.buffer);
+    } catch (error) {
+        throw new Error(`Could not read the ${extension.toUpperCase()} file`);
+    }
+
+    if (table.length < 2) {
+        throw new Error('The file needs a header row and at least one lead');
+    }
+
+    // Blank headers get a column number, repeated headers a suffix, so every column can be mapped
+    const seen = new Map();
+    const headers = table[0].map((header, index) => {
+        const name = String(header).trim() || `Column ${index + 1}`;
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        return count > 1 ? `${name} (${count})` : name;
+    });
+
+    // Blank rows are kept (and skipped later) so row numbers match the file
+    const rows = table.slice(1)
+        .map(values => Object.fromEntries(headers.map((header, index) => [header, String(values[index] ?? '').trim()])));
+    while (rows.length > 0 && isBlankRow(rows[rows.length - 1])) {
+        rows.pop();
+    }
+
+    const leadCount = rows.filter(row => !isBlankRow(row)).length;
+    if (leadCount === 0) {
+        throw new Error('The file has no lead rows');
+    }
+    if (leadCount > MAX_IMPORT_ROWS) {
+        throw new Error(`A file can contain at most ${MAX_IMPORT_ROWS} leads`);
+    }
+
+    return { fileType: extension, headers, rows, leadCount };
+}
+
+function suggestColumnMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+
+    headers.forEach(header => {
+        const key = header.toLowerCase().replace(/[\s_\-.]/g, '');
+        const field = IMPORT_FIELDS.find(candidate =>
+            !used.has(candidate) &&
+            (candidate.replace(/_/g, '') === key || (HEADER_ALIASES[candidate] || []).includes(key))
+        );
+        if (field) {
+            mapping[header] = field;
+            used.add(field);
+        }
+    });
+    return mapping;
+}
+
+async function createImportJob(fileName, parsed) {
+    const result = await pool.query(`
+        INSERT INTO lead_import_jobs (file_name, file_type, headers, row_data, total_rows)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, file_name, file_type, headers, total_rows, status
+    `, [fileName.substring(0, 255), parsed.fileType, JSON.stringify(parsed.headers), JSON.stringify(parsed.rows), parsed.leadCount]);
+    return result.rows[0];
+}
+
+/**
+ * Validate the wizard's column mapping, defaults and distribution choice. Throws on invalid input.
+ */
+function parseImportOptions(body, headers) {
+    const columnMapping = {};
+    Object.entries(body.column_mapping || {}).forEach(([header, field]) => {
+        if (!field) return;
+        if (!headers.includes(header)) {
+            throw new Error(`Unknown column '${header}'`);
+        }
+        if (!IMPORT_FIELDS.includes(field)) {
+            throw new Error(`Unknown lead field '${field}'`);
+        }
+        if (Object.values(columnMapping).includes(field)) {
+            throw new Error(`More than one column is mapped to ${field}`);
+        }
+        columnMapping[header] = field;
+    });
+
+    const mappedFields = Object.values(columnMapping);
+    if (!mappedFields.includes('email') && !mappedFields.includes('phone')) {
+        throw new Error('Map an email or phone column');
+    }
+
+    const source = String(body.source || '').trim();
+    if (!source || source.length > 100) {
+        throw new Error('Enter a source name of up to 100 characters');
+    }
+
+    const niche = body.niche || null;
+    if (niche && !NICHES.includes(niche)) {
+        throw new Error('Default niche must be forex or recovery');
+    }
+
+    const type = body.type || null;
+    if (type && !LEAD_TYPES.includes(type)) {
+        throw new Error('Default lead type must be premium or raw');
+    }
+
+    const country = String(body.country || '').trim().toLowerCase() || null;
+
+    const distributionMode = body.distribution_mode;
+    if (!DISTRIBUTION_MODES[distributionMode]) {
+        throw new Error('Choose immediate, scheduled or hold distribution');
+    }
+
+    let distributeAt = null;
+    if (distributionMode === 'scheduled') {
+        distributeAt = new Date(body.distribute_at);
+        if (isNaN(distributeAt.getTime()) || distributeAt <= new Date()) {
+            throw new Error('Scheduled distribution needs a time in the future');
+        }
+    }
+
+    return {
+        column_mapping: columnMapping,
+        defaults: { source, niche, type, country },
+        distribution_mode: distributionMode,
+        distribute_at: distributeAt
+    };
+}
+
+/**
+ * Lead fields of one row from the column mapping, with the import defaults filled in
+ */
+function buildLeadFromRow(row, options) {
+    const lead = {};
+    Object.entries(options.column_mapping).forEach(([header, field]) => {
+        if (row[header] !== undefined && row[header] !== '') {
+            lead[field] = row[header];
+        }
+    });
+
+    if (lead.full_name) {
+        const parts = lead.full_name.split(/\s+/);
+        lead.first_name = lead.first_name || parts[0];
+        lead.last_name = lead.last_name || parts.slice(1).join(' ') || undefined;
+        delete lead.full_name;
+    }
+
+    const { defaults } = options;
+    lead.country = (lead.country || defaults.country || '').toLowerCase() || undefined;
+    lead.niche = (lead.niche || defaults.niche || '').toLowerCase() || undefined;
+    lead.type = (lead.type || defaults.type || '').toLowerCase() || undefined;
+    return lead;
+}
+
+function validateLead(lead) {
+    if (!lead.email && !lead.phone) return 'Missing email and phone';
+    if (lead.email && !EMAIL_PATTERN.test(lead.email)) return `Invalid email '${lead.email}'`;
+    if (!lead.country) return 'Missing country';
+    if (!NICHES.includes(lead.niche)) return lead.niche ? `Invalid niche '${lead.niche}'` : 'Missing niche';
+    if (!LEAD_TYPES.includes(lead.type)) return lead.type ? `Invalid lead type '${lead.type}'` : 'Missing lead type';
+    return null;
+}
+
+/**
+ * Existing leads matching any of the keys, as Maps from niche:key to lead id
+ */
+async function findExistingLeads(keys) {
+    const emails = [...new Set(keys.map(k => k.email_normalized).filter(Boolean))];
+    const phones = [...new Set(keys.map(k => k.phone_e164).filter(Boolean))];
+    const byEmail = new Map();
+    const byPhone = new Map();
+
+    for (let offset = 0; offset < Math.max(emails.length, phones.length); offset += 1000) {
+        const result = await pool.query(`
+            SELECT id, niche, email_normalized, phone_e164
+            FROM leads
+            WHERE email_normalized = ANY($1) OR phone_e164 = ANY($2)
+        `, [emails.slice(offset, offset + 1000), phones.slice(offset, offset + 1000)]);
+
+        result.rows.forEach(lead => {
+            if (lead.email_normalized) byEmail.set(`${lead.niche}:${lead.email_normalized}`, lead.id);
+            if (lead.phone_e164) byPhone.set(`${lead.niche}:${lead.phone_e164}`, lead.id);
+        });
+    }
+    return { byEmail, byPhone };
+}
+
+/**
+ * Validate and dedupe every row, against the rest of the file and existing leads of the same niche.
+ * Row numbers count the header as row 1, as spreadsheets do.
+ */
+async function validateImportRows(rows, options) {
+    const candidates = [];
+    const rejected = [];
+
+    rows.forEach((row, index) => {
+        if (isBlankRow(row)) return;
+        const rowNumber = index + 2;
+        const lead = buildLeadFromRow(row, options);
+        const reason = validateLead(lead);
+        if (reason) {
+            rejected.push({ row: rowNumber, reason, values: row });
+            return;
+        }
+
+        const keys = leadDeduplication.buildDedupeKeys(lead);
+        if (lead.phone && !keys.phone_e164) {
+            rejected.push({ row: rowNumber, reason: `Invalid phone '${lead.phone}'`, values: row });
+            return;
+        }
+        candidates.push({ row: rowNumber, values: row, lead, keys });
+    });
+
+    const existing = await findExistingLeads(candidates.map(c => c.keys));
+    const seenEmails = new Map();
+    const seenPhones = new Map();
+    const accepted = [];
+
+    candidates.forEach(candidate => {
+        const { lead, keys } = candidate;
+        const emailKey = keys.email_normalized && `${lead.niche}:${keys.email_normalized}`;
+        const phoneKey = keys.phone_e164 && `${lead.niche}:${keys.phone_e164}`;
+
+        const existingId = (emailKey && existing.byEmail.get(emailKey)) || (phoneKey && existing.byPhone.get(phoneKey));
+        const earlierRow = (emailKey && seenEmails.get(emailKey)) || (phoneKey && seenPhones.get(phoneKey));
+
+        if (existingId) {
+            rejected.push({ row: candidate.row, reason: `Already exists as lead #${existingId}`, values: candidate.values });
+        } else if (earlierRow) {
+            rejected.push({ row: candidate.row, reason: `Duplicate of row ${earlierRow}`, values: candidate.values });
+        } else {
+            if (emailKey) seenEmails.set(emailKey, candidate.row);
+            if (phoneKey) seenPhones.set(phoneKey, candidate.row);
+            accepted.push(candidate);
+        }
+    });
+
+    rejected.sort((a, b) => a.row - b.row);
+    return { accepted, rejected };
+}
+
+async function getImportJob(jobId, { withRows = false } = {}) {
+    const result = await pool.query(`
+        SELECT id, file_name, file_type, status, headers, options, distribution_mode, distribute_at, distributed_at,
+               total_rows, accepted_rows, processed_rows, inserted_rows, rejected_rows, error_message,
+               created_at, started_at, completed_at
+               ${withRows ? ', row_data, errors' : ''}
+        FROM lead_import_jobs
+        WHERE id = $1
+    `, [jobId]);
+    return result.rows[0] || null;
+}
+
+async function listImportJobs(limit = 20) {
+    const result = await pool.query(`
+        SELECT id, file_name, file_type, status, distribution_mode, distribute_at, distributed_at,
+               total_rows, accepted_rows, processed_rows, inserted_rows, rejected_rows, error_message, created_at, completed_at
+        FROM lead_import_jobs
+        ORDER BY created_at DESC
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+/**
+ * Validate a job's rows with the parsed options and keep them for the run.
+ * Returns counts and a sample of accepted and rejected rows.
+ */
+async function previewImportJob(job, options) {
+    const { accepted, rejected } = await validateImportRows(job.row_data, options);
+
+    await pool.query(`
+        UPDATE lead_import_jobs
+        SET status = 'previewed', options = $1, distribution_mode = $2, distribute_at = $3,
+            accepted_rows = $4, rejected_rows = $5, errors = $6
+        WHERE id = $7
+    `, [
+        JSON.stringify(options),
+        options.distribution_mode,
+        options.distribute_at,
+        accepted.length,
+        rejected.length,
+        JSON.stringify(rejected),
+        job.id
+    ]);
+
+    return {
+        accepted_count: accepted.length,
+        rejected_count: rejected.length,
+        accepted: accepted.slice(0, PREVIEW_ROWS).map(({ row, lead }) => ({ row, lead })),
+        rejected: rejected.slice(0, PREVIEW_ROWS).map(({ row, reason }) => ({ row, reason }))
+    };
+}
+
+/**
+ * Start inserting a previewed job in the background. Returns false if it is not ready to run.
+ */
+async function startImportJob(jobId) {
+    const result = await pool.query(`
+        UPDATE lead_import_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'previewed'
+        RETURNING id
+    `, [jobId]);
+    if (result.rows.length === 0) return false;
+
+    setImmediate(() => {
+        runImportJob(jobId).catch(async error => {
+            logger.error('Lead import failed', { component: 'leadImport', jobId, error: error.message });
+            await pool.query(`
+                UPDATE lead_import_jobs SET status = 'failed', error_message = $1, completed_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [error.message, jobId]).catch(() => {});
+        });
+    });
+    return true;
+}
+
+async function runImportJob(jobId) {
+    const job = await getImportJob(jobId, { withRows: true });
+    const { options } = job;
+    const hold = options.distribution_mode === 'hold';
+
+    // Validate again: leads may have arrived since the preview
+    const { accepted, rejected } = await validateImportRows(job.row_data, options);
+    const errors = [...rejected];
+    const leadIds = [];
+
+    for (let index = 0; index < accepted.length; index++) {
+        const { row, values, lead } = accepted[index];
+        const source = {
+            name: options.defaults.source,
+            source_type: 'import',
+            country: lead.country,
+            niche: lead.niche,
+            lead_type: lead.type
+        };
+
+        try {
+            const prepared = await prepareLead(source, values, lead);
+            leadIds.push(await insertLead(pool, source, values, prepared, {
+                status: hold ? 'held' : 'pending',
+                holdReason: hold ? `Imported from ${job.file_name}` : null,
+                importJobId: jobId,
+                extraData: { import: { job_id: jobId, row } }
+            }));
+        } catch (error) {
+            errors.push({ row, reason: `Insert failed: ${error.message}`, values });
+        }
+
+        if ((index + 1) % PROGRESS_EVERY === 0) {
+            await pool.query(`
+                UPDATE lead_import_jobs SET processed_rows = $1, inserted_rows = $2 WHERE id = $3
+            `, [index + 1, leadIds.length, jobId]);
+        }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    await pool.query(`
+        UPDATE lead_import_jobs
+        SET status = 'completed', processed_rows = $1, inserted_rows = $2, accepted_rows = $3, rejected_rows = $4,
+            errors = $5, row_data = NULL, completed_at = CURRENT_TIMESTAMP,
+            distributed_at = CASE WHEN distribution_mode = 'immediate' THEN CURRENT_TIMESTAMP END
+        WHERE id = $6
+    `, [accepted.length, leadIds.length, accepted.length, errors.length, JSON.stringify(errors), jobId]);
+
+    logger.info('Lead import completed', {
+        component: 'leadImport',
+        jobId,
+        inserted: leadIds.length,
+        rejected: errors.length,
+        distributionMode: options.distribution_mode
+    });
+
+    if (options.distribution_mode === 'immediate') {
+        await distributeImportedLeads(leadIds);
+    }
+}
+
+async function distributeImportedLeads(leadIds) {
+    for (const leadId of leadIds) {
+        try {
+            await distributeLead(leadId);
+        } catch (error) {
+            logger.error('Imported lead distribution failed', { component: 'leadImport', leadId, error: error.message });
+        }
+    }
+}
+
+/**
+ * Distribute the pending leads of scheduled imports whose time has come (cron)
+ */
+async function distributeScheduledImports() {
+    if (scheduledRunInProgress) return { skipped: true };
+    scheduledRunInProgress = true;
+
+    try {
+        const jobs = await pool.query(`
+            UPDATE lead_import_jobs SET distributed_at = CURRENT_TIMESTAMP
+            WHERE distribution_mode = 'scheduled' AND status = 'completed'
+                AND distributed_at IS NULL AND distribute_at <= CURRENT_TIMESTAMP
+            RETURNING id
+        `);
+
+        let distributed = 0;
+        for (const job of jobs.rows) {
+            const leads = await pool.query(`
+                SELECT id FROM leads WHERE import_job_id = $1 AND status = 'pending' ORDER BY id
+            `, [job.id]);
+            await distributeImportedLeads(leads.rows.map(lead => lead.id));
+            distributed += leads.rows.length;
+        }
+
+        return { skipped: false, jobs: jobs.rows.length, distributed };
+    } finally {
+        scheduledRunInProgress = false;
+    }
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rejected rows with their reason and original values, as CSV
+ */
+async function buildErrorReport(jobId) {
+    const result = await pool.query('SELECT headers, errors FROM lead_import_jobs WHERE id = $1', [jobId]);
+    if (result.rows.length === 0) return null;
+
+    const { headers, errors } = result.rows[0];
+    const lines = [['Row', 'Reason', ...headers].map(csvCell).join(',')];
+    (errors || []).forEach(error => {
+        lines.push([error.row, error.reason, ...headers.map(header => (error.values || {})[header])].map(csvCell).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_IMPORT_ROWS,
+    IMPORT_FIELDS,
+    DISTRIBUTION_MODES,
+    parseImportFile,
+    suggestColumnMapping,
+    createImportJob,
+    parseImportOptions,
+    getImportJob,
+    listImportJobs,
+    previewImportJob,
+    startImportJob,
+    distributeScheduledImports,
+    buildErrorReport
+};
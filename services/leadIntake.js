@@ -0,0 +1,350 @@
+const { pool } = require('../config/db');
+const { distributeLead } = require('./distribution');
+const leadDeduplication = require('./leadDeduplication');
+const inboundMapping = require('./inboundMapping');
+const leadQualityScoring = require('./leadQualityScoring');
+const leadValidation = require('./leadValidation');
+const leadFraud = require('./leadFraud');
+const leadConsent = require('./leadConsent');
+const phoneNumbers = require('./phoneNumbers');
+const sourceCommercials = require('./sourceCommercials');
+const idempotency = require('./idempotency');
+const { enrichLeadData } = require('./dataEnrichment');
+const { schedulePromotionalEmail } = require('./emailScheduler');
+
+/**
+ * Lead Intake
+ * The inbound pipeline shared by the single and batch webhook endpoints:
+ * normalise -> enrich -> score -> validate -> fraud check -> dedupe, intake cap and insert (one transaction per lead) -> distribute.
+ */
+
+const MAX_BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_MAX_LEADS) || 100;
+// Body size limit of the batch endpoint: 16 KB per lead, so a full batch of ordinary leads fits
+const MAX_BATCH_BYTES = MAX_BATCH_SIZE * 16 * 1024;
+
+/**
+ * Enrich, resolve country/niche/type and quality score a normalized lead
+ */
+async function prepareLead(source, leadData, normalizedData) {
+    // **NEW: Data Enrichment** - Automatically fill missing fields
+    const enrichedData = await enrichLeadData(normalizedData, source);
+    
+    // **CRITICAL FIX**: Use webhook source country/niche/lead_type as defaults (correct precedence)
+    const { country, niche, type, invalidType } = inboundMapping.resolveLeadAttributes(normalizedData, enrichedData, source);
+    
+    // **NEW: Quality Scoring** - Prepare lead data for quality scoring
+    const leadForScoring = {
+        source: source.name,
+        type,
+        niche,
+        country,
+        first_name: enrichedData.first_name,
+        last_name: enrichedData.last_name,
+        email: enrichedData.email,
+        phone: enrichedData.phone,
+        data: {
+            ...enrichedData,
+            original: leadData,
+            enrichment_score: enrichedData.data_completeness_score
+        },
+        created_at: new Date()
+    };
+    
+    const qualityScore = await leadQualityScoring.calculateQualityScore(leadForScoring);
+    
+    // **NEW: Duplicate detection** - match against recent leads of this niche from any source
+    const dedupeKeys = leadDeduplication.buildDedupeKeys({
+        email: enrichedData.email,
+        phone: enrichedData.phone,
+        country,
+        first_name: enrichedData.first_name,
+        last_name: enrichedData.last_name
+    });
+    
+    // **NEW: Consent record** - normalised here, stored in its own columns
+    const { consent, invalidFields: invalidConsentFields } = leadConsent.normalizeConsent(normalizedData);
+    
+    // **NEW: Phone check** - read in the resolved country, for validation and the line type
+    const phone = phoneNumbers.parsePhone(enrichedData.phone, country);
+    
+    // **NEW: Lead cost** - what the source charges for this lead, kept on the lead for margin reporting
+    const cost = sourceCommercials.getLeadCost(source, { country, type });
+    
+    return { enrichedData, country, niche, type, invalidType, qualityScore, dedupeKeys, consent, invalidConsentFields, phone, cost };
+}
+
+/**
+ * Insert a prepared lead. Imported leads may start held, and carry their import job.
+ */
+async function insertLead(db, source, leadData, prepared, { duplicate = null, status = 'pending', holdReason = null, importJobId = null, extraData = {} } = {}) {
+    const { enrichedData, qualityScore, dedupeKeys, consent, phone, fraud, cost } = prepared;
+    
+    const leadResult = await db.query(`
+        INSERT INTO leads (source, type, niche, country, first_name, last_name, email, phone, data,
+                           email_normalized, phone_e164, name_normalized, is_duplicate, duplicate_of,
+                           status, hold_reason, held_at, import_job_id,
+                           consent_text, consent_timestamp, consent_ip, consent_user_agent,
+                           consent_page_url, consent_opt_ins, consent_certificate_id, phone_line_type,
+                           fraud_score, fraud_reasons, lead_cost)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+                $15, $16, CASE WHEN $15 IN ('held', 'quarantined') THEN CURRENT_TIMESTAMP END, $17,
+                $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
+        RETURNING id
+    `, [
+        source.name,
+        prepared.type,
+        prepared.niche,
+        prepared.country,
+        enrichedData.first_name,
+        enrichedData.last_name,
+        enrichedData.email,
+        enrichedData.phone,
+        JSON.stringify({
+            original: leadData,
+            enriched: enrichedData,
+            enrichment_score: enrichedData.data_completeness_score,
+            webhook_source: {
+                country: source.country,
+                niche: source.niche,
+                name: source.name
+            },
+            // **NEW: Quality Scoring Data**
+            quality_score: qualityScore.totalScore,
+            quality_tier: qualityScore.qualityTier,
+            quality_breakdown: qualityScore.breakdown,
+            distribution_recommendation: qualityScore.recommendation,
+            quality_calculated_at: new Date().toISOString(),
+            // The type received when it was not premium or raw and the source's type was used instead
+            ...(prepared.invalidType !== null && prepared.invalidType !== undefined ? { type_coerced_from: prepared.invalidType } : {}),
+            ...extraData
+        }),
+        dedupeKeys.email_normalized,
+        dedupeKeys.phone_e164,
+        dedupeKeys.name_normalized,
+        !!duplicate,
+        duplicate ? duplicate.leadId : null,
+        status,
+        holdReason,
+        importJobId,
+        consent.consent_text,
+        consent.consent_timestamp,
+        consent.consent_ip,
+        consent.consent_user_agent,
+        consent.consent_page_url,
+        consent.consent_opt_ins ? JSON.stringify(consent.consent_opt_ins) : null,
+        consent.consent_certificate_id,
+        phone ? phone.lineType : null,
+        fraud ? fraud.score : null,
+        fraud ? JSON.stringify(fraud.reasons) : null,
+        cost
+    ]);
+    
+    return leadResult.rows[0].id;
+}
+
+/**
+ * Take in one lead payload from a webhook source. requestIp is the IP the request came from;
+ * idempotencyKey, when the request claimed one, is attached to the lead in the insert transaction.
+ * Returns { outcome: 'created', leadId, duplicate, qualityScore, quarantined, parked, warnings } for a new lead
+ * (quarantined leads wait for fraud review, and leads over a source's intake cap may be parked as
+ * held, instead of being distributed; warnings list values that were corrected, such as the lead type),
+ * { outcome: 'merged', leadId, duplicate } when merged into an existing lead,
+ * { outcome: 'rejected', reason, duplicate } when the source's dedupe policy rejects it,
+ * { outcome: 'invalid', reason, errors } when it breaks the source's validation rules,
+ * { outcome: 'blocked', reason, fraud } when its fraud score is over the block threshold, or
+ * { outcome: 'capped', reason, cap } when the source's daily or monthly intake cap is reached.
+ */
+async function ingestLead(source, leadData, { requestIp = null, idempotencyKey = null } = {}) {
+    // Normalize lead data with the source's inbound field mapping
+    const normalizedData = inboundMapping.applyFieldMapping(leadData, inboundMapping.getSourceMapping(source));
+    const prepared = await prepareLead(source, leadData, normalizedData);
+    const { enrichedData, dedupeKeys, country, niche, qualityScore } = prepared;
+    
+    // **NEW: Per-source validation rules** - refused leads are logged for rejection rate alerts
+    const errors = leadValidation.validateLead(leadValidation.getSourceRules(source), normalizedData, prepared);
+    if (errors.length > 0) {
+        await leadValidation.recordRejection(source, errors, leadData);
+        return { outcome: 'invalid', reason: 'validation_failed', errors };
+    }
+    
+    const warnings = [];
+    if (prepared.invalidType !== null && prepared.invalidType !== undefined) {
+        warnings.push({
+            field: 'type',
+            code: 'replaced',
+            message: `type '${prepared.invalidType}' must be premium or raw; the source's type '${prepared.type}' was used`
+        });
+    }
+    
+    // **NEW: Fraud checks** - blocked leads are only logged, quarantined leads are stored for review
+    const fraud = await leadFraud.checkLead(source, prepared, { requestIp });
+    prepared.fraud = fraud;
+    if (fraud.action === 'block') {
+        await leadFraud.recordCheck(pool, source, fraud);
+        return { outcome: 'blocked', reason: 'fraud_suspected', fraud };
+    }
+    const quarantined = fraud.action === 'quarantine';
+    
+    const client = await pool.connect();
+    let leadId;
+    let duplicate = null;
+    let dedupePolicy = null;
+    let parked = false;
+    
+    try {
+        await client.query('BEGIN');
+        await leadDeduplication.lockDedupeKeys(client, dedupeKeys);
+        
+        const dedupeSettings = await leadDeduplication.getDedupeSettings(client, { sourceId: source.id, niche });
+        duplicate = await leadDeduplication.findDuplicate(client, dedupeKeys, dedupeSettings, niche);
+        dedupePolicy = dedupeSettings.policy;
+        
+        if (duplicate && dedupePolicy !== 'flag') {
+            if (dedupePolicy === 'merge') {
+                await leadDeduplication.mergeIntoLead(client, duplicate.leadId, enrichedData, dedupeKeys, {
+                    source: source.name,
+                    original: leadData
+                });
+            }
+            await leadDeduplication.recordDuplicate(client, {
+                duplicateOf: duplicate.leadId,
+                source: source.name,
+                matchKey: duplicate.matchKey,
+                policy: dedupePolicy,
+                payload: leadData
+            });
+            await leadFraud.recordCheck(client, source, fraud);
+            if (idempotencyKey && dedupePolicy === 'merge') {
+                await idempotency.attachLead(client, source, idempotencyKey, duplicate.leadId);
+            }
+            await client.query('COMMIT');
+            
+            return dedupePolicy === 'merge'
+                ? { outcome: 'merged', leadId: duplicate.leadId, duplicate }
+                : { outcome: 'rejected', reason: 'duplicate', duplicate };
+        }
+        
+        // **NEW: Intake caps** - over the cap a lead is refused, or parked as held when the source parks
+        const cap = await sourceCommercials.checkIntakeCap(client, source);
+        if (cap && cap.action === 'reject') {
+            await leadFraud.recordCheck(client, source, fraud);
+            await client.query('COMMIT');
+            return { outcome: 'capped', reason: cap.reason, cap };
+        }
+        parked = !!cap && !quarantined;
+        
+        let holdReason = null;
+        if (quarantined) {
+            holdReason = `Fraud score ${fraud.score}: ${leadFraud.summarizeReasons(fraud.reasons)}`;
+        } else if (parked) {
+            holdReason = sourceCommercials.describeCap(cap);
+        }
+        
+        leadId = await insertLead(client, source, leadData, prepared, {
+            duplicate,
+            status: quarantined ? 'quarantined' : (parked ? 'held' : 'pending'),
+            holdReason
+        });
+        await leadFraud.recordCheck(client, source, fraud, leadId);
+        if (idempotencyKey) {
+            await idempotency.attachLead(client, source, idempotencyKey, leadId);
+        }
+        
+        if (duplicate) {
+            await leadDeduplication.recordDuplicate(client, {
+                leadId,
+                duplicateOf: duplicate.leadId,
+                source: source.name,
+                matchKey: duplicate.matchKey,
+                policy: dedupePolicy,
+                payload: leadData
+            });
+        }
+        
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    
+    // Quarantined and parked leads are neither emailed nor distributed until released from review
+    if (quarantined || parked) {
+        return { outcome: 'created', leadId, duplicate, qualityScore, quarantined, parked, warnings };
+    }
+    
+    // **NEW: Schedule promotional email for 30 minutes after lead arrival**
+    setImmediate(() => {
+        // Create lead object for email scheduling
+        const leadForEmail = {
+            id: leadId,
+            email: enrichedData.email,
+            first_name: enrichedData.first_name,
+            last_name: enrichedData.last_name,
+            country,
+            niche
+        };
+        
+        // Schedule promotional email if email is present
+        schedulePromotionalEmail(leadForEmail).catch(error => {
+            console.error(`Email scheduling failed for lead ${leadId}:`, error);
+        });
+    });
+    
+    // Trigger distribution asynchronously
+    setImmediate(() => {
+        distributeLead(leadId).catch(error => {
+            console.error(`Distribution failed for lead ${leadId}:`, error);
+        });
+    });
+    
+    return { outcome: 'created', leadId, duplicate, qualityScore, quarantined: false, parked: false, warnings };
+}
+
+/**
+ * Take in a batch of lead payloads one at a time, so a bad item does not fail the others.
+ * Returns one result per item, in order.
+ */
+async function ingestBatch(source, items, context = {}) {
+    const results = [];
+
+    for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            results.push({ index, rejected: true, reason: 'invalid_item' });
+            continue;
+        }
+
+        try {
+            const result = await ingestLead(source, item, context);
+            const itemResult = {
+                index,
+                lead_id: result.leadId || null,
+                duplicate: !!result.duplicate,
+                duplicate_of: result.duplicate ? result.duplicate.leadId : null,
+                rejected: ['rejected', 'invalid', 'blocked', 'capped'].includes(result.outcome),
+                reason: result.reason || (result.outcome === 'merged' ? 'merged' : null),
+                quarantined: !!result.quarantined,
+                parked: !!result.parked
+            };
+            if (result.errors) itemResult.errors = result.errors;
+            if (result.warnings && result.warnings.length > 0) itemResult.warnings = result.warnings;
+            results.push(itemResult);
+        } catch (error) {
+            console.error(`Batch item ${index} from source ${source.name} failed:`, error);
+            results.push({ index, rejected: true, reason: 'processing_error' });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    MAX_BATCH_BYTES,
+    prepareLead,
+    insertLead,
+    ingestLead,
+    ingestBatch
+};
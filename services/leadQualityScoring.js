@@ -1,4 +1,6 @@
 const { pool } = require('../config/db');
+const phoneNumbers = require('./phoneNumbers');
+const disposableEmailDomains = require('./disposableEmailDomains');
 
 /**
  * Lead Quality Scoring System
@@ -73,7 +75,7 @@ class LeadQualityScoring {
             first_name: { points: 15, validator: val => val && val.length >= 2 },
             last_name: { points: 15, validator: val => val && val.length >= 2 },
             email: { points: 15, validator: val => val && this.isValidEmail(val) },
-            phone: { points: 15, validator: val => val && this.isValidPhone(val) }
+            phone: { points: 15, validator: val => val && this.isValidPhone(val, data.country) }
         };
 
         Object.entries(essentialFields).forEach(([field, config]) => {
@@ -122,7 +124,7 @@ class LeadQualityScoring {
 
         // Phone validation (25 points) 
         if (data.phone) {
-            if (!this.isValidPhone(data.phone)) {
+            if (!this.isValidPhone(data.phone, data.country)) {
                 penalties += 25;
             } else if (!this.isInternationalPhone(data.phone)) {
                 penalties += 5; // Local format slight penalty
@@ -363,10 +365,10 @@ class LeadQualityScoring {
         return emailRegex.test(email) && !email.includes('..') && email.length <= 254;
     }
 
-    isValidPhone(phone) {
-        // Remove all non-digits and check length
-        const cleaned = phone.replace(/\D/g, '');
-        return cleaned.length >= 7 && cleaned.length <= 15;
+    isValidPhone(phone, country) {
+        // A number in an assigned range of its country; national numbers are read in the lead's country
+        const parsed = phoneNumbers.parsePhone(phone, country);
+        return !!parsed && parsed.valid;
     }
 
     isInternationalPhone(phone) {
@@ -374,12 +376,8 @@ class LeadQualityScoring {
     }
 
     isDisposableEmail(email) {
-        const disposableDomains = [
-            '10minutemail.com', 'guerrillamail.com', 'mailinator.com',
-            'tempmail.org', 'yopmail.com', 'throwaway.email'
-        ];
-        const domain = email.split('@')[1]?.toLowerCase();
-        return disposableDomains.includes(domain);
+        // Managed list, edited on the fraud review page
+        return disposableEmailDomains.isDisposableEmail(email);
     }
 
     containsNumbers(str) {
@@ -0,0 +1,399 @@
+const { pool } = require('../config/db');
+const { logger } = require('../utils/logger');
+const { createAssignment, updateAssignmentStatus } = require('./leadAssignments');
+
+/**
+ * Lead Recycling
+ * Resells aged failed or unconverted leads, typed as "aged", to partners that opted in to aged inventory.
+ * A lead is never offered to a partner that already had it.
+ */
+
+// Lead statuses a recycling rule may pick up
+const RECYCLABLE_STATUSES = {
+    failed: 'Failed (never placed)',
+    distributed: 'Distributed but not converted'
+};
+
+// A lead is resold at most once per cooldown, however many rules match it
+const RESALE_COOLDOWN_HOURS = 24;
+const BATCH_SIZE = 100;
+
+let recyclingInProgress = false;
+
+/**
+ * Next aged-inventory partner for a lead, skipping every partner that was ever offered it
+ */
+async function findAgedPartner(client, lead) {
+    const result = await client.query(`
+        SELECT p.*, COALESCE(ds.aged_leads, 0) as todays_aged
+        FROM partners p
+        LEFT JOIN distribution_stats ds ON p.id = ds.partner_id AND ds.date = CURRENT_DATE
+        WHERE p.status = 'active'
+            AND p.accepts_aged_leads = true
+            AND p.country = $1
+            AND p.niche = $2
+            AND (p.aged_daily_limit IS NULL OR COALESCE(ds.aged_leads, 0) < p.aged_daily_limit)
+            AND p.id IS DISTINCT FROM $4
+            AND p.id NOT IN (
+                SELECT partner_id FROM webhook_deliveries WHERE lead_id = $3 AND partner_id IS NOT NULL
+                UNION
+                SELECT partner_id FROM lead_distribution_attempts WHERE lead_id = $3
+                UNION
+                SELECT partner_id FROM lead_resales WHERE lead_id = $3
+                UNION
+                SELECT partner_id FROM lead_assignments WHERE lead_id = $3
+            )
+        ORDER BY COALESCE(ds.aged_leads, 0) ASC, RANDOM()
+        LIMIT 1
+        FOR UPDATE OF p
+    `, [lead.country, lead.niche, lead.id, lead.assigned_partner_id]);
+
+    return result.rows[0] || null;
+}
+
+async function recordAgedStats(db, partnerId) {
+    await db.query(`
+        INSERT INTO distribution_stats (partner_id, date, aged_leads)
+        VALUES ($1, CURRENT_DATE, 1)
+        ON CONFLICT (partner_id, date)
+        DO UPDATE SET aged_leads = COALESCE(distribution_stats.aged_leads, 0) + 1
+    `, [partnerId]);
+}
+
+/**
+ * Resell one lead under a rule. Returns the resale row, or null if the lead is no longer eligible
+ * or no aged-inventory partner is left for it.
+ */
+async function resellLead(leadId, rule) {
+    const client = await pool.connect();
+    let lead;
+    let partner;
+    let resale;
+
+    try {
+        await client.query('BEGIN');
+
+        const leadResult = await client.query(`
+            SELECT * FROM leads
+            WHERE id = $1
+                AND status = ANY($2::text[])
+                AND COALESCE(resale_count, 0) < $3
+                AND (last_recycled_at IS NULL OR last_recycled_at <= CURRENT_TIMESTAMP - make_interval(hours => $4::integer))
+            FOR UPDATE SKIP LOCKED
+        `, [leadId, rule.statuses, rule.max_resales, RESALE_COOLDOWN_HOURS]);
+        lead = leadResult.rows[0];
+
+        if (!lead) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        partner = await findAgedPartner(client, lead);
+        if (!partner) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const resaleResult = await client.query(`
+            INSERT INTO lead_resales (lead_id, partner_id, rule_id)
+            VALUES ($1, $2, $3)
+            RETURNING *
+        `, [lead.id, partner.id, rule.id]);
+        resale = resaleResult.rows[0];
+
+        await createAssignment(client, { leadId: lead.id, partnerId: partner.id, saleMode: 'aged' });
+
+        await client.query(`
+            UPDATE leads
+            SET resale_count = COALESCE(resale_count, 0) + 1, last_recycled_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [lead.id]);
+
+        await recordAgedStats(client, partner.id);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await queueResaleDelivery(lead, partner, resale);
+    return resale;
+}
+
+async function queueResaleDelivery(lead, partner, resale) {
+    if (!partner.webhook_url || partner.webhook_url.trim() === '') {
+        await markResaleOutcome(resale.id, 'failed', 'Partner has no webhook URL configured');
+        return;
+    }
+
+    try {
+        const queuedWebhook = require('./queuedWebhook');
+        const { createPayloadForPartner } = require('./webhook');
+        const payload = await createPayloadForPartner({ ...lead, type: 'aged', sale_mode: 'aged' }, partner);
+
+        await queuedWebhook.enqueueWebhook({
+            leadId: lead.id,
+            partnerId: partner.id,
+            resaleId: resale.id,
+            webhookUrl: partner.webhook_url.trim(),
+            payload,
+            authConfig: partner.auth_config ? {
+                type: partner.auth_type,
+                config: partner.auth_config
+            } : { type: 'none' },
+            contentType: partner.content_type || 'application/json'
+        });
+    } catch (error) {
+        logger.error('Failed to queue aged lead delivery', {
+            component: 'lead-recycling',
+            leadId: lead.id,
+            partnerId: partner.id,
+            error: error.message
+        });
+        await markResaleOutcome(resale.id, 'failed', error.message);
+    }
+}
+
+/**
+ * Record the delivery outcome of a resale (called by the webhook queue).
+ * A failed or rejected resale is taken back out of the stats and frees the lead for the next run.
+ */
+async function markResaleOutcome(resaleId, status, reason = null) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE lead_resales
+            SET status = $1, reason = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3 AND status = 'assigned'
+            RETURNING *
+        `, [status, reason, resaleId]);
+        const resale = result.rows[0];
+
+        if (resale) {
+            await updateAssignmentStatus(client, resale.lead_id, resale.partner_id, status, reason);
+        }
+
+        if (resale && status !== 'delivered') {
+            await client.query(`
+                UPDATE leads
+                SET resale_count = GREATEST(COALESCE(resale_count, 0) - 1, 0), last_recycled_at = NULL
+                WHERE id = $1
+            `, [resale.lead_id]);
+
+            await client.query(`
+                UPDATE distribution_stats
+                SET aged_leads = GREATEST(COALESCE(aged_leads, 0) - 1, 0)
+                WHERE partner_id = $1 AND date = $2::date
+            `, [resale.partner_id, resale.created_at]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Run one recycling rule over its oldest matching leads
+ */
+async function runRecyclingRule(rule) {
+    const candidates = await pool.query(`
+        SELECT id FROM leads
+        WHERE status = ANY($1::text[])
+            AND created_at <= CURRENT_TIMESTAMP - make_interval(days => $2::integer)
+            AND ($3::integer IS NULL OR created_at >= CURRENT_TIMESTAMP - make_interval(days => $3::integer))
+            AND ($4::text IS NULL OR country = $4)
+            AND ($5::text IS NULL OR niche = $5)
+            AND COALESCE(resale_count, 0) < $6
+            AND (last_recycled_at IS NULL OR last_recycled_at <= CURRENT_TIMESTAMP - make_interval(hours => $7::integer))
+            AND COALESCE(is_duplicate, false) = false
+        ORDER BY created_at ASC
+        LIMIT $8
+    `, [rule.statuses, rule.min_age_days, rule.max_age_days, rule.country, rule.niche, rule.max_resales, RESALE_COOLDOWN_HOURS, BATCH_SIZE]);
+
+    let resold = 0;
+    for (const candidate of candidates.rows) {
+        try {
+            if (await resellLead(candidate.id, rule)) resold++;
+        } catch (error) {
+            logger.error('Lead resale failed', {
+                component: 'lead-recycling',
+                leadId: candidate.id,
+                ruleId: rule.id,
+                error: error.message
+            });
+        }
+    }
+
+    await pool.query('UPDATE recycling_rules SET last_run_at = CURRENT_TIMESTAMP WHERE id = $1', [rule.id]);
+    return { ruleId: rule.id, candidates: candidates.rows.length, resold };
+}
+
+/**
+ * Scheduler entry point - run every active recycling rule
+ */
+async function recycleLeads() {
+    if (recyclingInProgress) {
+        return { skipped: true };
+    }
+
+    recyclingInProgress = true;
+    try {
+        const rules = await pool.query('SELECT * FROM recycling_rules WHERE is_active = true ORDER BY id');
+        const results = [];
+        for (const rule of rules.rows) {
+            results.push(await runRecyclingRule(rule));
+        }
+
+        const resold = results.reduce((sum, r) => sum + r.resold, 0);
+        if (resold > 0) {
+            logger.info('Lead recycling completed', { component: 'lead-recycling', resold, rules: results.length });
+        }
+        return { skipped: false, resold, results };
+    } finally {
+        recyclingInProgress = false;
+    }
+}
+
+/**
+ * Validate a recycling rule submitted from the admin UI. Throws on invalid input.
+ */
+function parseRecyclingRule(body) {
+    const name = (body.name || '').trim();
+    if (!name) {
+        throw new Error('Rule name is required');
+    }
+
+    const statuses = (Array.isArray(body.statuses) ? body.statuses : [body.statuses])
+        .filter(status => RECYCLABLE_STATUSES[status]);
+    if (statuses.length === 0) {
+        throw new Error('Select at least one lead status');
+    }
+
+    const minAgeDays = parseInt(body.min_age_days);
+    if (isNaN(minAgeDays) || minAgeDays < 1) {
+        throw new Error('Minimum age must be at least 1 day');
+    }
+
+    const maxAgeDays = body.max_age_days === '' || body.max_age_days === undefined || body.max_age_days === null
+        ? null
+        : parseInt(body.max_age_days);
+    if (maxAgeDays !== null && (isNaN(maxAgeDays) || maxAgeDays <= minAgeDays)) {
+        throw new Error('Maximum age must be greater than the minimum age');
+    }
+
+    const maxResales = parseInt(body.max_resales);
+    if (isNaN(maxResales) || maxResales < 1 || maxResales > 20) {
+        throw new Error('Maximum resales must be between 1 and 20');
+    }
+
+    return {
+        name,
+        statuses,
+        country: body.country || null,
+        niche: body.niche || null,
+        min_age_days: minAgeDays,
+        max_age_days: maxAgeDays,
+        max_resales: maxResales
+    };
+}
+
+async function createRecyclingRule(rule) {
+    const result = await pool.query(`
+        INSERT INTO recycling_rules (name, statuses, country, niche, min_age_days, max_age_days, max_resales)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [rule.name, rule.statuses, rule.country, rule.niche, rule.min_age_days, rule.max_age_days, rule.max_resales]);
+    return result.rows[0];
+}
+
+async function toggleRecyclingRule(id) {
+    const result = await pool.query(`
+        UPDATE recycling_rules
+        SET is_active = NOT is_active, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [id]);
+    return result.rows[0] || null;
+}
+
+async function deleteRecyclingRule(id) {
+    const result = await pool.query('DELETE FROM recycling_rules WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+}
+
+async function listRecyclingRules() {
+    const result = await pool.query(`
+        SELECT rr.*, COUNT(lr.id) as total_resales
+        FROM recycling_rules rr
+        LEFT JOIN lead_resales lr ON lr.rule_id = rr.id
+        GROUP BY rr.id
+        ORDER BY rr.created_at DESC
+    `);
+    return result.rows;
+}
+
+async function getRecentResales(limit = 100) {
+    const result = await pool.query(`
+        SELECT lr.*, p.name as partner_name, rr.name as rule_name,
+               l.first_name, l.last_name, l.country, l.niche, l.status as lead_status, l.created_at as lead_created_at
+        FROM lead_resales lr
+        JOIN leads l ON l.id = lr.lead_id
+        JOIN partners p ON p.id = lr.partner_id
+        LEFT JOIN recycling_rules rr ON rr.id = lr.rule_id
+        ORDER BY lr.created_at DESC
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+/**
+ * Resales per partner for the analytics dashboard
+ */
+async function getResaleReport(startDate, endDate) {
+    const result = await pool.query(`
+        SELECT p.id, p.name, p.country, p.niche,
+               COUNT(lr.id) as resales,
+               COUNT(lr.id) FILTER (WHERE lr.status = 'delivered') as delivered,
+               COUNT(lr.id) FILTER (WHERE lr.status IN ('rejected', 'failed')) as failed
+        FROM lead_resales lr
+        JOIN partners p ON p.id = lr.partner_id
+        WHERE lr.created_at >= $1 AND lr.created_at <= $2
+        GROUP BY p.id
+        ORDER BY resales DESC
+    `, [startDate, endDate + ' 23:59:59']);
+    return result.rows;
+}
+
+async function getLeadResales(leadId) {
+    const result = await pool.query(`
+        SELECT lr.*, p.name as partner_name, rr.name as rule_name
+        FROM lead_resales lr
+        JOIN partners p ON p.id = lr.partner_id
+        LEFT JOIN recycling_rules rr ON rr.id = lr.rule_id
+        WHERE lr.lead_id = $1
+        ORDER BY lr.created_at
+    `, [leadId]);
+    return result.rows;
+}
+
+module.exports = {
+    RECYCLABLE_STATUSES,
+    recycleLeads,
+    markResaleOutcome,
+    parseRecyclingRule,
+    createRecyclingRule,
+    toggleRecyclingRule,
+    deleteRecyclingRule,
+    listRecyclingRules,
+    getRecentResales,
+    getResaleReport,
+    getLeadResales
+};
@@ -0,0 +1,214 @@
+const { pool } = require('../config/db');
+const alertSystem = require('./alertSystem');
+const leadQualityScoring = require('./leadQualityScoring');
+const { CANONICAL_FIELDS } = require('./inboundMapping');
+
+/**
+ * Inbound Lead Validation
+ * Per-source rules checked after a lead is mapped, enriched and scored. A lead that breaks any rule
+ * is refused with every field error at once, and the refusal is logged in lead_rejections so rejection
+ * rates per source can be alerted on. Sources without rules accept any payload, as before.
+ *
+ * Rules are { required_fields, email_format, phone_format, allowed_countries, allowed_niches,
+ * min_quality_score, reject_invalid_type }; every rule is optional. Saved rules always carry
+ * reject_invalid_type; rules stored without it refuse an invalid lead type.
+ */
+
+const NICHES = ['forex', 'recovery'];
+
+const ALERT_WINDOW_MINUTES = 60;
+const ALERT_REJECTION_PERCENT = parseFloat(process.env.LEAD_REJECTION_ALERT_PERCENT) || 25;
+const ALERT_MIN_VOLUME = parseInt(process.env.LEAD_REJECTION_ALERT_MIN_VOLUME) || 20;
+
+function getSourceRules(source) {
+    if (!source.validation_rules) return null;
+    return typeof source.validation_rules === 'string' ? JSON.parse(source.validation_rules) : source.validation_rules;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function fieldError(field, code, message) {
+    return { field, code, message };
+}
+
+/**
+ * Check a prepared lead against a source's rules. Returns a list of { field, code, message }, empty when valid.
+ * Required fields are checked on what the supplier sent (required consent fields must also be usable);
+ * the rest on the enriched and resolved lead.
+ */
+function validateLead(rules, normalizedData, prepared) {
+    if (!rules) return [];
+
+    const errors = [];
+    const { enrichedData, country, niche, qualityScore } = prepared;
+
+    for (const field of rules.required_fields || []) {
+        if (isEmpty(normalizedData[field])) {
+            errors.push(fieldError(field, 'required', `${field} is required`));
+        } else if ((prepared.invalidConsentFields || []).includes(field)) {
+            errors.push(fieldError(field, 'invalid_format', `${field} has an invalid format`));
+        }
+    }
+
+    if (rules.email_format && !isEmpty(enrichedData.email) && !leadQualityScoring.isValidEmail(String(enrichedData.email))) {
+        errors.push(fieldError('email', 'invalid_format', 'email is not a valid email address'));
+    }
+    if (rules.phone_format && !isEmpty(enrichedData.phone) && prepared.phone && !prepared.phone.valid) {
+        errors.push(fieldError('phone', 'invalid_format', prepared.phone.possible
+            ? 'phone is not a number in use in its country'
+            : 'phone is not a possible phone number'));
+    }
+
+    const allowedCountries = rules.allowed_countries || [];
+    if (allowedCountries.length > 0 && !allowedCountries.includes(String(country).toLowerCase())) {
+        errors.push(fieldError('country', 'not_allowed', `country '${country}' is not accepted by this source`));
+    }
+    const allowedNiches = rules.allowed_niches || [];
+    if (allowedNiches.length > 0 && !allowedNiches.includes(niche)) {
+        errors.push(fieldError('niche', 'not_allowed', `niche '${niche}' is not accepted by this source`));
+    }
+
+    if (rules.reject_invalid_type !== false && prepared.invalidType !== null && prepared.invalidType !== undefined) {
+        errors.push(fieldError('type', 'invalid_value', `type '${prepared.invalidType}' must be premium or raw`));
+    }
+
+    if (rules.min_quality_score && qualityScore.totalScore < rules.min_quality_score) {
+        errors.push(fieldError('quality_score', 'below_minimum',
+            `quality score ${qualityScore.totalScore} is below the minimum of ${rules.min_quality_score}`));
+    }
+
+    return errors;
+}
+
+async function recordRejection(source, errors, payload) {
+    await pool.query(`
+        INSERT INTO lead_rejections (source_id, source_name, reason, errors, payload)
+        VALUES ($1, $2, 'validation', $3, $4)
+    `, [source.id, source.name, JSON.stringify(errors), JSON.stringify(payload)]);
+}
+
+async function getRecentLeadRejections(limit = 50) {
+    const result = await pool.query(`
+        SELECT id, source_name, reason, errors, created_at
+        FROM lead_rejections
+        ORDER BY created_at DESC
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+/**
+ * Alert on sources whose share of rejected leads in the last hour is over the threshold.
+ * A source is alerted at most once an hour while its alert is unresolved.
+ */
+async function checkRejectionRates() {
+    const result = await pool.query(`
+        WITH rejected AS (
+            SELECT source_name, COUNT(*) AS rejected
+            FROM lead_rejections
+            WHERE created_at > NOW() - make_interval(mins => $1::integer) AND source_name IS NOT NULL
+            GROUP BY source_name
+        ), accepted AS (
+            SELECT source, COUNT(*) AS accepted
+            FROM leads
+            WHERE created_at > NOW() - make_interval(mins => $1::integer)
+            GROUP BY source
+        )
+        SELECT r.source_name, r.rejected::int, COALESCE(a.accepted, 0)::int AS accepted
+        FROM rejected r
+        LEFT JOIN accepted a ON a.source = r.source_name
+        WHERE NOT EXISTS (
+            SELECT 1 FROM system_alerts sa
+            WHERE sa.type = 'HIGH_LEAD_REJECTION' AND sa.resolved = false
+              AND sa.data->>'source' = r.source_name
+              AND sa.created_at > NOW() - make_interval(mins => $1::integer)
+        )
+    `, [ALERT_WINDOW_MINUTES]);
+
+    let alerted = 0;
+    for (const row of result.rows) {
+        const total = row.rejected + row.accepted;
+        if (total < ALERT_MIN_VOLUME) continue;
+
+        const rate = Math.round((row.rejected / total) * 1000) / 10;
+        if (rate >= ALERT_REJECTION_PERCENT) {
+            await alertSystem.alertHighLeadRejection(row.source_name, rate);
+            alerted++;
+        }
+    }
+
+    return { alerted };
+}
+
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]+/);
+    return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validate rules submitted from the webhooks page. Throws on invalid input.
+ * Returns null when no rule is set, so the source accepts any payload.
+ */
+function parseValidationRules(body) {
+    const requiredFields = Array.isArray(body.required_fields) ? body.required_fields : [];
+    const unknownField = requiredFields.find(field => !CANONICAL_FIELDS.includes(field));
+    if (unknownField) {
+        throw new Error(`Unknown lead field '${unknownField}'`);
+    }
+
+    const allowedCountries = parseList(body.allowed_countries);
+    if (allowedCountries.some(country => country.length > 50)) {
+        throw new Error('Country names must be at most 50 characters');
+    }
+
+    const allowedNiches = parseList(body.allowed_niches);
+    const unknownNiche = allowedNiches.find(niche => !NICHES.includes(niche));
+    if (unknownNiche) {
+        throw new Error(`Unknown niche '${unknownNiche}'`);
+    }
+
+    let minQualityScore = null;
+    if (body.min_quality_score !== undefined && body.min_quality_score !== null && body.min_quality_score !== '') {
+        minQualityScore = parseInt(body.min_quality_score);
+        if (isNaN(minQualityScore) || minQualityScore < 0 || minQualityScore > 100) {
+            throw new Error('Minimum quality score must be between 0 and 100');
+        }
+    }
+
+    const rules = {
+        required_fields: [...new Set(requiredFields)],
+        email_format: body.email_format === true || body.email_format === 'true',
+        phone_format: body.phone_format === true || body.phone_format === 'true',
+        allowed_countries: allowedCountries,
+        allowed_niches: allowedNiches,
+        min_quality_score: minQualityScore,
+        reject_invalid_type: body.reject_invalid_type === true || body.reject_invalid_type === 'true'
+    };
+
+    const hasRule = rules.required_fields.length > 0 || rules.email_format || rules.phone_format ||
+        rules.allowed_countries.length > 0 || rules.allowed_niches.length > 0 ||
+        rules.min_quality_score !== null || rules.reject_invalid_type;
+
+    return hasRule ? rules : null;
+}
+
+async function saveValidationRules(sourceId, rules) {
+    const result = await pool.query(
+        'UPDATE webhook_sources SET validation_rules = $1 WHERE id = $2 RETURNING id',
+        [rules ? JSON.stringify(rules) : null, sourceId]
+    );
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    NICHES,
+    getSourceRules,
+    validateLead,
+    recordRejection,
+    getRecentLeadRejections,
+    checkRejectionRates,
+    parseValidationRules,
+    saveValidationRules
+};
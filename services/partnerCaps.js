@@ -0,0 +1,219 @@
+const { pool } = require('../config/db');
+const businessHoursIntelligence = require('./businessHoursIntelligence');
+
+/**
+ * Partner Caps
+ * Daily premium/raw capacity derived from daily_limit, premium_ratio and the optional per-type caps,
+ * plus hourly/weekly/monthly volume caps and pacing of the daily limit across business hours
+ */
+
+const PERIOD_CAPS = [
+    { key: 'hourly', column: 'hourly_limit', label: 'This hour', reason: 'hourly_cap' },
+    { key: 'daily', column: 'daily_limit', label: 'Today', reason: null },
+    { key: 'weekly', column: 'weekly_limit', label: 'This week', reason: 'weekly_cap' },
+    { key: 'monthly', column: 'monthly_limit', label: 'This month', reason: 'monthly_cap' }
+];
+
+function toLimit(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseInt(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Capacity for one lead type. `binding` tells which limit runs out first:
+ * 'type_cap' for premium_daily_limit/raw_daily_limit, 'premium_ratio' for the ratio split.
+ */
+function buildTypeCapacity(used, ratioLimit, typeCap) {
+    const limit = typeCap === null ? ratioLimit : Math.min(ratioLimit, typeCap);
+    return {
+        used,
+        limit,
+        remaining: Math.max(limit - used, 0),
+        binding: typeCap !== null && typeCap <= ratioLimit ? 'type_cap' : 'premium_ratio'
+    };
+}
+
+/**
+ * Today's premium and raw capacity for a partner row carrying todays_premium/todays_raw
+ */
+function getTypeCapacity(partner) {
+    const dailyLimit = toLimit(partner.daily_limit) || 0;
+    const ratio = partner.premium_ratio === null || partner.premium_ratio === undefined
+        ? null
+        : Math.max(0, Math.min(1, parseFloat(partner.premium_ratio)));
+
+    // The ratio splits the daily limit into premium and raw slots (70% of 50 = 35 premium / 15 raw)
+    const premiumSlots = ratio === null ? dailyLimit : Math.round(dailyLimit * ratio);
+    const rawSlots = ratio === null ? dailyLimit : dailyLimit - premiumSlots;
+
+    return {
+        premium: buildTypeCapacity(parseInt(partner.todays_premium) || 0, premiumSlots, toLimit(partner.premium_daily_limit)),
+        raw: buildTypeCapacity(parseInt(partner.todays_raw) || 0, rawSlots, toLimit(partner.raw_daily_limit))
+    };
+}
+
+/**
+ * Check whether a partner can take another lead of the given type today
+ */
+function checkTypeCapacity(partner, leadType) {
+    const capacity = getTypeCapacity(partner)[leadType === 'premium' ? 'premium' : 'raw'];
+    if (capacity.remaining > 0) {
+        return { allowed: true, reason: null, capacity };
+    }
+    return { allowed: false, reason: capacity.binding, capacity };
+}
+
+/**
+ * Leads assigned to each partner in the current hour, day, week (Monday start) and month
+ */
+async function loadPeriodUsage(db, partnerIds) {
+    const usage = new Map(partnerIds.map(id => [id, { hourly: 0, daily: 0, weekly: 0, monthly: 0 }]));
+    if (partnerIds.length === 0) return usage;
+
+    const [hourly, periods] = await Promise.all([
+        db.query(`
+            SELECT partner_id, leads_received
+            FROM distribution_stats_hourly
+            WHERE partner_id = ANY($1::int[])
+                AND hour_start = date_trunc('hour', CURRENT_TIMESTAMP)
+        `, [partnerIds]),
+        db.query(`
+            SELECT partner_id,
+                   COALESCE(SUM(leads_received) FILTER (WHERE date = CURRENT_DATE), 0) as daily,
+                   COALESCE(SUM(leads_received) FILTER (WHERE date >= date_trunc('week', CURRENT_DATE)), 0) as weekly,
+                   COALESCE(SUM(leads_received), 0) as monthly
+            FROM distribution_stats
+            WHERE partner_id = ANY($1::int[])
+                AND date >= date_trunc('month', CURRENT_DATE)
+            GROUP BY partner_id
+        `, [partnerIds])
+    ]);
+
+    for (const row of hourly.rows) {
+        usage.get(row.partner_id).hourly = parseInt(row.leads_received) || 0;
+    }
+    for (const row of periods.rows) {
+        Object.assign(usage.get(row.partner_id), {
+            daily: parseInt(row.daily),
+            weekly: parseInt(row.weekly),
+            monthly: parseInt(row.monthly)
+        });
+    }
+
+    return usage;
+}
+
+/**
+ * Share of the daily limit a paced partner may have used by now, or by `at` (1 when pacing is off)
+ */
+function getPacingProgress(partner, at = new Date()) {
+    if (!partner.pacing_enabled) return 1;
+    return businessHoursIntelligence.getBusinessDayProgress(
+        partner.timezone,
+        partner.business_hours_start,
+        partner.business_hours_end,
+        partner.weekends_enabled,
+        at
+    );
+}
+
+function getPacedAllowance(partner, at = new Date()) {
+    const dailyLimit = toLimit(partner.daily_limit) || 0;
+    return Math.ceil(dailyLimit * getPacingProgress(partner, at));
+}
+
+/**
+ * Consumption against every configured volume cap, including the paced allowance when pacing is on
+ */
+function getCapUsage(partner, usage) {
+    const periodUsage = usage || { hourly: 0, daily: 0, weekly: 0, monthly: 0 };
+
+    const caps = PERIOD_CAPS
+        .map(cap => {
+            const limit = toLimit(partner[cap.column]);
+            if (limit === null) return null;
+            const used = periodUsage[cap.key] || 0;
+            return { key: cap.key, label: cap.label, used, limit, remaining: Math.max(limit - used, 0) };
+        })
+        .filter(Boolean);
+
+    if (partner.pacing_enabled) {
+        const allowance = getPacedAllowance(partner);
+        caps.push({
+            key: 'pacing',
+            label: 'Paced allowance',
+            used: periodUsage.daily || 0,
+            limit: allowance,
+            remaining: Math.max(allowance - (periodUsage.daily || 0), 0)
+        });
+    }
+
+    return caps;
+}
+
+/**
+ * Check the hourly/weekly/monthly caps and, for paced partners, today's allowance so far.
+ * The daily limit itself is enforced by the partner query. options.ignorePacing skips the
+ * allowance check for partners that are only being scheduled for when they open; options.at
+ * checks pacing at another instant than now (simulations).
+ */
+function checkPeriodCaps(partner, usage, options = {}) {
+    const periodUsage = usage || { hourly: 0, daily: 0, weekly: 0, monthly: 0 };
+
+    for (const cap of PERIOD_CAPS) {
+        if (!cap.reason) continue;
+        const limit = toLimit(partner[cap.column]);
+        if (limit !== null && (periodUsage[cap.key] || 0) >= limit) {
+            return { allowed: false, reason: cap.reason };
+        }
+    }
+
+    if (partner.pacing_enabled && !options.ignorePacing && (periodUsage.daily || 0) >= getPacedAllowance(partner, options.at)) {
+        return { allowed: false, reason: 'pacing' };
+    }
+
+    return { allowed: true, reason: null };
+}
+
+/**
+ * Save a partner's per-type and period caps (null clears a cap), pacing, aged inventory, shared and low quality lead settings
+ */
+async function updatePartnerCaps(partnerId, caps) {
+    const result = await pool.query(`
+        UPDATE partners
+        SET premium_daily_limit = $1, raw_daily_limit = $2,
+            hourly_limit = $3, weekly_limit = $4, monthly_limit = $5,
+            pacing_enabled = $6, accepts_aged_leads = $7, aged_daily_limit = $8,
+            accepts_shared_leads = $9, shared_lead_price = $10, accepts_low_quality_leads = $11,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $12
+        RETURNING id
+    `, [
+        toLimit(caps.premium_daily_limit),
+        toLimit(caps.raw_daily_limit),
+        toLimit(caps.hourly_limit),
+        toLimit(caps.weekly_limit),
+        toLimit(caps.monthly_limit),
+        caps.pacing_enabled === true,
+        caps.accepts_aged_leads === true,
+        toLimit(caps.aged_daily_limit),
+        caps.accepts_shared_leads === true,
+        caps.shared_lead_price === undefined || caps.shared_lead_price === null || caps.shared_lead_price === ''
+            ? null : parseFloat(caps.shared_lead_price),
+        caps.accepts_low_quality_leads === true,
+        partnerId
+    ]);
+
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    PERIOD_CAPS,
+    getTypeCapacity,
+    checkTypeCapacity,
+    loadPeriodUsage,
+    getCapUsage,
+    checkPeriodCaps,
+    updatePartnerCaps
+};
@@ -109,9 +109,10 @@ class PartnerManager {
                     AVG(EXTRACT(EPOCH FROM (wd.delivered_at - wd.created_at))/60) as avg_delivery_time_minutes
                     
                 FROM leads l
-                LEFT JOIN conversions c ON l.id = c.lead_id AND l.assigned_partner_id = c.partner_id
-                LEFT JOIN webhook_deliveries wd ON l.id = wd.lead_id
-                WHERE l.assigned_partner_id = $1 
+                JOIN lead_assignments la ON la.lead_id = l.id AND la.partner_id = $1
+                LEFT JOIN conversions c ON l.id = c.lead_id AND la.partner_id = c.partner_id
+                LEFT JOIN webhook_deliveries wd ON l.id = wd.lead_id AND wd.partner_id = la.partner_id
+                WHERE la.sale_mode <> 'aged'
                   AND l.created_at > NOW() - INTERVAL '${this.thresholds.analysisWindow} days'
             `, [partner.id]);
 
@@ -281,9 +282,10 @@ The partner will be eligible for automatic review in ${this.thresholds.pauseDura
                     END as failure_rate
                     
                 FROM leads l
-                LEFT JOIN conversions c ON l.id = c.lead_id AND l.assigned_partner_id = c.partner_id
-                LEFT JOIN webhook_deliveries wd ON l.id = wd.lead_id
-                WHERE l.assigned_partner_id = $1 
+                JOIN lead_assignments la ON la.lead_id = l.id AND la.partner_id = $1
+                LEFT JOIN conversions c ON l.id = c.lead_id AND la.partner_id = c.partner_id
+                LEFT JOIN webhook_deliveries wd ON l.id = wd.lead_id AND wd.partner_id = la.partner_id
+                WHERE la.sale_mode <> 'aged'
                   AND l.created_at > NOW() - INTERVAL '3 days'
             `, [partner.id]);
             
@@ -0,0 +1,186 @@
+const { parsePhoneNumberFromString, getCountries, getCountryCallingCode } = require('libphonenumber-js/max');
+
+/**
+ * Phone Numbers
+ * Parsing, validation and formatting on libphonenumber's metadata for every country. Numbers are
+ * read with the lead's country as a hint for national formats, stored in E.164 and rendered in a
+ * partner's phone format from there.
+ *
+ * Leads name their country the way suppliers and partners do ("germany", "uk", "DE"), so hints
+ * are accepted as English country names, the names this platform uses, or ISO 3166 codes.
+ */
+
+// Line types reported by libphonenumber, in the words used on leads
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'landline_or_mobile',
+    VOIP: 'voip',
+    TOLL_FREE: 'toll_free',
+    PREMIUM_RATE: 'premium_rate',
+    SHARED_COST: 'shared_cost',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+// Country names used on this platform that differ from the English names
+const PLATFORM_COUNTRY_NAMES = {
+    GB: 'uk',
+    US: 'usa'
+};
+
+const COUNTRY_ALIASES = {
+    'uk': 'GB',
+    'great britain': 'GB',
+    'britain': 'GB',
+    'england': 'GB',
+    'scotland': 'GB',
+    'wales': 'GB',
+    'northern ireland': 'GB',
+    'usa': 'US',
+    'us': 'US',
+    'united states of america': 'US',
+    'america': 'US',
+    'holland': 'NL',
+    'czechia': 'CZ',
+    'czech republic': 'CZ'
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+const SUPPORTED_REGIONS = new Set(getCountries());
+
+const REGIONS_BY_NAME = { ...COUNTRY_ALIASES };
+for (const region of SUPPORTED_REGIONS) {
+    REGIONS_BY_NAME[regionNames.of(region).toLowerCase()] = region;
+}
+
+/**
+ * ISO 3166 code for a country hint, or undefined when it names no country with phone metadata
+ */
+function toRegion(country) {
+    if (!country) return undefined;
+    const text = String(country).trim();
+    const code = text.toUpperCase();
+    if (SUPPORTED_REGIONS.has(code)) return code;
+    return REGIONS_BY_NAME[text.toLowerCase()];
+}
+
+/**
+ * The platform's country name for an ISO code: "uk" and "usa" as used elsewhere, otherwise the English name
+ */
+function countryNameForRegion(region) {
+    if (!region) return null;
+    return PLATFORM_COUNTRY_NAMES[region] || regionNames.of(region).toLowerCase();
+}
+
+/**
+ * Calling code of a country hint ("49" for germany), or null for an unknown country
+ */
+function callingCodeForCountry(country) {
+    const region = toRegion(country);
+    return region ? getCountryCallingCode(region) : null;
+}
+
+function readNumber(text, region) {
+    const number = parsePhoneNumberFromString(text, region);
+    return number && number.isPossible() ? number : null;
+}
+
+/**
+ * Parse a phone number as written by a supplier. "00" international prefixes are read as "+",
+ * and a national number is read in the hinted country. Digits that start with the hinted
+ * country's calling code are taken as an international number missing its "+" when that
+ * reading is valid (491701234567 -> +491701234567).
+ *
+ * Returns null for an empty value, otherwise { e164, region, callingCode, nationalNumber,
+ * lineType, valid, possible }. An impossible number (wrong length for its country, or no
+ * country to read it in) has possible false and no e164; a possible number outside the
+ * ranges its country assigns has valid false. lineType is only known for valid numbers.
+ */
+function parsePhone(phone, country) {
+    if (phone === undefined || phone === null) return null;
+    let text = String(phone).trim();
+    if (!text) return null;
+
+    text = text.replace(/^00/, '+');
+    const region = toRegion(country);
+
+    let number = null;
+    if (text.startsWith('+')) {
+        number = readNumber(text, undefined);
+    } else if (region) {
+        const national = readNumber(text, region);
+        const digits = text.replace(/\D/g, '');
+        const international = national && digits.startsWith(national.countryCallingCode)
+            ? readNumber(`+${digits}`, undefined)
+            : null;
+        number = international && international.isValid() ? international : national;
+
+        if (!number || !number.isValid()) {
+            // An international number whose "+" was dropped, for any country
+            const fallback = readNumber(`+${digits}`, undefined);
+            if (fallback && fallback.isValid()) number = fallback;
+        }
+    } else {
+        number = readNumber(`+${text.replace(/\D/g, '')}`, undefined);
+        if (number && !number.isValid()) number = null;
+    }
+
+    if (!number) {
+        return { e164: null, region: region || null, callingCode: null, nationalNumber: null, lineType: null, valid: false, possible: false };
+    }
+
+    const valid = number.isValid();
+    const type = valid ? number.getType() : undefined;
+    return {
+        e164: number.number,
+        region: number.country || region || null,
+        callingCode: number.countryCallingCode,
+        nationalNumber: number.nationalNumber,
+        lineType: type ? (LINE_TYPES[type] || 'other') : null,
+        valid,
+        possible: true
+    };
+}
+
+/**
+ * E.164 form of a phone number, or null when it is impossible
+ */
+function toE164(phone, country) {
+    const parsed = parsePhone(phone, country);
+    return parsed ? parsed.e164 : null;
+}
+
+/**
+ * Render an E.164 number in a partner's phone format:
+ * with_plus +4930123456, no_plus 30123456 (national number without any prefix),
+ * country_code 004930123456, local_format 030123456 (national dialling form, with the trunk
+ * prefix where the country uses one). Returns null when the value is not an E.164 number.
+ */
+function formatForPartner(e164, format) {
+    const number = e164 ? parsePhoneNumberFromString(String(e164)) : null;
+    if (!number) return null;
+
+    switch (format) {
+        case 'no_plus':
+            return number.nationalNumber;
+        case 'country_code':
+            return `00${number.countryCallingCode}${number.nationalNumber}`;
+        case 'local_format':
+            return number.formatNational().replace(/\D/g, '');
+        default:
+            return number.number;
+    }
+}
+
+module.exports = {
+    LINE_TYPES,
+    toRegion,
+    countryNameForRegion,
+    callingCodeForCountry,
+    parsePhone,
+    toE164,
+    formatForPartner
+};
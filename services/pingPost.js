@@ -0,0 +1,483 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const { logger } = require('../utils/logger');
+
+/**
+ * Ping-Post Auction
+ * Pings eligible partners with an anonymised lead summary, collects bids,
+ * then posts the full lead to the highest bidder (falling back down the bid ladder)
+ */
+
+// An auction that has not renewed its lease for this long is taken over by the retry job
+const AUCTION_LEASE_SECONDS = parseInt(process.env.AUCTION_LEASE_SECONDS) || 300;
+
+function getLeadDataObject(lead) {
+    if (!lead.data) return {};
+    return typeof lead.data === 'string' ? JSON.parse(lead.data) : lead.data;
+}
+
+/**
+ * Whether a lead should go through the auction instead of direct distribution
+ */
+function shouldRunAuction(poolConfig, lead, partners) {
+    if (!poolConfig.auction_enabled) return false;
+    if (poolConfig.auction_premium_only !== false && lead.type !== 'premium') return false;
+    return partners.some(partner => partner.ping_url && partner.ping_url.trim() !== '');
+}
+
+/**
+ * Private addresses are only allowed for pings/posts when explicitly enabled outside production
+ * (used to point partners at scripts/mock-bidder.js during development)
+ */
+function allowsPrivateEndpoints() {
+    return process.env.NODE_ENV !== 'production' && process.env.PING_POST_ALLOW_PRIVATE_URLS === 'true';
+}
+
+async function validateAuctionUrl(url) {
+    if (allowsPrivateEndpoints()) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+    const queuedWebhook = require('./queuedWebhook');
+    return queuedWebhook.validateWebhookUrl(url);
+}
+
+/**
+ * Anonymised lead summary sent in the ping - no PII
+ */
+function buildPingPayload(lead, pingId) {
+    const data = getLeadDataObject(lead);
+    return {
+        ping_id: pingId,
+        country: lead.country,
+        niche: lead.niche,
+        type: lead.type,
+        source: lead.source,
+        quality_score: data.quality_score ?? null,
+        quality_tier: data.quality_tier ?? null,
+        created_at: lead.created_at
+    };
+}
+
+/**
+ * Read a bid amount from a partner ping response. Returns null for "no bid".
+ */
+function parseBid(responseData) {
+    if (!responseData || typeof responseData !== 'object') return null;
+    if (responseData.accept === false || responseData.accepted === false) return null;
+
+    const amount = parseFloat(responseData.bid ?? responseData.price ?? responseData.amount);
+    return isNaN(amount) || amount <= 0 ? null : amount;
+}
+
+async function pingPartner(partner, payload, timeoutMs) {
+    const startTime = Date.now();
+
+    if (!(await validateAuctionUrl(partner.ping_url))) {
+        return { partner, status: 'error', amount: null, responseTime: 0, error: 'Ping URL failed security validation' };
+    }
+
+    try {
+        const response = await axios({
+            method: 'POST',
+            url: partner.ping_url,
+            data: payload,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Lead-Distribution-Platform/1.0',
+                'X-Ping-Id': payload.ping_id
+            },
+            timeout: timeoutMs,
+            maxRedirects: 0
+        });
+
+        const amount = parseBid(response.data);
+        return {
+            partner,
+            status: amount === null ? 'no_bid' : 'bid',
+            amount,
+            responseTime: Date.now() - startTime,
+            error: null
+        };
+    } catch (error) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return {
+            partner,
+            status: timedOut ? 'timeout' : 'error',
+            amount: null,
+            responseTime: Date.now() - startTime,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * A post is rejected on non-2xx responses or an explicit rejection in the body
+ */
+function isPostAccepted(response) {
+    if (!response || response.status < 200 || response.status >= 300) return false;
+    return !require('./queuedWebhook').isPartnerRejection(response);
+}
+
+async function postLeadToBidder(lead, partner, bid, pingId) {
+    const { createPayloadForPartner } = require('./webhook');
+    const { generateAuth } = require('./universalAuth');
+
+    if (!partner.webhook_url || !(await validateAuctionUrl(partner.webhook_url))) {
+        return { accepted: false, error: 'Post URL failed security validation', payload: null, response: null };
+    }
+
+    const payload = {
+        ...(await createPayloadForPartner(lead, partner)),
+        ping_id: pingId,
+        bid_amount: bid.amount
+    };
+
+    let url = partner.webhook_url;
+    const headers = {
+        'Content-Type': partner.content_type || 'application/json',
+        'User-Agent': 'Lead-Distribution-Platform/1.0',
+        'Idempotency-Key': `lead-${lead.id}-partner-${partner.id}`,
+        'X-Ping-Id': pingId
+    };
+
+    if (partner.auth_type && partner.auth_type !== 'none') {
+        const authResult = generateAuth(partner.auth_type, partner.auth_config || {}, url);
+        if (!authResult.isValid) {
+            return { accepted: false, error: `Authentication failed: ${authResult.error}`, payload, response: null };
+        }
+        Object.assign(headers, authResult.headers);
+        url = authResult.url || url;
+    }
+
+    try {
+        const response = await axios({
+            method: 'POST',
+            url,
+            data: payload,
+            headers,
+            timeout: 15000,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+
+        return {
+            accepted: isPostAccepted(response),
+            error: isPostAccepted(response) ? null : `Post rejected with status ${response.status}`,
+            payload,
+            response
+        };
+    } catch (error) {
+        return { accepted: false, error: error.message, payload, response: null };
+    }
+}
+
+async function recordBid(leadId, pingId, result) {
+    const insert = await pool.query(`
+        INSERT INTO lead_bids (lead_id, partner_id, ping_id, status, bid_amount, response_time_ms, error_message)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+    `, [leadId, result.partner.id, pingId, result.status, result.amount, result.responseTime, result.error]);
+    return insert.rows[0].id;
+}
+
+async function updateBidStatus(bidId, status, errorMessage = null) {
+    await pool.query(`
+        UPDATE lead_bids
+        SET status = $1, error_message = COALESCE($2, error_message), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [status, errorMessage, bidId]);
+}
+
+/**
+ * Reserve the next hop for a post to the bidder, in a short transaction of its own.
+ * Renews the auction lease. Returns { lead, hop }, or leadGone / hopsExhausted.
+ */
+async function claimPost(leadId, bid, maxHops) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const leadResult = await client.query('SELECT * FROM leads WHERE id = $1 FOR UPDATE', [leadId]);
+        const lead = leadResult.rows[0];
+        if (!lead || lead.status !== 'auctioning') {
+            await client.query('ROLLBACK');
+            return { leadGone: true };
+        }
+
+        const attemptsResult = await client.query('SELECT COALESCE(MAX(hop), 0) as hop FROM lead_distribution_attempts WHERE lead_id = $1', [leadId]);
+        const hop = parseInt(attemptsResult.rows[0].hop) + 1;
+        if (hop > maxHops) {
+            await client.query('ROLLBACK');
+            return { hopsExhausted: true };
+        }
+
+        const { recordDistributionAttempt } = require('./distribution');
+        await recordDistributionAttempt(client, leadId, bid.partner.id, hop, 'assigned');
+        await client.query('UPDATE leads SET auction_started_at = CURRENT_TIMESTAMP WHERE id = $1', [leadId]);
+
+        await client.query('COMMIT');
+        return { lead, hop };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Record the outcome of a post claimed by claimPost, and assign the lead on acceptance.
+ * A lead whose auction lease was taken over while the post was in flight is not assigned again.
+ */
+async function recordPostOutcome(leadId, hop, bid, postResult, auctionLogger) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const leadResult = await client.query('SELECT * FROM leads WHERE id = $1 FOR UPDATE', [leadId]);
+        const lead = leadResult.rows[0];
+
+        await client.query(`
+            INSERT INTO webhook_deliveries (lead_id, partner_id, webhook_url, payload, response_code, response_body, status, delivered_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+        `, [
+            leadId,
+            bid.partner.id,
+            bid.partner.webhook_url || 'NO_WEBHOOK_URL',
+            JSON.stringify(postResult.payload || {}),
+            postResult.response ? postResult.response.status : null,
+            postResult.response ? JSON.stringify(postResult.response.data).substring(0, 1000) : postResult.error,
+            postResult.accepted ? 'success' : 'failed'
+        ]);
+
+        const updateAttempt = (status, reason = null) => client.query(`
+            UPDATE lead_distribution_attempts
+            SET status = $4, reason = $5, updated_at = CURRENT_TIMESTAMP
+            WHERE lead_id = $1 AND partner_id = $2 AND hop = $3
+        `, [leadId, bid.partner.id, hop, status, reason]);
+
+        if (!postResult.accepted) {
+            await updateAttempt('rejected', postResult.error);
+            await client.query('COMMIT');
+            auctionLogger.warn('Auction post rejected by bidder', {
+                component: 'ping-post',
+                leadId,
+                partnerId: bid.partner.id,
+                bidAmount: bid.amount,
+                error: postResult.error
+            });
+            return { assigned: false, error: postResult.error };
+        }
+
+        if (!lead || lead.status !== 'auctioning') {
+            await updateAttempt('delivered', 'Accepted after the auction lease was taken over');
+            await client.query('COMMIT');
+            auctionLogger.error('Bidder accepted a lead whose auction was taken over', {
+                component: 'ping-post',
+                leadId,
+                partnerId: bid.partner.id,
+                status: lead ? lead.status : null
+            });
+            return { assigned: false, leadGone: true };
+        }
+
+        const { recordAssignmentStats } = require('./distribution');
+        const { createAssignment } = require('./leadAssignments');
+
+        await client.query(`
+            UPDATE leads
+            SET assigned_partner_id = $1, status = 'distributed', distributed_at = CURRENT_TIMESTAMP,
+                sale_price = $2, failure_reason = NULL, failure_detail = NULL, auction_started_at = NULL
+            WHERE id = $3
+        `, [bid.partner.id, bid.amount, leadId]);
+        await require('./businessHoursIntelligence').closeScheduledDeliveries(client, leadId, 'delivered');
+
+        await updateAttempt('delivered');
+        await recordAssignmentStats(client, bid.partner.id, lead.type);
+
+        // Auctions always sell exclusively, at the winning bid
+        const assignment = await createAssignment(client, {
+            leadId,
+            partnerId: bid.partner.id,
+            saleMode: 'exclusive',
+            price: bid.amount,
+            status: 'delivered'
+        });
+        await client.query(
+            'UPDATE webhook_deliveries SET assignment_id = $1 WHERE lead_id = $2 AND partner_id = $3',
+            [assignment.id, leadId, bid.partner.id]
+        );
+
+        await client.query(`
+            UPDATE lead_routing_evaluations SET selected = (partner_id = $1)
+            WHERE lead_id = $2
+        `, [bid.partner.id, leadId]);
+
+        await client.query('COMMIT');
+        return { assigned: true };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Post the lead to the bidder and assign it on acceptance. The post runs between two short
+ * transactions, so no connection or row lock is held during the HTTP round trip.
+ * Returns assigned: false when the post is rejected, the lead is no longer being auctioned
+ * or the pool's maximum number of hops has been used up.
+ */
+async function postAndAssign(leadId, bid, pingId, maxHops, auctionLogger) {
+    const claim = await claimPost(leadId, bid, maxHops);
+    if (!claim.lead) return { assigned: false, ...claim };
+
+    const postResult = await postLeadToBidder(claim.lead, bid.partner, bid, pingId);
+    return recordPostOutcome(leadId, claim.hop, bid, postResult, auctionLogger);
+}
+
+/**
+ * Return leads whose auction lease went stale (the process running it stopped) to distribution.
+ * Posts that were in flight are marked failed, so their bidder is not sent the lead again.
+ */
+async function recoverStaleAuctions() {
+    const result = await pool.query(`
+        UPDATE leads
+        SET status = 'pending', auction_started_at = NULL
+        WHERE id IN (
+            SELECT id FROM leads
+            WHERE status = 'auctioning'
+                AND auction_started_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+            ORDER BY auction_started_at
+            LIMIT 50
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id
+    `, [AUCTION_LEASE_SECONDS]);
+
+    const leadIds = result.rows.map(row => row.id);
+    if (leadIds.length > 0) {
+        await pool.query(`
+            UPDATE lead_distribution_attempts
+            SET status = 'failed', reason = 'Auction interrupted before the post outcome was recorded', updated_at = CURRENT_TIMESTAMP
+            WHERE lead_id = ANY($1::int[]) AND status = 'assigned'
+        `, [leadIds]);
+    }
+    return leadIds;
+}
+
+/**
+ * Run the full ping-post auction for a lead that distributeLead moved to 'auctioning'.
+ * Falls back to direct distribution (excluding partners that declined or rejected it)
+ * when nobody buys the lead.
+ */
+async function runAuction(lead, partners, poolConfig, requestId = null) {
+    const auctionLogger = requestId ? new (require('../utils/logger')).Logger(requestId) : logger;
+
+    const pingId = crypto.randomUUID();
+    const bidders = partners.filter(partner => partner.ping_url && partner.ping_url.trim() !== '');
+    const payload = buildPingPayload(lead, pingId);
+    const timeoutMs = poolConfig.ping_timeout_ms || 2000;
+    const minBid = parseFloat(poolConfig.auction_min_bid) || 0;
+
+    auctionLogger.info('Pinging partners for lead auction', {
+        component: 'ping-post',
+        leadId: lead.id,
+        pingId,
+        bidders: bidders.length
+    });
+
+    const results = await Promise.all(bidders.map(partner => pingPartner(partner, payload, timeoutMs)));
+
+    const bids = [];
+    for (const result of results) {
+        if (result.status === 'bid' && result.amount < minBid) {
+            result.status = 'below_floor';
+        }
+        const bidId = await recordBid(lead.id, pingId, result);
+        if (result.status === 'bid') {
+            bids.push({ ...result, bidId });
+        }
+    }
+
+    bids.sort((a, b) => (b.amount - a.amount) || (a.responseTime - b.responseTime));
+
+    const declinedPartnerIds = results
+        .filter(result => ['no_bid', 'below_floor'].includes(result.status))
+        .map(result => result.partner.id);
+
+    for (let i = 0; i < bids.length; i++) {
+        const bid = bids[i];
+        const outcome = await postAndAssign(lead.id, bid, pingId, poolConfig.max_hops || 3, auctionLogger);
+
+        if (outcome.assigned) {
+            await updateBidStatus(bid.bidId, 'won');
+            for (const losingBid of bids.slice(i + 1)) {
+                await updateBidStatus(losingBid.bidId, 'lost');
+            }
+
+            auctionLogger.info('Lead sold at auction', {
+                component: 'ping-post',
+                leadId: lead.id,
+                partnerId: bid.partner.id,
+                partnerName: bid.partner.name,
+                bidAmount: bid.amount
+            });
+            return { success: true, partnerId: bid.partner.id, amount: bid.amount };
+        }
+
+        if (outcome.leadGone) {
+            return { success: false, reason: 'lead_not_pending' };
+        }
+
+        if (outcome.hopsExhausted) {
+            // Remaining bids are not tried; distributeLead below marks the lead failed
+            for (const remainingBid of bids.slice(i)) {
+                await updateBidStatus(remainingBid.bidId, 'lost');
+            }
+            break;
+        }
+
+        await updateBidStatus(bid.bidId, 'post_rejected', outcome.error);
+        declinedPartnerIds.push(bid.partner.id);
+    }
+
+    auctionLogger.warn('No bidder accepted lead - falling back to direct distribution', {
+        component: 'ping-post',
+        leadId: lead.id,
+        bids: bids.length
+    });
+
+    const { distributeLead } = require('./distribution');
+    await distributeLead(lead.id, requestId, { skipAuction: true, excludePartnerIds: declinedPartnerIds });
+    return { success: false, reason: 'no_accepted_bids' };
+}
+
+async function getLeadBids(leadId) {
+    const result = await pool.query(`
+        SELECT lb.*, p.name as partner_name
+        FROM lead_bids lb
+        JOIN partners p ON lb.partner_id = p.id
+        WHERE lb.lead_id = $1
+        ORDER BY lb.bid_amount DESC NULLS LAST, lb.id
+    `, [leadId]);
+    return result.rows;
+}
+
+module.exports = {
+    shouldRunAuction,
+    buildPingPayload,
+    parseBid,
+    isPostAccepted,
+    runAuction,
+    recoverStaleAuctions,
+    getLeadBids
+};
@@ -0,0 +1,214 @@
+const { pool } = require('../config/db');
+const { QUALITY_TIERS, getLeadQualityTier } = require('./leadAssignments');
+const { orderPartnersByPerformance } = require('./distributionStrategies');
+
+/**
+ * Quality Tier Routing
+ * Sends each quality tier (data.quality_tier from lead quality scoring) to a group of partners,
+ * and holds leads scoring below the review floor for manual review instead of distributing them.
+ */
+
+const PARTNER_GROUPS = {
+    all: 'All eligible partners',
+    top_converters: 'Best-converting partners',
+    low_quality_opt_in: 'Partners accepting low quality leads'
+};
+
+// Scoring also assigns 'reject' below the lowest sellable tier
+const ROUTING_TIERS = [...QUALITY_TIERS, 'reject'];
+
+const DEFAULT_ROUTING = { partner_group: 'all', top_partners: 3 };
+
+function getLeadQualityScore(lead) {
+    if (!lead.data) return null;
+    const data = typeof lead.data === 'string' ? JSON.parse(lead.data) : lead.data;
+    const score = parseFloat(data.quality_score);
+    return isNaN(score) ? null : score;
+}
+
+async function getReviewSettings(db) {
+    const result = await db.query('SELECT min_quality_score FROM quality_review_settings WHERE id = 1');
+    return result.rows[0] || { min_quality_score: null };
+}
+
+/**
+ * Why a lead must be held for review, or null. Unscored and already reviewed leads are never held.
+ */
+function checkQualityFloor(lead, settings) {
+    const score = getLeadQualityScore(lead);
+    if (lead.reviewed_at || score === null || settings.min_quality_score === null) {
+        return null;
+    }
+    if (score < settings.min_quality_score) {
+        return `Quality score ${Math.round(score)} is below the review floor of ${settings.min_quality_score}`;
+    }
+    return null;
+}
+
+/**
+ * Partner group for a lead's quality tier; unscored leads go to every eligible partner
+ */
+async function getTierRouting(db, lead) {
+    const tier = getLeadQualityTier(lead);
+    if (!tier) return { ...DEFAULT_ROUTING, quality_tier: null };
+
+    const result = await db.query(
+        'SELECT quality_tier, partner_group, top_partners FROM quality_tier_routing WHERE quality_tier = $1',
+        [tier]
+    );
+    return result.rows[0] || { ...DEFAULT_ROUTING, quality_tier: tier };
+}
+
+/**
+ * Restrict the still-eligible evaluations to the tier's partner group (reason 'quality_tier').
+ * Returns the group ordered by conversion rate for best-converter routing, otherwise null
+ * so the pool strategy decides the order.
+ */
+async function applyTierRouting(db, routing, evaluations, windowDays) {
+    const candidates = evaluations.filter(e => e.eligible);
+    const exclude = evaluation => {
+        evaluation.eligible = false;
+        evaluation.reason = 'quality_tier';
+    };
+
+    if (routing.partner_group === 'low_quality_opt_in') {
+        candidates.filter(e => !e.partner.accepts_low_quality_leads).forEach(exclude);
+        return null;
+    }
+
+    if (routing.partner_group === 'top_converters') {
+        const ranked = await orderPartnersByPerformance(db, candidates.map(e => e.partner), windowDays);
+        const topPartners = ranked.slice(0, Math.max(parseInt(routing.top_partners) || 1, 1));
+        candidates.filter(e => !topPartners.includes(e.partner)).forEach(exclude);
+        return topPartners;
+    }
+
+    return null;
+}
+
+async function holdLeadForReview(db, leadId, reason) {
+    await db.query(`
+        UPDATE leads SET status = 'held', hold_reason = $1, held_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+    `, [reason, leadId]);
+}
+
+async function getHeldLeads(limit = 200) {
+    const result = await pool.query(`
+        SELECT id, source, type, niche, country, first_name, last_name, email, phone,
+               data->>'quality_score' as quality_score, data->>'quality_tier' as quality_tier,
+               hold_reason, held_at, created_at
+        FROM leads
+        WHERE status = 'held'
+        ORDER BY held_at, id
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+/**
+ * Return a held lead to distribution. Released leads skip the review floor from now on.
+ */
+async function releaseHeldLead(leadId) {
+    const result = await pool.query(`
+        UPDATE leads SET status = 'pending', hold_reason = NULL, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'held'
+        RETURNING id
+    `, [leadId]);
+    return result.rows.length > 0;
+}
+
+async function rejectHeldLead(leadId, note = null) {
+    const result = await pool.query(`
+        UPDATE leads
+        SET status = 'failed', failure_reason = 'quality_review', failure_detail = COALESCE($2, hold_reason),
+            reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'held'
+        RETURNING id
+    `, [leadId, note]);
+    return result.rows.length > 0;
+}
+
+/**
+ * Routing for every tier, with tiers that have no row shown at the default
+ */
+async function listTierRouting() {
+    const result = await pool.query('SELECT * FROM quality_tier_routing');
+    const byTier = new Map(result.rows.map(row => [row.quality_tier, row]));
+    return ROUTING_TIERS.map(tier => byTier.get(tier) || { ...DEFAULT_ROUTING, quality_tier: tier });
+}
+
+/**
+ * Validate tier routing submitted from the quality dashboard. Throws on invalid input.
+ */
+function parseTierRouting(body) {
+    if (!ROUTING_TIERS.includes(body.quality_tier)) {
+        throw new Error('Choose a quality tier');
+    }
+
+    if (!PARTNER_GROUPS[body.partner_group]) {
+        throw new Error('Partner group must be all, top_converters or low_quality_opt_in');
+    }
+
+    const topPartners = body.partner_group === 'top_converters' ? parseInt(body.top_partners) : DEFAULT_ROUTING.top_partners;
+    if (isNaN(topPartners) || topPartners < 1 || topPartners > 50) {
+        throw new Error('Top partners must be between 1 and 50');
+    }
+
+    return { quality_tier: body.quality_tier, partner_group: body.partner_group, top_partners: topPartners };
+}
+
+async function saveTierRouting(routing) {
+    const result = await pool.query(`
+        INSERT INTO quality_tier_routing (quality_tier, partner_group, top_partners)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (quality_tier)
+        DO UPDATE SET partner_group = EXCLUDED.partner_group, top_partners = EXCLUDED.top_partners, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [routing.quality_tier, routing.partner_group, routing.top_partners]);
+    return result.rows[0];
+}
+
+/**
+ * Validate the review floor. An empty value turns holding off. Throws on invalid input.
+ */
+function parseReviewSettings(body) {
+    const value = body.min_quality_score;
+    if (value === undefined || value === null || value === '') {
+        return { min_quality_score: null };
+    }
+
+    const minScore = parseInt(value);
+    if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+        throw new Error('Review floor must be empty or a score between 0 and 100');
+    }
+    return { min_quality_score: minScore };
+}
+
+async function saveReviewSettings(settings) {
+    const result = await pool.query(`
+        INSERT INTO quality_review_settings (id, min_quality_score)
+        VALUES (1, $1)
+        ON CONFLICT (id) DO UPDATE SET min_quality_score = EXCLUDED.min_quality_score, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [settings.min_quality_score]);
+    return result.rows[0];
+}
+
+module.exports = {
+    PARTNER_GROUPS,
+    ROUTING_TIERS,
+    getReviewSettings,
+    checkQualityFloor,
+    getTierRouting,
+    applyTierRouting,
+    holdLeadForReview,
+    getHeldLeads,
+    releaseHeldLead,
+    rejectHeldLead,
+    listTierRouting,
+    parseTierRouting,
+    saveTierRouting,
+    parseReviewSettings,
+    saveReviewSettings
+};
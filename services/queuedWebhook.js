@@ -95,6 +95,13 @@ class QueuedWebhookService {
             return await this.processWebhookJob(job.data);
         });
 
+        // Hand the lead to the next partner once bull has exhausted every retry
+        queue.on('failed', (job, error) => {
+            if (job.attemptsMade >= (job.opts.attempts || 1)) {
+                this.handleFinalFailure(job.data, error.message, false);
+            }
+        });
+
         console.log('✅ Redis webhook queue processor started');
     }
 
@@ -133,6 +140,7 @@ class QueuedWebhookService {
                     console.error(`💀 Memory queue job ${job.id} permanently failed after 5 attempts`);
                     // Log permanent failure
                     await this.logWebhookFailure(job.data, error.message, true);
+                    await this.handleFinalFailure(job.data, error.message, false);
                 }
             }
         } finally {
@@ -273,6 +281,19 @@ class QueuedWebhookService {
             const response = await axios(requestConfig);
             const responseTime = Date.now() - startTime;
 
+            // A 2xx answer can still be an explicit rejection (e.g. duplicate in the partner CRM)
+            if (this.isPartnerRejection(response)) {
+                await this.logWebhookDelivery(leadId, partnerId, webhookUrl, payload, response, responseTime, 'rejected');
+                jobLogger.warn('Webhook rejected by partner', {
+                    component: 'webhook-delivery',
+                    leadId,
+                    partnerId,
+                    status: response.status
+                });
+                await this.handleFinalFailure(webhookData, `Partner rejected lead: ${JSON.stringify(response.data).substring(0, 200)}`, true);
+                return { success: false, rejected: true, status: response.status, responseTime };
+            }
+
             // Log successful delivery
             await this.logWebhookDelivery(leadId, partnerId, webhookUrl, payload, response, responseTime, 'success');
             
@@ -283,11 +304,32 @@ class QueuedWebhookService {
                 responseTime,
                 status: response.status
             });
+
+            if (webhookData.resaleId) {
+                await require('./leadRecycling').markResaleOutcome(webhookData.resaleId, 'delivered')
+                    .catch(dbError => console.error('Failed to mark resale delivered:', dbError.message));
+            } else {
+                await require('./distribution').markAttemptDelivered(leadId, partnerId)
+                    .catch(dbError => console.error('Failed to mark distribution attempt delivered:', dbError.message));
+            }
             
             return { success: true, status: response.status, responseTime };
 
         } catch (error) {
             const responseTime = Date.now() - startTime;
+
+            // Explicit rejections (409/422) are final - retrying will not change the answer
+            if (this.isPartnerRejection(error.response)) {
+                await this.logWebhookDelivery(leadId, partnerId, webhookUrl, payload, error.response, responseTime, 'rejected', error.message);
+                jobLogger.warn('Webhook rejected by partner', {
+                    component: 'webhook-delivery',
+                    leadId,
+                    partnerId,
+                    status: error.response.status
+                });
+                await this.handleFinalFailure(webhookData, `Partner rejected lead with status ${error.response.status}`, true);
+                return { success: false, rejected: true, status: error.response.status, responseTime };
+            }
             
             // Log failed delivery
             await this.logWebhookDelivery(leadId, partnerId, webhookUrl, payload, error.response, responseTime, 'failed', error.message);
@@ -304,13 +346,52 @@ class QueuedWebhookService {
         }
     }
 
+    // Partner answered but refused the lead (duplicate, invalid, not wanted)
+    isPartnerRejection(response) {
+        if (!response) return false;
+        if (response.status === 409 || response.status === 422) return true;
+
+        const body = response.data;
+        if (body && typeof body === 'object') {
+            if (body.accepted === false || body.success === false) return true;
+            if (typeof body.status === 'string' && ['rejected', 'duplicate'].includes(body.status.toLowerCase())) return true;
+        }
+        return false;
+    }
+
+    // Final delivery failure or rejection - fall back to the next partner in the waterfall.
+    // Aged resales only record the outcome; the next recycling run offers the lead to another partner.
+    async handleFinalFailure(webhookData, reason, rejected) {
+        try {
+            if (webhookData.resaleId) {
+                await require('./leadRecycling').markResaleOutcome(webhookData.resaleId, rejected ? 'rejected' : 'failed', reason);
+                return;
+            }
+            
+            const { handleDeliveryFailure } = require('./distribution');
+            await handleDeliveryFailure(webhookData.leadId, webhookData.partnerId, {
+                reason,
+                rejected,
+                requestId: webhookData.requestId
+            });
+        } catch (error) {
+            logger.error('Waterfall fallback failed', {
+                component: 'webhook-queue',
+                leadId: webhookData.leadId,
+                partnerId: webhookData.partnerId,
+                error: error.message
+            });
+        }
+    }
+
     // Log webhook delivery attempt to database
     async logWebhookDelivery(leadId, partnerId, webhookUrl, payload, response, responseTime, status, errorMessage = null) {
         try {
             await safeQuery(`
                 INSERT INTO webhook_deliveries 
-                (lead_id, partner_id, webhook_url, payload, response_code, response_status, response_body, status, delivered_at, attempts)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 1)
+                (lead_id, partner_id, webhook_url, payload, response_code, response_status, response_body, status, delivered_at, attempts, assignment_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 1,
+                        (SELECT id FROM lead_assignments WHERE lead_id = $1 AND partner_id = $2))
                 ON CONFLICT (lead_id, partner_id) 
                 DO UPDATE SET
                     response_code = EXCLUDED.response_code,
@@ -318,7 +399,8 @@ class QueuedWebhookService {
                     response_body = EXCLUDED.response_body,
                     status = EXCLUDED.status,
                     delivered_at = EXCLUDED.delivered_at,
-                    attempts = webhook_deliveries.attempts + 1
+                    attempts = webhook_deliveries.attempts + 1,
+                    assignment_id = EXCLUDED.assignment_id
             `, [
                 leadId,
                 partnerId,
@@ -0,0 +1,271 @@
+const { pool } = require('../config/db');
+
+/**
+ * Partner Routing Rules
+ * Per-partner include/exclude filters evaluated against lead attributes
+ * before a partner can enter the eligible set in distributeLead
+ */
+
+// Lead attributes that routing rules can filter on
+const RULE_FIELDS = {
+    source: { label: 'Source', kind: 'text' },
+    type: { label: 'Lead Type', kind: 'text' },
+    quality_tier: { label: 'Quality Tier', kind: 'text' },
+    quality_score: { label: 'Quality Score', kind: 'number' },
+    utm_source: { label: 'UTM Source', kind: 'text' },
+    utm_medium: { label: 'UTM Medium', kind: 'text' },
+    utm_campaign: { label: 'UTM Campaign', kind: 'text' },
+    amount_lost: { label: 'Amount Lost', kind: 'number' },
+    phone_prefix: { label: 'Phone Prefix', kind: 'text' },
+    email_domain: { label: 'Email Domain', kind: 'text' }
+};
+
+const RULE_OPERATORS = {
+    equals: 'equals',
+    in: 'is one of',
+    contains: 'contains',
+    starts_with: 'starts with',
+    between: 'between',
+    gte: 'at least',
+    lte: 'at most'
+};
+
+function getLeadDataObject(lead) {
+    if (!lead.data) return {};
+    return typeof lead.data === 'string' ? JSON.parse(lead.data) : lead.data;
+}
+
+/**
+ * Resolve a rule field to its value on the lead (columns first, then stored JSONB data)
+ */
+function getLeadAttribute(lead, field) {
+    const data = getLeadDataObject(lead);
+    const enriched = data.enriched || {};
+    const original = data.original || {};
+
+    switch (field) {
+        case 'source':
+        case 'type':
+            return lead[field];
+        case 'quality_tier':
+            return data.quality_tier;
+        case 'quality_score':
+            return data.quality_score;
+        case 'utm_source':
+        case 'utm_medium':
+        case 'utm_campaign':
+            return enriched[field] || original[field];
+        case 'amount_lost':
+            return enriched.amount_lost || original.amount_lost || original.amountLost;
+        case 'phone_prefix':
+            return lead.phone ? String(lead.phone).replace(/[^\d+]/g, '').replace(/^00/, '+') : null;
+        case 'email_domain':
+            return lead.email && lead.email.includes('@') ? lead.email.split('@')[1].toLowerCase() : null;
+        default:
+            return undefined;
+    }
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+function toText(value) {
+    return value === null || value === undefined ? '' : String(value).toLowerCase().trim();
+}
+
+/**
+ * Check whether a single rule condition holds for the lead (ignores include/exclude)
+ */
+function ruleConditionMatches(rule, lead) {
+    const actual = getLeadAttribute(lead, rule.field);
+    const expected = rule.value;
+
+    if (actual === null || actual === undefined || actual === '') {
+        return false;
+    }
+
+    switch (rule.operator) {
+        case 'equals':
+            return toText(actual) === toText(expected);
+        case 'in':
+            return (Array.isArray(expected) ? expected : [expected]).some(v => toText(v) === toText(actual));
+        case 'contains':
+            return toText(actual).includes(toText(expected));
+        case 'starts_with':
+            return (Array.isArray(expected) ? expected : [expected]).some(v => toText(actual).startsWith(toText(v)));
+        case 'between': {
+            const number = toNumber(actual);
+            if (number === null) return false;
+            const min = toNumber(expected.min);
+            const max = toNumber(expected.max);
+            return (min === null || number >= min) && (max === null || number <= max);
+        }
+        case 'gte': {
+            const number = toNumber(actual);
+            return number !== null && number >= toNumber(expected);
+        }
+        case 'lte': {
+            const number = toNumber(actual);
+            return number !== null && number <= toNumber(expected);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Human readable rule summary for logs and the lead detail view
+ */
+function describeRule(rule) {
+    const fieldLabel = RULE_FIELDS[rule.field] ? RULE_FIELDS[rule.field].label : rule.field;
+    const operatorLabel = RULE_OPERATORS[rule.operator] || rule.operator;
+    let valueLabel;
+
+    if (rule.operator === 'between') {
+        valueLabel = `${rule.value.min ?? '-∞'} and ${rule.value.max ?? '∞'}`;
+    } else if (Array.isArray(rule.value)) {
+        valueLabel = rule.value.join(', ');
+    } else {
+        valueLabel = String(rule.value);
+    }
+
+    return `${rule.rule_type === 'exclude' ? 'Exclude' : 'Include'} if ${fieldLabel} ${operatorLabel} ${valueLabel}`;
+}
+
+/**
+ * Evaluate a partner's active rules against a lead.
+ * Every include rule must match and no exclude rule may match.
+ */
+function evaluatePartnerRules(rules, lead) {
+    const matched = [];
+    const rejected = [];
+
+    for (const rule of rules) {
+        if (rule.is_active === false) continue;
+
+        const conditionMatches = ruleConditionMatches(rule, lead);
+        const summary = { id: rule.id, description: describeRule(rule) };
+
+        if (rule.rule_type === 'exclude') {
+            if (conditionMatches) rejected.push(summary);
+        } else if (conditionMatches) {
+            matched.push(summary);
+        } else {
+            rejected.push(summary);
+        }
+    }
+
+    return { eligible: rejected.length === 0, matched, rejected };
+}
+
+/**
+ * Load active rules for a set of partners, keyed by partner id
+ */
+async function loadRulesForPartners(db, partnerIds) {
+    const rulesByPartner = new Map();
+    if (!partnerIds || partnerIds.length === 0) return rulesByPartner;
+
+    const result = await db.query(`
+        SELECT * FROM partner_routing_rules
+        WHERE partner_id = ANY($1) AND is_active = true
+        ORDER BY partner_id, id
+    `, [partnerIds]);
+
+    for (const rule of result.rows) {
+        if (!rulesByPartner.has(rule.partner_id)) {
+            rulesByPartner.set(rule.partner_id, []);
+        }
+        rulesByPartner.get(rule.partner_id).push(rule);
+    }
+
+    return rulesByPartner;
+}
+
+/**
+ * Persist per-partner routing decisions for a lead
+ */
+async function recordRoutingEvaluations(db, leadId, evaluations) {
+    for (const evaluation of evaluations) {
+        await db.query(`
+            INSERT INTO lead_routing_evaluations (lead_id, partner_id, eligible, selected, matched_rules, rejected_rules, reason)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            leadId,
+            evaluation.partnerId,
+            evaluation.eligible,
+            evaluation.selected || false,
+            JSON.stringify(evaluation.matched || []),
+            JSON.stringify(evaluation.rejected || []),
+            evaluation.reason || null
+        ]);
+    }
+}
+
+/**
+ * Validate and normalise a rule value submitted from the admin UI
+ */
+function parseRuleValue(field, operator, rawValue) {
+    if (!RULE_FIELDS[field]) {
+        throw new Error(`Unknown rule field: ${field}`);
+    }
+    if (!RULE_OPERATORS[operator]) {
+        throw new Error(`Unknown rule operator: ${operator}`);
+    }
+
+    const raw = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (raw === undefined || raw === null || raw === '') {
+        throw new Error('Rule value is required');
+    }
+
+    switch (operator) {
+        case 'in':
+        case 'starts_with': {
+            const values = Array.isArray(raw) ? raw : String(raw).split(',');
+            const cleaned = values.map(v => String(v).trim()).filter(v => v);
+            if (cleaned.length === 0) throw new Error('Rule value list is empty');
+            return cleaned;
+        }
+        case 'between': {
+            const [min, max] = typeof raw === 'object' ? [raw.min, raw.max] : String(raw).split(',').map(v => v.trim());
+            const minNumber = toNumber(min);
+            const maxNumber = toNumber(max);
+            if (minNumber === null && maxNumber === null) {
+                throw new Error('Between rules need a minimum and/or maximum (e.g. "1000,50000")');
+            }
+            return { min: minNumber, max: maxNumber };
+        }
+        case 'gte':
+        case 'lte': {
+            const number = toNumber(raw);
+            if (number === null) throw new Error('Rule value must be a number');
+            return number;
+        }
+        default:
+            return String(raw);
+    }
+}
+
+async function getPartnerRules(partnerId) {
+    const result = await pool.query(`
+        SELECT * FROM partner_routing_rules
+        WHERE partner_id = $1
+        ORDER BY rule_type, id
+    `, [partnerId]);
+
+    return result.rows.map(rule => ({ ...rule, description: describeRule(rule) }));
+}
+
+module.exports = {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    getLeadAttribute,
+    evaluatePartnerRules,
+    loadRulesForPartners,
+    recordRoutingEvaluations,
+    parseRuleValue,
+    describeRule,
+    getPartnerRules
+};
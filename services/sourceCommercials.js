@@ -0,0 +1,278 @@
+const { pool } = require('../config/db');
+const phoneNumbers = require('./phoneNumbers');
+
+/**
+ * Source Commercials
+ * What each webhook source charges per lead (a default cost with optional per-country and
+ * per-type overrides) and how many leads it may deliver per day and month. The cost is stored
+ * on each lead at intake, so margin and ROI can be reported per source, partner and campaign.
+ */
+
+const CAP_ACTIONS = {
+    reject: 'Reject with a 429 response',
+    park: 'Park as held for review'
+};
+
+const CAP_PERIODS = {
+    daily: { label: 'Daily', reason: 'daily_cap_reached' },
+    monthly: { label: 'Monthly', reason: 'monthly_cap_reached' }
+};
+
+const LEAD_TYPES = ['premium', 'raw'];
+const MAX_COST = 100000;
+
+function sameCountry(a, b) {
+    const regionA = phoneNumbers.toRegion(a);
+    const regionB = phoneNumbers.toRegion(b);
+    if (regionA && regionB) return regionA === regionB;
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Cost of a lead from a source. The most specific override wins: country and type, then country,
+ * then type, then the source's cost per lead. Null when the source has no cost set.
+ */
+function getLeadCost(source, { country, type }) {
+    const specificity = override => (override.country ? 2 : 0) + (override.type ? 1 : 0);
+    const overrides = (source.cost_overrides || [])
+        .filter(override =>
+            (!override.country || (country && sameCountry(override.country, country))) &&
+            (!override.type || override.type === type)
+        )
+        .sort((a, b) => specificity(b) - specificity(a));
+
+    const cost = overrides.length > 0 ? overrides[0].cost : source.cost_per_lead;
+    if (cost === null || cost === undefined) return null;
+    return parseFloat(cost);
+}
+
+/**
+ * Reason shown on parked leads and Facebook events, e.g. "Daily intake cap of 500 reached"
+ */
+function describeCap(cap) {
+    return `${CAP_PERIODS[cap.period].label} intake cap of ${cap.limit} reached`;
+}
+
+/**
+ * Check a source's daily and monthly intake caps before a lead is stored. Call inside the intake
+ * transaction: the per-source lock makes concurrent leads count one after another.
+ * Returns null while under both caps, otherwise { period, limit, used, reason, action }.
+ */
+async function checkIntakeCap(client, source) {
+    const dailyCap = source.daily_cap === null || source.daily_cap === undefined ? null : parseInt(source.daily_cap);
+    const monthlyCap = source.monthly_cap === null || source.monthly_cap === undefined ? null : parseInt(source.monthly_cap);
+    if (dailyCap === null && monthlyCap === null) return null;
+
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`intake_cap:${source.id}`]);
+
+    const result = await client.query(`
+        SELECT COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE)::int AS daily,
+               COUNT(*)::int AS monthly
+        FROM leads
+        WHERE source = $1 AND created_at >= date_trunc('month', CURRENT_DATE)
+    `, [source.name]);
+    const usage = result.rows[0];
+
+    for (const [period, limit] of [['daily', dailyCap], ['monthly', monthlyCap]]) {
+        if (limit !== null && usage[period] >= limit) {
+            return {
+                period,
+                limit,
+                used: usage[period],
+                reason: CAP_PERIODS[period].reason,
+                action: source.cap_action === 'park' ? 'park' : 'reject'
+            };
+        }
+    }
+    return null;
+}
+
+function toCost(value, label) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const cost = Number(String(value).trim());
+    if (!isFinite(cost) || cost < 0 || cost > MAX_COST) {
+        throw new Error(`${label} must be an amount between 0 and ${MAX_COST}`);
+    }
+    return Math.round(cost * 100) / 100;
+}
+
+function toCap(value, label) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const cap = Number(String(value).trim());
+    if (!Number.isInteger(cap) || cap < 1) {
+        throw new Error(`${label} must be a whole number of at least 1`);
+    }
+    return cap;
+}
+
+/**
+ * Read cost overrides from lines of "country, type, cost" (either of country or type may be
+ * left empty to match any) or from an array of { country, type, cost }
+ */
+function parseCostOverrides(value) {
+    const rows = Array.isArray(value)
+        ? value
+        : String(value || '').split('\n').filter(line => line.trim()).map(line => {
+            const parts = line.split(',').map(part => part.trim());
+            if (parts.length !== 3) {
+                throw new Error(`Write each override as "country, type, cost": ${line.trim()}`);
+            }
+            return { country: parts[0], type: parts[1], cost: parts[2] };
+        });
+
+    const seen = new Set();
+    return rows.map(row => {
+        const country = String(row.country || '').trim().toLowerCase() || null;
+        const type = String(row.type || '').trim().toLowerCase() || null;
+        if (!country && !type) {
+            throw new Error('Each override needs a country, a lead type or both');
+        }
+        if (type && !LEAD_TYPES.includes(type)) {
+            throw new Error(`Lead type must be premium or raw, not '${type}'`);
+        }
+
+        const cost = toCost(row.cost, 'Override cost');
+        if (cost === null) {
+            throw new Error('Each override needs a cost');
+        }
+
+        const key = `${country ? phoneNumbers.toRegion(country) || country : ''}|${type || ''}`;
+        if (seen.has(key)) {
+            throw new Error(`More than one override for ${[country, type].filter(Boolean).join(' ')}`);
+        }
+        seen.add(key);
+        return { country, type, cost };
+    });
+}
+
+/**
+ * Validate cost and cap settings submitted from the admin UI. Throws on invalid input.
+ */
+function parseCommercialSettings(body) {
+    const settings = {
+        cost_per_lead: toCost(body.cost_per_lead, 'Cost per lead'),
+        cost_overrides: parseCostOverrides(body.cost_overrides),
+        daily_cap: toCap(body.daily_cap, 'Daily cap'),
+        monthly_cap: toCap(body.monthly_cap, 'Monthly cap'),
+        cap_action: body.cap_action || 'reject'
+    };
+
+    if (!CAP_ACTIONS[settings.cap_action]) {
+        throw new Error('Cap action must be reject or park');
+    }
+    if (settings.daily_cap !== null && settings.monthly_cap !== null && settings.daily_cap > settings.monthly_cap) {
+        throw new Error('Daily cap cannot be higher than the monthly cap');
+    }
+    return settings;
+}
+
+async function saveCommercialSettings(sourceId, settings) {
+    const result = await pool.query(`
+        UPDATE webhook_sources
+        SET cost_per_lead = $1, cost_overrides = $2, daily_cap = $3, monthly_cap = $4, cap_action = $5
+        WHERE id = $6
+        RETURNING id
+    `, [
+        settings.cost_per_lead,
+        settings.cost_overrides.length > 0 ? JSON.stringify(settings.cost_overrides) : null,
+        settings.daily_cap,
+        settings.monthly_cap,
+        settings.cap_action,
+        sourceId
+    ]);
+    return result.rows.length > 0;
+}
+
+function withMargin(row) {
+    const cost = parseFloat(row.cost) || 0;
+    const revenue = parseFloat(row.revenue) || 0;
+    return {
+        ...row,
+        cost,
+        revenue,
+        margin: revenue - cost,
+        roi: cost > 0 ? ((revenue - cost) / cost) * 100 : null
+    };
+}
+
+/**
+ * Cost, revenue, margin and ROI of the leads received between two dates, by source, by partner
+ * and by source campaign (utm_campaign). Revenue is what partners paid for each sale plus the
+ * conversion value they reported. A lead sold to several partners has its cost split between them;
+ * leads no partner bought only count against their source and campaign.
+ */
+async function getMarginReport(startDate, endDate) {
+    const range = [startDate, endDate + ' 23:59:59'];
+    const leadRevenue = `
+        WITH lead_revenue AS (
+            SELECT l.id, l.source, l.lead_cost,
+                   COALESCE(l.data->'enriched'->>'utm_campaign', l.data->'original'->>'utm_campaign') as campaign,
+                   COALESCE((SELECT SUM(la.price) FROM lead_assignments la
+                             WHERE la.lead_id = l.id AND la.status NOT IN ('rejected', 'failed')), 0)
+                 + COALESCE((SELECT SUM(c.conversion_value) FROM conversions c WHERE c.lead_id = l.id), 0) as revenue
+            FROM leads l
+            WHERE l.created_at >= $1 AND l.created_at <= $2
+        )`;
+
+    const [sources, partners, campaigns] = await Promise.all([
+        pool.query(`${leadRevenue}
+            SELECT source,
+                   COUNT(*) as leads,
+                   COUNT(lead_cost) as costed_leads,
+                   COALESCE(SUM(lead_cost), 0) as cost,
+                   SUM(revenue) as revenue
+            FROM lead_revenue
+            GROUP BY source
+            ORDER BY SUM(revenue) - COALESCE(SUM(lead_cost), 0) DESC
+        `, range),
+        pool.query(`
+            WITH sales AS (
+                SELECT la.lead_id, la.partner_id, la.price, l.lead_cost,
+                       COUNT(*) OVER (PARTITION BY la.lead_id) as buyers,
+                       COALESCE((SELECT SUM(c.conversion_value) FROM conversions c
+                                 WHERE c.lead_id = la.lead_id AND c.partner_id = la.partner_id), 0) as conversion_value
+                FROM lead_assignments la
+                JOIN leads l ON l.id = la.lead_id
+                WHERE l.created_at >= $1 AND l.created_at <= $2
+                    AND la.status NOT IN ('rejected', 'failed')
+            )
+            SELECT p.id, p.name,
+                   COUNT(*) as leads,
+                   COALESCE(SUM(s.lead_cost / s.buyers), 0) as cost,
+                   COALESCE(SUM(s.price), 0) + SUM(s.conversion_value) as revenue
+            FROM sales s
+            JOIN partners p ON p.id = s.partner_id
+            GROUP BY p.id, p.name
+            ORDER BY COALESCE(SUM(s.price), 0) + SUM(s.conversion_value) - COALESCE(SUM(s.lead_cost / s.buyers), 0) DESC
+        `, range),
+        pool.query(`${leadRevenue}
+            SELECT source, campaign,
+                   COUNT(*) as leads,
+                   COALESCE(SUM(lead_cost), 0) as cost,
+                   SUM(revenue) as revenue
+            FROM lead_revenue
+            WHERE campaign IS NOT NULL AND campaign <> ''
+            GROUP BY source, campaign
+            ORDER BY SUM(revenue) - COALESCE(SUM(lead_cost), 0) DESC
+            LIMIT 50
+        `, range)
+    ]);
+
+    return {
+        sources: sources.rows.map(withMargin),
+        partners: partners.rows.map(withMargin),
+        campaigns: campaigns.rows.map(withMargin)
+    };
+}
+
+module.exports = {
+    CAP_ACTIONS,
+    CAP_PERIODS,
+    getLeadCost,
+    describeCap,
+    checkIntakeCap,
+    parseCostOverrides,
+    parseCommercialSettings,
+    saveCommercialSettings,
+    getMarginReport
+};
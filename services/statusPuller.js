@@ -42,7 +42,8 @@ async function pullStatusForPartner(partner) {
     const leadsResult = await pool.query(`
         SELECT l.id, l.first_name, l.last_name, l.email, l.phone, l.created_at, l.distributed_at
         FROM leads l
-        WHERE l.assigned_partner_id = $1 
+        JOIN lead_assignments la ON la.lead_id = l.id AND la.partner_id = $1
+        WHERE la.status IN ('assigned', 'delivered')
           AND l.status IN ('distributed', 'pending', 'qualified')
           AND l.created_at > NOW() - INTERVAL '30 days'
         ORDER BY l.distributed_at DESC
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const { pool } = require('../config/db');
+const { consentPayloadFields } = require('./leadConsent');
+const phoneNumbers = require('./phoneNumbers');
 
 /**
  * SECURITY: Validates webhook URLs to prevent SSRF attacks
@@ -305,6 +307,7 @@ async function createPayloadForPartner(lead, partner) {
         country: lead.country,
         niche: lead.niche,
         type: lead.type,
+        sale_mode: lead.sale_mode || 'exclusive', // exclusive, shared or aged
         source: lead.source,
         timestamp: lead.created_at,
         postback_url: `${process.env.APP_URL || 'http://localhost:5000'}/api/postback/${partner.id}`
@@ -320,13 +323,16 @@ async function createPayloadForPartner(lead, partner) {
         baseData.fraud_type = recoveryData.fraud_type || recoveryData.fraudType || recoveryData.type_of_fraud;
     }
 
-    // Step 3: Auto-enrich missing required fields
+    // Step 3: Add the consent record, when the supplier sent one, so partners can map it
+    Object.assign(baseData, consentPayloadFields(lead));
+
+    // Step 4: Auto-enrich missing required fields
     const enrichedData = await autoEnrichMissingFields(baseData, partner);
     
-    // Step 4: Format phone number according to partner preference
+    // Step 5: Format phone number according to partner preference
     const phoneFormattedData = formatPhoneForPartner(enrichedData, partner);
     
-    // Step 5: Apply partner-specific field mapping
+    // Step 6: Apply partner-specific field mapping
     const finalPayload = applyFieldMapping(phoneFormattedData, partner);
     
     return finalPayload;
@@ -372,67 +378,29 @@ async function autoEnrichMissingFields(data, partner) {
     return enrichedData;
 }
 
+// Values saved by the partner form before it offered the phone_format values below
+const LEGACY_PHONE_FORMATS = {
+    international: 'with_plus',
+    national: 'no_plus',
+    local: 'local_format'
+};
+
 /**
- * Phone formatting based on partner preferences
+ * Phone formatting based on partner preferences, rendered from the number's E.164 form.
+ * National numbers are read in the lead's country, else the partner's. A number that cannot
+ * be read is sent as stored, without spaces.
  */
 function formatPhoneForPartner(data, partner) {
     const formattedData = { ...data };
     
     if (!data.phone) return formattedData;
     
-    const phoneFormat = partner.phone_format || 'with_plus';
-    let phone = data.phone.toString().replace(/\s+/g, ''); // Remove spaces
-    
-    // Extract country code mapping for phone formatting
-    const countryCodeMap = {
-        'IT': '+39',
-        'DE': '+49', 
-        'ES': '+34',
-        'CA': '+1',
-        'UK': '+44',
-        'NO': '+47',
-        'AT': '+43'
-    };
+    const phoneFormat = LEGACY_PHONE_FORMATS[partner.phone_format] || partner.phone_format || 'with_plus';
+    const e164 = phoneNumbers.toE164(data.phone, data.country || partner.country);
     
-    const countryCode = countryCodeMap[partner.country] || countryCodeMap[data.country] || '+1';
-    
-    switch (phoneFormat) {
-        case 'with_plus':
-            // Format: +39123456789
-            if (!phone.startsWith('+')) {
-                // Remove leading zeros and add country code
-                phone = phone.replace(/^0+/, '');
-                formattedData.phone = countryCode + phone;
-            } else {
-                formattedData.phone = phone;
-            }
-            break;
-            
-        case 'no_plus':
-            // Format: 123456789 (remove all prefixes)
-            formattedData.phone = phone.replace(/^\+?[0-9]{1,4}/, '').replace(/^0+/, '');
-            break;
-            
-        case 'country_code':
-            // Format: 0039123456789
-            if (!phone.startsWith('00')) {
-                phone = phone.replace(/^\+/, '00').replace(/^0+/, '');
-                formattedData.phone = '00' + countryCode.substring(1) + phone;
-            } else {
-                formattedData.phone = phone;
-            }
-            break;
-            
-        case 'local_format':
-            // Format: 0123456789 (local format with leading 0)
-            phone = phone.replace(/^\+?[0-9]{1,4}/, '').replace(/^0+/, '');
-            formattedData.phone = '0' + phone;
-            break;
-            
-        default:
-            // Keep original format
-            formattedData.phone = phone;
-    }
+    formattedData.phone = e164
+        ? phoneNumbers.formatForPartner(e164, phoneFormat)
+        : data.phone.toString().replace(/\s+/g, '');
     
     return formattedData;
 }